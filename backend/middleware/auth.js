@@ -41,4 +41,18 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize }; 
\ No newline at end of file
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Access denied. No token provided.' });
+    }
+
+    if (!req.user.hasPermission(permission)) {
+      return res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
+    }
+
+    next();
+  };
+};
+
+module.exports = { auth, authorize, requirePermission }; 
\ No newline at end of file
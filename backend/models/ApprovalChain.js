@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Default chain: HR prepares, each department's Manager approves it, Finance releases
+const DEFAULT_STEPS = [
+  { name: 'HR preparation', role: 'HR', scope: 'Run' },
+  { name: 'Department approval', role: 'Manager', scope: 'Department' },
+  { name: 'Finance release', role: 'Finance', scope: 'Run' }
+];
+
+const approvalChainSchema = new mongoose.Schema({
+  // Chain used by the payroll runs of a legal entity
+  legalEntity: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    default: 'Main'
+  },
+
+  // Ordered approval steps; a Department step needs one approval per department in the run
+  steps: {
+    type: [{
+      name: { type: String, required: true, trim: true },
+      role: {
+        type: String,
+        enum: ['Admin', 'HR', 'Manager', 'Finance'],
+        required: true
+      },
+      scope: {
+        type: String,
+        enum: ['Run', 'Department'],
+        default: 'Run'
+      }
+    }],
+    validate: {
+      validator: (steps) => steps.length > 0,
+      message: 'An approval chain needs at least one step'
+    }
+  },
+
+  // Audit fields
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the steps for a legal entity (the default chain when none is configured)
+approvalChainSchema.statics.getSteps = async function(legalEntity = 'Main') {
+  const chain = await this.findOne({ legalEntity });
+  return chain ? chain.steps.map(step => ({ name: step.name, role: step.role, scope: step.scope })) : DEFAULT_STEPS;
+};
+
+approvalChainSchema.statics.DEFAULT_STEPS = DEFAULT_STEPS;
+
+module.exports = mongoose.model('ApprovalChain', approvalChainSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const bankRemittanceSchema = new mongoose.Schema({
+  // Paying bank and file sequence number (NSA)
+  bankCode: {
+    type: String,
+    required: true,
+    match: /^\d{3}$/
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  layout: {
+    type: String,
+    enum: ['CNAB240'],
+    default: 'CNAB240'
+  },
+
+  // Payroll period and payment date
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  paymentDate: {
+    type: Date,
+    required: true
+  },
+
+  // Generated file
+  fileName: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  recordCount: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+
+  // One item per payment (segment A/B pair): the payroll net pay or an alimony beneficiary payment
+  items: [{
+    payroll: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payroll',
+      required: true
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    alimony: mongoose.Schema.Types.ObjectId, // Payroll alimony entry, for payments to an alimony beneficiary
+    beneficiary: String, // Alimony beneficiary name
+    reference: { type: String, required: true }, // "Seu número" sent in segment A
+    lot: Number,
+    launchCode: String,
+    amount: { type: Number, required: true },
+    bankAccount: {
+      bankCode: String,
+      agency: String,
+      agencyDigit: String,
+      account: String,
+      accountDigit: String
+    },
+
+    // Result reported by the bank return file
+    returnStatus: {
+      type: String,
+      enum: ['Pending', 'Scheduled', 'Paid', 'Failed'],
+      default: 'Pending'
+    },
+    bankReference: String, // "Nosso número" assigned by the bank
+    paymentDate: Date,
+    occurrences: [{
+      code: String,
+      description: String
+    }],
+    returnedAt: Date
+  }],
+
+  // Return files imported for this remittance
+  returns: [{
+    fileName: String,
+    sequence: Number,
+    paid: { type: Number, default: 0 },
+    scheduled: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    importedAt: { type: Date, default: Date.now }
+  }],
+
+  status: {
+    type: String,
+    enum: ['Generated', 'Partially Returned', 'Returned', 'Cancelled'],
+    default: 'Generated'
+  },
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+bankRemittanceSchema.index({ bankCode: 1, sequence: 1 }, { unique: true });
+bankRemittanceSchema.index({ year: 1, month: 1 });
+bankRemittanceSchema.index({ 'items.payroll': 1 });
+bankRemittanceSchema.index({ 'items.reference': 1 });
+bankRemittanceSchema.index({ 'items.returnStatus': 1 });
+
+// Method to refresh the status from the items' return status
+bankRemittanceSchema.methods.updateReturnStatus = function() {
+  const pending = this.items.filter(item => ['Pending', 'Scheduled'].includes(item.returnStatus)).length;
+  if (pending === this.items.length) {
+    this.status = 'Generated';
+  } else {
+    this.status = pending === 0 ? 'Returned' : 'Partially Returned';
+  }
+  return this.status;
+};
+
+// Static method to get the next file sequence number for a bank
+bankRemittanceSchema.statics.nextSequence = async function(bankCode) {
+  const last = await this.findOne({ bankCode }).sort({ sequence: -1 }).select('sequence');
+  return last ? last.sequence + 1 : 1;
+};
+
+module.exports = mongoose.model('BankRemittance', bankRemittanceSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { roundCurrency } = require('../utils/currency');
+const Holiday = require('./Holiday');
+const { VT_COPAYMENT_RATE, calculateVTCoPayment } = require('../utils/valeTransporte');
 
 const benefitSchema = new mongoose.Schema({
   // Basic Information
@@ -21,19 +24,26 @@ const benefitSchema = new mongoose.Schema({
   valeRefeicao: {
     enabled: { type: Boolean, default: true },
     dailyValue: { type: Number, default: 0 },
-    businessDays: { type: Number, default: 22 },
+    businessDays: { type: Number, default: 0 }, // Filled from the holiday calendar (see createForEmployee)
     saturdays: { type: Number, default: 0 },
-    totalDays: { type: Number, default: 22 },
+    totalDays: { type: Number, default: 0 },
     totalAmount: { type: Number, default: 0 },
     deductions: [{
       date: { type: Date, required: true },
       amount: { type: Number, required: true },
       reason: { type: String, required: true },
       type: { type: String, enum: ['Absence', 'Holiday', 'Vacation', 'Other'], default: 'Absence' },
+      vacation: { type: mongoose.Schema.Types.ObjectId, ref: 'Vacation' },
       recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       recordedAt: { type: Date, default: Date.now }
     }],
     finalAmount: { type: Number, default: 0 },
+    // Day counts of the uploaded schedule (VR is due on worked and remote days)
+    schedule: {
+      workedDays: { type: Number, default: 0 },
+      remoteDays: { type: Number, default: 0 },
+      absentDays: { type: Number, default: 0 }
+    },
     scheduleFile: {
       url: String,
       uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -46,17 +56,24 @@ const benefitSchema = new mongoose.Schema({
     enabled: { type: Boolean, default: true },
     fixedAmount: { type: Number, default: 0 },
     dailyValue: { type: Number, default: 0 },
-    totalDays: { type: Number, default: 22 },
+    totalDays: { type: Number, default: 0 },
     totalAmount: { type: Number, default: 0 },
     deductions: [{
       date: { type: Date, required: true },
       amount: { type: Number, required: true },
       reason: { type: String, required: true },
       type: { type: String, enum: ['Absence', 'Holiday', 'Vacation', 'Other'], default: 'Absence' },
+      vacation: { type: mongoose.Schema.Types.ObjectId, ref: 'Vacation' },
       recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       recordedAt: { type: Date, default: Date.now }
     }],
     finalAmount: { type: Number, default: 0 },
+    // Employee co-payment, deducted on the payroll (up to 6% of the base salary, capped at the VT)
+    optedOut: { type: Boolean, default: false },
+    baseSalary: { type: Number, default: 0 },
+    coPaymentRate: { type: Number, default: 0 },
+    coPayment: { type: Number, default: 0 },
+    companyCost: { type: Number, default: 0 }, // finalAmount minus the co-payment
     addressChanged: { type: Boolean, default: false },
     newAddress: {
       street: String,
@@ -145,6 +162,45 @@ benefitSchema.virtual('totalBenefitAmount').get(function() {
   return total;
 });
 
+// Static method to build the benefit record of a month from the employee's benefits
+// VR/VT days come from the holiday calendar of the employee's work location, unless the
+// employee has fixed VR or VT days; Saturdays count for VR when included and for VT on Monday-Saturday schedules
+benefitSchema.statics.createForEmployee = async function(employee, month, year, createdBy) {
+  const calendar = await Holiday.getBusinessDaysFor(month, year, employee.workLocation || {});
+  const { valeRefeicao, valeTransporte, mobilidade } = employee.benefits;
+  const coPays = employee.employmentType === 'CLT' && !valeTransporte.optedOut;
+
+  const benefit = new this({
+    employeeId: employee._id,
+    month: `${year}-${month.toString().padStart(2, '0')}`,
+    year,
+    valeRefeicao: {
+      enabled: valeRefeicao.enabled,
+      dailyValue: valeRefeicao.dailyValue,
+      businessDays: valeRefeicao.monthlyDays ?? calendar.businessDays,
+      saturdays: valeRefeicao.includeSaturdays ? calendar.saturdays : 0
+    },
+    valeTransporte: {
+      enabled: valeTransporte.enabled && !valeTransporte.optedOut,
+      optedOut: valeTransporte.optedOut,
+      baseSalary: coPays ? employee.baseSalary : 0,
+      coPaymentRate: coPays ? (valeTransporte.coPaymentRate ?? VT_COPAYMENT_RATE) : 0,
+      fixedAmount: valeTransporte.fixedAmount,
+      dailyValue: employee.getVTDailyValue(month, year),
+      totalDays: valeTransporte.monthlyDays ?? calendar.businessDays + (employee.workSchedule === 'Monday-Saturday' ? calendar.saturdays : 0)
+    },
+    mobilidade: {
+      enabled: mobilidade.enabled,
+      monthlyValue: mobilidade.monthlyValue
+    },
+    createdBy
+  });
+  benefit.calculateVR();
+  benefit.calculateVT();
+
+  return benefit;
+};
+
 // Method to calculate VR
 benefitSchema.methods.calculateVR = function() {
   if (!this.valeRefeicao.enabled) return 0;
@@ -163,16 +219,42 @@ benefitSchema.methods.calculateVR = function() {
 benefitSchema.methods.calculateVT = function() {
   if (!this.valeTransporte.enabled) return 0;
   
-  // For CLT employees, use fixed amount
-  this.valeTransporte.totalAmount = this.valeTransporte.fixedAmount;
+  // Fixed amount per person, otherwise the daily value (route-based VT) for the days of the month
+  this.valeTransporte.totalAmount = this.valeTransporte.fixedAmount > 0
+    ? this.valeTransporte.fixedAmount
+    : roundCurrency(this.valeTransporte.dailyValue * this.valeTransporte.totalDays);
   
   // Apply deductions
   const totalDeductions = this.valeTransporte.deductions.reduce((sum, deduction) => sum + deduction.amount, 0);
   this.valeTransporte.finalAmount = Math.max(0, this.valeTransporte.totalAmount - totalDeductions);
   
+  // Employee co-payment
+  this.valeTransporte.coPayment = calculateVTCoPayment({
+    baseSalary: this.valeTransporte.baseSalary,
+    rate: this.valeTransporte.coPaymentRate,
+    vtAmount: this.valeTransporte.finalAmount
+  });
+  this.valeTransporte.companyCost = roundCurrency(this.valeTransporte.finalAmount - this.valeTransporte.coPayment);
+  
   return this.valeTransporte.finalAmount;
 };
 
+// Method to set the VR days from an uploaded schedule (see utils/vrSchedule)
+// The schedule already leaves out the vacation days, so vacation deductions no longer apply to VR
+benefitSchema.methods.applySchedule = function(days, scheduleFile) {
+  this.valeRefeicao.businessDays = days.businessDays;
+  this.valeRefeicao.saturdays = days.saturdays;
+  this.valeRefeicao.schedule = {
+    workedDays: days.worked,
+    remoteDays: days.remote,
+    absentDays: days.absent
+  };
+  this.valeRefeicao.deductions = this.valeRefeicao.deductions.filter(deduction => deduction.type !== 'Vacation');
+  this.valeRefeicao.scheduleFile = scheduleFile;
+
+  return this.calculateVR();
+};
+
 // Method to add deduction
 benefitSchema.methods.addDeduction = function(benefitType, deductionData) {
   if (benefitType === 'VR') {
@@ -186,6 +268,40 @@ benefitSchema.methods.addDeduction = function(benefitType, deductionData) {
   this.calculateVT();
 };
 
+// Method to discount the days of a vacation from VR and VT (benefits are not due while on vacation)
+// Replaces any previous deductions for the same vacation; pass zero days to remove them.
+// worksSaturdays: Monday-Saturday schedule, whose VT days include Saturdays (see createForEmployee)
+benefitSchema.methods.applyVacation = function(vacationId, { businessDays, saturdays }, recordedBy, { worksSaturdays = false } = {}) {
+  const isFromVacation = deduction => deduction.vacation && deduction.vacation.toString() === vacationId.toString();
+  this.valeRefeicao.deductions = this.valeRefeicao.deductions.filter(d => !isFromVacation(d));
+  this.valeTransporte.deductions = this.valeTransporte.deductions.filter(d => !isFromVacation(d));
+
+  // Saturdays only count for employees whose benefit includes Saturdays
+  const vrDays = businessDays + (this.valeRefeicao.saturdays > 0 ? saturdays : 0);
+  const vtDays = businessDays + (worksSaturdays ? saturdays : 0);
+  const vtDailyValue = this.valeTransporte.dailyValue ||
+    (this.valeTransporte.totalDays ? this.valeTransporte.fixedAmount / this.valeTransporte.totalDays : 0);
+
+  const deduction = {
+    date: new Date(),
+    reason: 'Vacation',
+    type: 'Vacation',
+    vacation: vacationId,
+    recordedBy,
+    recordedAt: new Date()
+  };
+
+  if (this.valeRefeicao.enabled && vrDays > 0) {
+    this.valeRefeicao.deductions.push({ ...deduction, amount: vrDays * this.valeRefeicao.dailyValue });
+  }
+  if (this.valeTransporte.enabled && vtDays > 0 && vtDailyValue > 0) {
+    this.valeTransporte.deductions.push({ ...deduction, amount: roundCurrency(vtDays * vtDailyValue) });
+  }
+
+  this.calculateVR();
+  this.calculateVT();
+};
+
 // Method to send to Flash
 benefitSchema.methods.sendToFlash = function(userId) {
   this.flashPayment.sent = true;
@@ -229,4 +345,20 @@ benefitSchema.statics.getTotalForFlash = function(month, year) {
   ]);
 };
 
+// Pre-save middleware to flag address changes for a review of the employee's VT route
+benefitSchema.pre('save', function(next) {
+  if (this.isModified('valeTransporte.addressChanged') && this.valeTransporte.addressChanged) {
+    this.$locals.openCommuteReview = true;
+  }
+  next();
+});
+
+// Post-save middleware to open the route review of address-based VT
+benefitSchema.post('save', async function(doc) {
+  if (doc.$locals.openCommuteReview) {
+    doc.$locals.openCommuteReview = false;
+    await mongoose.model('Employee').openCommuteReview(doc.employeeId, 'Address changed');
+  }
+});
+
 module.exports = mongoose.model('Benefit', benefitSchema); 
\ No newline at end of file
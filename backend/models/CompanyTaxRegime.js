@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { TAX_REGIMES, DEFAULT_TAX_REGIME } = require('../utils/employerChargesCalculator');
+
+const companyTaxRegimeSchema = new mongoose.Schema({
+  // Legal entity whose payrolls use this regime
+  legalEntity: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    default: 'Main'
+  },
+
+  taxRegime: {
+    type: String,
+    enum: TAX_REGIMES,
+    required: true
+  },
+  // Simples Nacional companies taxed under Annex IV pay the employer INSS (CPP) and RAT outside the DAS
+  simplesAnnexIV: {
+    type: Boolean,
+    default: false
+  },
+
+  // Contribution rates (fractions)
+  ratRate: { type: Number, default: DEFAULT_TAX_REGIME.ratRate, min: 0.01, max: 0.03 }, // RAT/GILRAT: 1%, 2% or 3%
+  fap: { type: Number, default: DEFAULT_TAX_REGIME.fap, min: 0.5, max: 2 }, // FAP multiplier on the RAT
+  thirdPartyRate: { type: Number, default: DEFAULT_TAX_REGIME.thirdPartyRate, min: 0, max: 0.2 }, // Sistema S, INCRA, salário-educação
+
+  // Audit fields
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the regime of a legal entity (the default regime when none is configured)
+companyTaxRegimeSchema.statics.getFor = async function(legalEntity = 'Main') {
+  const regime = await this.findOne({ legalEntity });
+  if (!regime) return { ...DEFAULT_TAX_REGIME };
+
+  return {
+    taxRegime: regime.taxRegime,
+    simplesAnnexIV: regime.simplesAnnexIV,
+    ratRate: regime.ratRate,
+    fap: regime.fap,
+    thirdPartyRate: regime.thirdPartyRate
+  };
+};
+
+module.exports = mongoose.model('CompanyTaxRegime', companyTaxRegimeSchema);
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const { roundCurrency } = require('../utils/currency');
+
+// Share of the available pay that loan installments may take (Lei 10.820/03 art. 1 §1)
+const CONSIGNED_LOAN_MARGIN = 0.35;
+
+// Installments still owed (not fully deducted by a payroll, moved to a settlement or cancelled)
+const OPEN_INSTALLMENT_STATUSES = ['Pending', 'Partial'];
+
+const consignedLoanSchema = new mongoose.Schema({
+  // Employee reference
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+
+  // Contract information
+  lender: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contractNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  installmentCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  startMonth: {
+    type: String,
+    required: true,
+    match: /^\d{4}-(0[1-9]|1[0-2])$/ // YYYY-MM of the first installment
+  },
+
+  // Installment schedule, one per month from startMonth; the payroll records what it deducted
+  installments: [{
+    number: { type: Number, required: true },
+    month: { type: Number, required: true, min: 1, max: 12 },
+    year: { type: Number, required: true },
+    amount: { type: Number, required: true },
+    deductedAmount: { type: Number, default: 0 },
+    payroll: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payroll'
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Deducted', 'Partial', 'Settlement', 'Cancelled'],
+      default: 'Pending'
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: ['Active', 'Paid Off', 'Settled', 'Cancelled'],
+    default: 'Active'
+  },
+
+  // Outstanding balance moved into the termination settlement
+  settlement: {
+    termination: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Termination'
+    },
+    amount: { type: Number, default: 0 }, // Deducted in the settlement
+    outstanding: { type: Number, default: 0 }, // Above the margin, left for the lender to collect
+    date: Date
+  },
+
+  notes: String,
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+consignedLoanSchema.index({ lender: 1, contractNumber: 1 }, { unique: true });
+consignedLoanSchema.index({ employee: 1, status: 1 });
+
+// Virtual for the amount still owed on the schedule
+consignedLoanSchema.virtual('remainingBalance').get(function() {
+  return roundCurrency(this.installments
+    .filter(installment => OPEN_INSTALLMENT_STATUSES.includes(installment.status))
+    .reduce((sum, installment) => sum + installment.amount - installment.deductedAmount, 0));
+});
+
+// Virtual for the installments fully deducted by payroll
+consignedLoanSchema.virtual('paidInstallments').get(function() {
+  return this.installments.filter(installment => installment.status === 'Deducted').length;
+});
+
+// Method to build the monthly installment schedule (the last installment absorbs the rounding)
+consignedLoanSchema.methods.buildInstallments = function() {
+  const [startYear, startMonth] = this.startMonth.split('-').map(Number);
+  const installmentAmount = roundCurrency(this.totalAmount / this.installmentCount);
+
+  this.installments = Array.from({ length: this.installmentCount }, (_, index) => {
+    const monthIndex = startYear * 12 + (startMonth - 1) + index;
+    const isLast = index === this.installmentCount - 1;
+    return {
+      number: index + 1,
+      month: (monthIndex % 12) + 1,
+      year: Math.floor(monthIndex / 12),
+      amount: isLast ? roundCurrency(this.totalAmount - installmentAmount * index) : installmentAmount
+    };
+  });
+
+  return this.installments;
+};
+
+// Method to close the loan once every installment is deducted
+consignedLoanSchema.methods.updateStatus = function() {
+  if (this.status === 'Active' && this.installments.every(installment => installment.status === 'Deducted')) {
+    this.status = 'Paid Off';
+  }
+  return this.status;
+};
+
+// Method to move the outstanding balance into a termination settlement
+// amount: what the settlement could deduct for this loan (the rest stays with the lender)
+consignedLoanSchema.methods.settle = function(terminationId, amount) {
+  const balance = this.remainingBalance;
+
+  for (const installment of this.installments) {
+    if (OPEN_INSTALLMENT_STATUSES.includes(installment.status)) {
+      installment.status = 'Settlement';
+    }
+  }
+
+  this.settlement = {
+    termination: terminationId,
+    amount: roundCurrency(amount),
+    outstanding: roundCurrency(balance - amount),
+    date: new Date()
+  };
+  this.status = 'Settled';
+
+  return this.settlement;
+};
+
+// Static method to list the installments due in a month, as the payroll snapshot
+// Partially deducted installments of earlier months stay with the lender and are not carried over
+consignedLoanSchema.statics.getInstallmentsDue = async function(employeeId, month, year) {
+  const loans = await this.find({ employee: employeeId, status: 'Active' }).sort({ createdAt: 1 });
+
+  return loans.flatMap(loan => loan.installments
+    .filter(installment => installment.month === month && installment.year === year &&
+      !['Settlement', 'Cancelled'].includes(installment.status))
+    .map(installment => ({
+      loan: loan._id,
+      lender: loan.lender,
+      contractNumber: loan.contractNumber,
+      installment: installment.number,
+      scheduled: installment.amount
+    })));
+};
+
+// Static method to record on the schedule what a payroll deducted (cancelled payrolls release it)
+consignedLoanSchema.statics.recordPayrollDeductions = async function(payroll) {
+  for (const entry of payroll.consignedLoans) {
+    const loan = await this.findById(entry.loan);
+    const installment = loan && loan.installments.find(i => i.number === entry.installment);
+    if (!installment || ['Settlement', 'Cancelled'].includes(installment.status)) continue;
+
+    if (payroll.status === 'Cancelled') {
+      if (String(installment.payroll) !== String(payroll._id)) continue;
+      installment.deductedAmount = 0;
+      installment.payroll = undefined;
+      installment.status = 'Pending';
+      if (loan.status === 'Paid Off') loan.status = 'Active';
+    } else {
+      installment.deductedAmount = entry.amount;
+      installment.payroll = payroll._id;
+      if (entry.amount >= installment.amount) {
+        installment.status = 'Deducted';
+      } else {
+        installment.status = entry.amount > 0 ? 'Partial' : 'Pending';
+      }
+      loan.updateStatus();
+    }
+
+    await loan.save();
+  }
+};
+
+consignedLoanSchema.statics.CONSIGNED_LOAN_MARGIN = CONSIGNED_LOAN_MARGIN;
+
+module.exports = mongoose.model('ConsignedLoan', consignedLoanSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { COMMUTE_MODES } = require('../utils/valeTransporte');
 
 const employeeSchema = new mongoose.Schema({
   // Personal Information
@@ -68,11 +69,33 @@ const employeeSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  terminationDate: {
+    type: Date
+  },
+  // Vacation days owed on asOf from complete acquisition periods, entered by HR when earlier vacations
+  // are not recorded as vacation records (used by the termination settlement)
+  vacationBalance: {
+    days: { type: Number, min: 0 },
+    asOf: Date
+  },
   employmentType: {
     type: String,
     enum: ['CLT', 'PJ', 'Intern', 'Temporary'],
     required: true
   },
+  legalEntity: {
+    type: String,
+    trim: true,
+    default: 'Main' // Employing legal entity; payroll runs are grouped by it
+  },
+  workLocation: {
+    state: { type: String, uppercase: true, trim: true }, // UF, e.g. SP
+    city: { type: String, trim: true } // State and municipal holidays of the location reduce the business days
+  },
+  apprentice: {
+    type: Boolean,
+    default: false // CLT apprenticeship contract (Jovem Aprendiz)
+  },
   status: {
     type: String,
     enum: ['Active', 'Inactive', 'Terminated', 'On Leave', 'KPI_Warning'],
@@ -103,22 +126,159 @@ const employeeSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Base salary changes (raises, promotions, agreements), newest last
+  salaryHistory: [{
+    previousSalary: Number,
+    salary: { type: Number, required: true },
+    effectiveDate: { type: Date, required: true },
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    date: { type: Date, default: Date.now }
+  }],
+  monthlyHours: {
+    type: Number,
+    default: 220, // Contractual monthly hours, used for the hourly rate
+    min: 1
+  },
   bankInfo: {
     bank: String,
     agency: String,
     account: String,
     accountType: String
   },
+  paymentMethod: {
+    type: String,
+    enum: ['Bank Transfer', 'PIX'],
+    default: 'Bank Transfer'
+  },
+  pixKey: {
+    keyType: {
+      type: String,
+      enum: ['CPF', 'CNPJ', 'Email', 'Phone', 'EVP']
+    },
+    key: { type: String, trim: true }
+  },
+
+  // Mid-month salary advance (adiantamento quinzenal), deducted by the monthly payroll
+  salaryAdvance: {
+    enabled: { type: Boolean, default: false },
+    mode: {
+      type: String,
+      enum: ['Percentage', 'Fixed'],
+      default: 'Percentage'
+    },
+    percentage: { type: Number, default: 40, min: 0, max: 100 },
+    fixedAmount: { type: Number, default: 0, min: 0 }
+  },
+
+  // Standing earnings and deductions applied by every monthly payroll between startMonth and endMonth
+  // (health plan co-payment, payroll loan installment, union dues, fixed bonus...)
+  recurringItems: [{
+    code: { type: String, trim: true },
+    description: { type: String, required: true, trim: true },
+    type: {
+      type: String,
+      enum: ['Earning', 'Deduction'],
+      required: true
+    },
+    mode: {
+      type: String,
+      enum: ['Fixed', 'Percentage'], // Percentage of the salary for the days paid
+      default: 'Fixed'
+    },
+    value: { type: Number, required: true, min: 0 },
+    startMonth: { type: String, required: true, match: /^\d{4}-(0[1-9]|1[0-2])$/ }, // YYYY-MM
+    endMonth: { type: String, match: /^\d{4}-(0[1-9]|1[0-2])$/ }, // Open-ended when not set
+    // Earnings: part of the INSS/IRRF/FGTS base. Deductions: reduce that base.
+    incidence: {
+      inss: { type: Boolean, default: false },
+      irrf: { type: Boolean, default: false },
+      fgts: { type: Boolean, default: false }
+    },
+    active: { type: Boolean, default: true }
+  }],
+
+  // Court-ordered alimony (pensão alimentícia), deducted by payroll and paid to the beneficiary
+  alimonyOrders: [{
+    courtCase: { type: String, trim: true }, // Court case number (processo)
+    beneficiary: {
+      name: { type: String, required: true, trim: true },
+      cpf: String,
+      paymentMethod: {
+        type: String,
+        enum: ['Bank Transfer', 'PIX'],
+        default: 'Bank Transfer'
+      },
+      bankInfo: {
+        bank: String,
+        agency: String,
+        account: String,
+        accountType: String
+      },
+      pixKey: {
+        keyType: {
+          type: String,
+          enum: ['CPF', 'CNPJ', 'Email', 'Phone', 'EVP']
+        },
+        key: { type: String, trim: true }
+      }
+    },
+    basis: {
+      type: String,
+      enum: ['Gross', 'Net', 'Minimum Wage', 'Fixed'], // Net: gross less INSS and IRRF
+      required: true
+    },
+    value: { type: Number, required: true, min: 0 }, // Percentage of the basis, or the amount when Fixed
+    appliesToThirteenth: { type: Boolean, default: true },
+    appliesToVacation: { type: Boolean, default: true },
+    startDate: { type: Date, required: true },
+    endDate: Date,
+    active: { type: Boolean, default: true }
+  }],
+
+  // Tax Information (CLT withholding)
+  taxInfo: {
+    irrfDependents: { type: Number, default: 0, min: 0 }
+  },
 
   // Enhanced Benefits for CLT Employees
   benefits: {
     valeTransporte: {
       enabled: { type: Boolean, default: true },
       dailyValue: { type: Number, default: 0 },
-      monthlyDays: { type: Number, default: 22 },
+      monthlyDays: { type: Number }, // Fixed days per month; when empty the holiday calendar of the work location is used
       fixedAmount: { type: Number, default: 0 }, // Fixed amount per person
-      addressBased: { type: Boolean, default: true },
+      optedOut: { type: Boolean, default: false }, // Employee declined VT in writing: no VT and no co-payment
+      coPaymentRate: { type: Number, default: 0.06, min: 0, max: 0.06 }, // Share of the base salary deducted (legal cap 6%)
+      addressBased: { type: Boolean, default: true }, // Daily value priced from the commute legs and fare table
       lastAddressUpdate: { type: Date },
+      // Home-to-work route (route-based VT)
+      commute: {
+        fareTable: { type: mongoose.Schema.Types.ObjectId, ref: 'FareTable' },
+        legs: [{
+          mode: { type: String, enum: COMMUTE_MODES, required: true },
+          fareCode: { type: String, required: true }, // Fare of the table charged on this leg
+          description: String, // e.g. Linha 8700 até o Terminal Pinheiros
+          tripsPerDay: { type: Number, default: 2, min: 1 } // One each way
+        }],
+        // Address changes open a review of the route
+        review: {
+          status: { type: String, enum: ['None', 'Pending', 'Reviewed'], default: 'None' },
+          reason: String,
+          requestedAt: Date,
+          reviewedAt: Date,
+          reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+        }
+      },
+      // Daily value recalculated after a fare table update, in force from fromMonth (YYYY-MM)
+      scheduledDailyValue: {
+        value: Number,
+        fromMonth: String,
+        fareTable: { type: mongoose.Schema.Types.ObjectId, ref: 'FareTable' }
+      },
       deductions: [{
         date: { type: Date, required: true },
         amount: { type: Number, required: true },
@@ -130,7 +290,7 @@ const employeeSchema = new mongoose.Schema({
     valeRefeicao: {
       enabled: { type: Boolean, default: true },
       dailyValue: { type: Number, default: 0 },
-      monthlyDays: { type: Number, default: 22 },
+      monthlyDays: { type: Number }, // Fixed days per month; when empty the holiday calendar of the work location is used
       businessDaysOnly: { type: Boolean, default: true },
       includeSaturdays: { type: Boolean, default: false },
       scheduleUploads: [{
@@ -227,6 +387,19 @@ const employeeSchema = new mongoose.Schema({
     }]
   },
 
+  // Leaves of absence; days paid by the INSS are not paid in the monthly payroll
+  leaves: [{
+    reason: {
+      type: String,
+      enum: ['Sickness', 'Work Accident', 'Maternity', 'Other'],
+      required: true
+    },
+    startDate: { type: Date, required: true },
+    endDate: Date, // Open while the employee is still on leave
+    inssStartDate: Date, // First day paid by the INSS (after the company-paid days)
+    notes: String
+  }],
+
   // Notes and Observations
   notes: [{
     content: String,
@@ -316,7 +489,7 @@ employeeSchema.methods.calculateVR = function(month, year) {
 };
 
 // Method to calculate VT for a specific month
-employeeSchema.methods.calculateVT = function(month, year) {
+employeeSchema.methods.calculateVT = async function(month, year) {
   if (!this.benefits.valeTransporte.enabled) return 0;
   
   // For CLT employees, use fixed amount
@@ -325,7 +498,40 @@ employeeSchema.methods.calculateVT = function(month, year) {
   }
   
   // For others, calculate based on days
-  return this.benefits.valeTransporte.monthlyDays * this.benefits.valeTransporte.dailyValue;
+  return await this.getVTDays(month, year) * this.getVTDailyValue(month, year);
+};
+
+// Method to get the VT days of a month: the employee's fixed days, or the business days of the work location
+// (with Saturdays on Monday-Saturday schedules)
+employeeSchema.methods.getVTDays = async function(month, year) {
+  const { monthlyDays } = this.benefits.valeTransporte;
+  if (monthlyDays !== undefined && monthlyDays !== null) return monthlyDays;
+
+  const calendar = await mongoose.model('Holiday').getBusinessDaysFor(month, year, this.workLocation || {});
+  return calendar.businessDays + (this.workSchedule === 'Monday-Saturday' ? calendar.saturdays : 0);
+};
+
+// Method to get the VT daily value in force in a month (a fare update may have scheduled a new value)
+employeeSchema.methods.getVTDailyValue = function(month, year) {
+  const { dailyValue, scheduledDailyValue } = this.benefits.valeTransporte;
+  const monthKey = `${year}-${month.toString().padStart(2, '0')}`;
+
+  if (scheduledDailyValue?.fromMonth && scheduledDailyValue.fromMonth <= monthKey) {
+    return scheduledDailyValue.value;
+  }
+  return dailyValue;
+};
+
+// Static method to open a review of a route-based VT commute (e.g. after an address change)
+employeeSchema.statics.openCommuteReview = function(employeeId, reason) {
+  return this.updateOne(
+    { _id: employeeId, 'benefits.valeTransporte.addressBased': true },
+    {
+      $set: {
+        'benefits.valeTransporte.commute.review': { status: 'Pending', reason, requestedAt: new Date() }
+      }
+    }
+  );
 };
 
 // Static method to generate unique employee ID
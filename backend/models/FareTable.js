@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { COMMUTE_MODES, calculateCommuteDailyValue } = require('../utils/valeTransporte');
+
+// Public transport fares of a city, used to price the employees' commutes (route-based VT)
+const fareTableSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'State must be a two-letter UF']
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  fares: [{
+    code: { type: String, required: true, trim: true }, // Referenced by the commute legs
+    description: { type: String, trim: true }, // e.g. Ônibus municipal, Metrô, Integração ônibus + metrô
+    mode: { type: String, enum: COMMUTE_MODES, required: true },
+    price: { type: Number, required: true, min: 0 }
+  }],
+  // Date the current fares started to apply
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  notes: String,
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+fareTableSchema.index({ state: 1, city: 1 }, { unique: true, collation: { locale: 'pt', strength: 1 } });
+
+// Method to recalculate the daily VT of every route-based employee whose commute uses this table
+// The new value is scheduled for fromMonth (YYYY-MM, default next month) so the current month keeps its fares
+// Returns [{ employee, employeeId, name, currentDailyValue, dailyValue, fromMonth, missingFares }]
+fareTableSchema.methods.recalculateEmployees = async function(fromMonth = moment.utc().add(1, 'month').format('YYYY-MM')) {
+  const Employee = mongoose.model('Employee');
+  const employees = await Employee.find({
+    'benefits.valeTransporte.addressBased': true,
+    'benefits.valeTransporte.commute.fareTable': this._id
+  });
+
+  const results = [];
+  for (const employee of employees) {
+    const valeTransporte = employee.benefits.valeTransporte;
+    const { dailyValue, missingFares } = calculateCommuteDailyValue(valeTransporte.commute.legs, this.fares);
+
+    // A value scheduled earlier and already in force becomes the current value before being replaced
+    const scheduled = valeTransporte.scheduledDailyValue;
+    if (scheduled?.fromMonth && scheduled.fromMonth <= moment.utc().format('YYYY-MM')) {
+      valeTransporte.dailyValue = scheduled.value;
+    }
+    valeTransporte.scheduledDailyValue = { value: dailyValue, fromMonth, fareTable: this._id };
+    await employee.save();
+
+    results.push({
+      employee: employee._id,
+      employeeId: employee.employeeId,
+      name: `${employee.firstName} ${employee.lastName}`,
+      currentDailyValue: valeTransporte.dailyValue,
+      dailyValue,
+      fromMonth,
+      missingFares
+    });
+  }
+
+  return results;
+};
+
+module.exports = mongoose.model('FareTable', fareTableSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { getNationalHolidays } = require('../utils/holidayCalendar');
+const { countMonthWorkingDays } = require('../utils/businessDays');
+
+const HOLIDAY_SCOPES = ['State', 'Municipal'];
+
+// State and municipal holidays; national holidays are computed (see utils/holidayCalendar)
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Recurring holidays repeat every year on the same day and month; others only apply to the date's year
+  recurring: {
+    type: Boolean,
+    default: true
+  },
+
+  // Work location the holiday applies to
+  scope: {
+    type: String,
+    enum: HOLIDAY_SCOPES,
+    required: true
+  },
+  state: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'State must be a two-letter UF']
+  },
+  city: {
+    type: String,
+    trim: true,
+    required: function() { return this.scope === 'Municipal'; }
+  },
+
+  legalReference: {
+    type: String,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+holidaySchema.index({ state: 1, scope: 1, city: 1 });
+holidaySchema.index({ date: 1 });
+
+// Method to get the date the holiday falls on in a year (null when it doesn't apply that year)
+holidaySchema.methods.getDateIn = function(year) {
+  const date = moment.utc(this.date);
+  if (!this.recurring) return date.year() === year ? date.toDate() : null;
+
+  return moment.utc({ year, month: date.month(), day: date.date() }).toDate();
+};
+
+// Static method to list the holidays of a work location for a year, or for one month of it
+// location: { state, city }; without a state only the national holidays apply
+holidaySchema.statics.getHolidaysFor = async function(year, location = {}, month = null) {
+  const holidays = getNationalHolidays(year);
+
+  if (location.state) {
+    const local = await this.find({
+      active: true,
+      state: location.state.toUpperCase(),
+      $or: [{ scope: 'State' }, ...(location.city ? [{ scope: 'Municipal', city: location.city }] : [])]
+    }).collation({ locale: 'pt', strength: 1 }); // city names match regardless of case and accents
+
+    for (const holiday of local) {
+      const date = holiday.getDateIn(year);
+      if (date) holidays.push({ date, name: holiday.name, scope: holiday.scope, holiday: holiday._id });
+    }
+  }
+
+  return holidays
+    .filter(holiday => !month || moment.utc(holiday.date).month() + 1 === month)
+    .sort((a, b) => a.date - b.date);
+};
+
+// Static method to count the business days (Monday to Friday) and Saturdays of a month at a work location
+holidaySchema.statics.getBusinessDaysFor = async function(month, year, location = {}) {
+  const holidays = await this.getHolidaysFor(year, location, month);
+
+  return {
+    month,
+    year,
+    location: { state: location.state || null, city: location.city || null },
+    ...countMonthWorkingDays(month, year, holidays.map(holiday => holiday.date)),
+    holidays
+  };
+};
+
+holidaySchema.statics.HOLIDAY_SCOPES = HOLIDAY_SCOPES;
+
+module.exports = mongoose.model('Holiday', holidaySchema);
@@ -1,4 +1,28 @@
 const mongoose = require('mongoose');
+const { calculateINSS } = require('../utils/inssCalculator');
+const { calculateIRRF } = require('../utils/irrfCalculator');
+const { calculateFGTS } = require('../utils/fgtsCalculator');
+const { calculateThirteenthFullAmount } = require('../utils/thirteenthSalaryCalculator');
+const { calculateVacationPay } = require('../utils/vacationCalculator');
+const TaxTable = require('./TaxTable');
+const ConsignedLoan = require('./ConsignedLoan');
+const CompanyTaxRegime = require('./CompanyTaxRegime');
+const { roundCurrency } = require('../utils/currency');
+const { countDSRDays } = require('../utils/businessDays');
+const { TAX_REGIMES, DEFAULT_TAX_REGIME, calculateEmployerCharges } = require('../utils/employerChargesCalculator');
+const { calculateVTCoPayment } = require('../utils/valeTransporte');
+const {
+  DEFAULT_MONTHLY_HOURS,
+  calculateHourlyRate,
+  calculateOvertime,
+  calculateNightShift,
+  calculateDSR
+} = require('../utils/hourlyPayCalculator');
+
+const THIRTEENTH_SALARY_PERIODS = ['13th Salary (1st Installment)', '13th Salary (2nd Installment)'];
+const VACATION_PERIOD = 'Vacation';
+const TERMINATION_PERIOD = 'Termination';
+const ADVANCE_PERIOD = 'Bi-weekly'; // Mid-month salary advance (adiantamento quinzenal)
 
 const payrollSchema = new mongoose.Schema({
   // Employee reference
@@ -22,7 +46,40 @@ const payrollSchema = new mongoose.Schema({
   period: {
     type: String,
     required: true,
-    enum: ['Monthly', 'Bi-weekly', 'Weekly']
+    enum: ['Monthly', ADVANCE_PERIOD, 'Weekly', ...THIRTEENTH_SALARY_PERIODS, VACATION_PERIOD, TERMINATION_PERIOD]
+  },
+  dueDate: Date,
+
+  // Company-wide run this payroll belongs to; closed runs lock their payrolls against edits
+  payrollRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRun'
+  },
+  locked: {
+    type: Boolean,
+    default: false
+  },
+
+  // Employment type snapshot (taxes are only withheld for CLT payrolls)
+  employmentType: {
+    type: String,
+    enum: ['CLT', 'PJ', 'Intern', 'Temporary']
+  },
+  apprentice: {
+    type: Boolean,
+    default: false
+  },
+
+  // Number of IRRF dependents declared by the employee for this period
+  irrfDependents: {
+    type: Number,
+    min: 0
+  },
+
+  // Contractual monthly hours snapshot, used for the hourly rate
+  monthlyHours: {
+    type: Number,
+    min: 1
   },
 
   // Salary information
@@ -30,6 +87,10 @@ const payrollSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  salaryAmount: {
+    type: Number,
+    default: 0 // Base salary for the days paid in the period
+  },
   grossSalary: {
     type: Number,
     required: true
@@ -45,7 +106,8 @@ const payrollSchema = new mongoose.Schema({
       dailyValue: { type: Number, default: 0 },
       monthlyDays: { type: Number, default: 22 },
       totalValue: { type: Number, default: 0 },
-      additionalDays: { type: Number, default: 0 } // For Saturday workers
+      additionalDays: { type: Number, default: 0 }, // For Saturday workers
+      coPaymentRate: { type: Number, default: 0 } // Share of the salary the employee pays (0 when opted out)
     },
     valeRefeicao: {
       dailyValue: { type: Number, default: 0 },
@@ -61,25 +123,268 @@ const payrollSchema = new mongoose.Schema({
   deductions: {
     inss: { type: Number, default: 0 },
     irrf: { type: Number, default: 0 },
-    fgts: { type: Number, default: 0 },
+    alimony: { type: Number, default: 0 }, // Court-ordered alimony (reduces the IRRF base)
+    advance: { type: Number, default: 0 }, // Amounts already paid in advance for this payment
+    consignedLoan: { type: Number, default: 0 }, // Consigned loan installments (capped at the legal margin)
+    valeTransporte: { type: Number, default: 0 }, // VT co-payment (up to 6% of the salary, capped at the VT value)
     other: { type: Number, default: 0 }
   },
 
+  // Alimony orders applied to this payroll (snapshot taken at generation); deductions.alimony is their total
+  alimonyOrders: [{
+    order: mongoose.Schema.Types.ObjectId, // Employee alimony order
+    courtCase: String,
+    beneficiary: {
+      name: String,
+      cpf: String,
+      paymentMethod: {
+        type: String,
+        enum: ['Bank Transfer', 'PIX'],
+        default: 'Bank Transfer'
+      },
+      bankInfo: {
+        bank: String,
+        agency: String,
+        account: String,
+        accountType: String
+      },
+      pixKey: {
+        keyType: {
+          type: String,
+          enum: ['CPF', 'CNPJ', 'Email', 'Phone', 'EVP']
+        },
+        key: String
+      }
+    },
+    basis: {
+      type: String,
+      enum: ['Gross', 'Net', 'Minimum Wage', 'Fixed']
+    },
+    value: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+
+    // Payment to the beneficiary
+    payment: {
+      status: {
+        type: String,
+        enum: ['Pending', 'Processed', 'Paid', 'Failed'],
+        default: 'Pending'
+      },
+      paymentDate: Date,
+      transactionId: String,
+      remittance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BankRemittance'
+      },
+      pixPayout: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PixPayout'
+      }
+    }
+  }],
+
+  // Consigned loan installments due in this payroll (snapshot taken at generation)
+  consignedLoans: [{
+    loan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ConsignedLoan'
+    },
+    lender: String,
+    contractNumber: String,
+    installment: Number,
+    scheduled: { type: Number, default: 0 }, // Installment amount on the schedule
+    amount: { type: Number, default: 0 } // Amount deducted within the margin
+  }],
+
+  // Salary advance settings snapshot (only for advance payments)
+  salaryAdvance: {
+    mode: {
+      type: String,
+      enum: ['Percentage', 'Fixed']
+    },
+    percentage: Number,
+    fixedAmount: Number
+  },
+
+  // 13th salary details (only for 13th salary installments)
+  thirteenthSalary: {
+    monthsWorked: { type: Number, min: 0, max: 12 },
+    averageVariablePay: { type: Number, default: 0 },
+    fullAmount: { type: Number, default: 0 }
+  },
+
+  // Vacation details (only for vacation payments)
+  vacation: {
+    record: { type: mongoose.Schema.Types.ObjectId, ref: 'Vacation' },
+    startDate: Date,
+    endDate: Date,
+    days: { type: Number, default: 0 },
+    soldDays: { type: Number, default: 0 },
+    averageVariablePay: { type: Number, default: 0 },
+    dailyRate: { type: Number, default: 0 },
+    vacationPay: { type: Number, default: 0 },
+    oneThirdBonus: { type: Number, default: 0 },
+    abono: { type: Number, default: 0 },
+    abonoOneThird: { type: Number, default: 0 }
+  },
+  // Vacation pay of the month (monthly payments only): it shares the month's INSS brackets and ceiling
+  vacationINSS: {
+    base: { type: Number, default: 0 }, // Vacation pay and 1/3 of the vacation payrolls of the month
+    amount: { type: Number, default: 0 } // INSS already withheld on them
+  },
+
+  // Termination settlement (only for termination payments; amounts come from the settlement)
+  termination: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Termination'
+  },
+
+  // Employer charges (paid by the company, not deducted from the employee)
+  employerCharges: {
+    // Tax regime of the employing legal entity (snapshot, refreshed when the run is calculated)
+    regime: {
+      taxRegime: { type: String, enum: TAX_REGIMES },
+      simplesAnnexIV: Boolean,
+      ratRate: Number,
+      fap: Number,
+      thirdPartyRate: Number
+    },
+    fgts: {
+      base: { type: Number, default: 0 },
+      rate: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 }
+    },
+    inss: { // Employer INSS (CPP)
+      base: { type: Number, default: 0 },
+      rate: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 }
+    },
+    rat: { // RAT adjusted by the FAP
+      rate: { type: Number, default: 0 },
+      fap: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 }
+    },
+    thirdParty: { // Sistema S and other third-party contributions
+      rate: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 }
+    },
+    // Monthly accruals for the 13th salary and vacation (with its 1/3), and the charges due on them
+    provisions: {
+      thirteenth: { type: Number, default: 0 },
+      vacation: { type: Number, default: 0 },
+      charges: { type: Number, default: 0 }
+    }
+  },
+
+  // How the statutory deductions were reached
+  taxBreakdown: {
+    inss: {
+      base: { type: Number, default: 0 },
+      ceiling: Number,
+      ceilingApplied: { type: Boolean, default: false },
+      effectiveRate: { type: Number, default: 0 },
+      brackets: [{
+        from: Number,
+        upTo: Number,
+        rate: Number,
+        taxableAmount: Number,
+        amount: Number
+      }]
+    },
+    irrf: {
+      method: { type: String, enum: ['Legal', 'Simplified'] },
+      grossIncome: { type: Number, default: 0 },
+      inssDeduction: { type: Number, default: 0 },
+      dependents: { type: Number, default: 0 },
+      dependentDeduction: { type: Number, default: 0 },
+      alimonyDeduction: { type: Number, default: 0 },
+      simplifiedDiscount: { type: Number, default: 0 },
+      base: { type: Number, default: 0 },
+      rate: { type: Number, default: 0 },
+      bracketDeduction: { type: Number, default: 0 },
+      reduction: { type: Number, default: 0 }, // Lei 15.270/2025 reduction (from 2026)
+      legalAmount: { type: Number, default: 0 },
+      simplifiedAmount: { type: Number, default: 0 }
+    }
+  },
+
   // Additions
   additions: {
-    overtime: { type: Number, default: 0 },
+    overtime: { type: Number, default: 0 }, // Calculated from the overtime hours for CLT payrolls
+    nightShift: { type: Number, default: 0 }, // Calculated from the night hours for CLT payrolls
+    dsr: { type: Number, default: 0 }, // Paid weekly rest reflex on overtime and commissions
     bonus: { type: Number, default: 0 },
     commission: { type: Number, default: 0 },
     other: { type: Number, default: 0 }
   },
 
+  // Employee recurring items applied to this payroll (snapshot taken at generation)
+  recurringItems: [{
+    item: mongoose.Schema.Types.ObjectId, // Employee recurring item
+    code: String,
+    description: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ['Earning', 'Deduction'],
+      required: true
+    },
+    mode: {
+      type: String,
+      enum: ['Fixed', 'Percentage'],
+      default: 'Fixed'
+    },
+    value: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    incidence: {
+      inss: { type: Boolean, default: false },
+      irrf: { type: Boolean, default: false },
+      fgts: { type: Boolean, default: false }
+    }
+  }],
+
+  // How the hour-based additions were reached
+  hourlyPay: {
+    monthlyHours: { type: Number, default: 0 },
+    hourlyRate: { type: Number, default: 0 },
+    overtime: {
+      weekday: {
+        hours: { type: Number, default: 0 },
+        rate: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+      },
+      restDay: {
+        hours: { type: Number, default: 0 },
+        rate: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+      }
+    },
+    nightShift: {
+      hours: { type: Number, default: 0 },
+      reducedHours: { type: Number, default: 0 },
+      rate: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 }
+    },
+    dsr: {
+      base: { type: Number, default: 0 },
+      businessDays: { type: Number, default: 0 },
+      restDays: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 }
+    }
+  },
+
   // Working days information
   workingDays: {
     totalDays: { type: Number, default: 22 },
     workedDays: { type: Number, default: 22 },
     absences: { type: Number, default: 0 },
-    overtimeHours: { type: Number, default: 0 },
-    saturdayDays: { type: Number, default: 0 } // For Saturday workers
+    overtimeHours: { type: Number, default: 0 }, // Weekday overtime (50%)
+    restDayOvertimeHours: { type: Number, default: 0 }, // Sunday and holiday overtime (100%)
+    nightHours: { type: Number, default: 0 }, // Clock hours worked between 22h and 5h
+    vacationDays: { type: Number, default: 0 }, // Calendar days on vacation (paid by the vacation record)
+    daysPaid: { type: Number, default: 30, min: 0, max: 30 }, // Commercial days employed and not on INSS leave
+    leaveDays: { type: Number, default: 0 }, // Commercial days on INSS leave
+    saturdayDays: { type: Number, default: 0 }, // For Saturday workers
+    holidays: [Date] // Holidays of the month at the employee's work location (rest days for the DSR)
   },
 
   // Payment information
@@ -95,6 +400,10 @@ const payrollSchema = new mongoose.Schema({
       account: String,
       accountType: String
     },
+    pixKeyType: {
+      type: String,
+      enum: ['CPF', 'CNPJ', 'Email', 'Phone', 'EVP']
+    },
     pixKey: String,
     status: {
       type: String,
@@ -102,7 +411,15 @@ const payrollSchema = new mongoose.Schema({
       default: 'Pending'
     },
     paymentDate: Date,
-    transactionId: String
+    transactionId: String,
+    remittance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BankRemittance'
+    },
+    pixPayout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PixPayout'
+    }
   },
 
   // Invoice information (for PJ employees)
@@ -155,12 +472,15 @@ const payrollSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index for unique payroll per employee per month/year
-payrollSchema.index({ employee: 1, month: 1, year: 1 }, { unique: true });
+// Compound index for unique payroll per employee per month/year and run type
+// Vacation payrolls are unique per vacation record, so split or rescheduled vacations can share a month
+// (replaces the former employee/month/year/period index, which has to be dropped on existing databases)
+payrollSchema.index({ employee: 1, month: 1, year: 1, period: 1, 'vacation.record': 1 }, { unique: true });
 
 // Indexes for better query performance
 payrollSchema.index({ month: 1, year: 1 });
 payrollSchema.index({ status: 1 });
+payrollSchema.index({ payrollRun: 1 });
 payrollSchema.index({ 'payment.status': 1 });
 
 // Virtual for total benefits
@@ -177,23 +497,82 @@ payrollSchema.virtual('totalDeductions').get(function() {
   return (
     this.deductions.inss +
     this.deductions.irrf +
-    this.deductions.fgts +
-    this.deductions.other
+    this.deductions.alimony +
+    this.deductions.advance +
+    (this.deductions.consignedLoan || 0) +
+    (this.deductions.valeTransporte || 0) +
+    this.deductions.other +
+    this.sumRecurringItems('Deduction')
   );
 });
 
+// Virtual for 13th salary installments
+payrollSchema.virtual('isThirteenthSalary').get(function() {
+  return THIRTEENTH_SALARY_PERIODS.includes(this.period);
+});
+
+// Virtual for total employer charges
+payrollSchema.virtual('totalEmployerCharges').get(function() {
+  const charges = this.employerCharges;
+  return (
+    charges.fgts.amount +
+    (charges.inss?.amount || 0) +
+    (charges.rat?.amount || 0) +
+    (charges.thirdParty?.amount || 0)
+  );
+});
+
+// Virtual for the monthly 13th salary and vacation provisions, with their charges
+payrollSchema.virtual('totalProvisions').get(function() {
+  const provisions = this.employerCharges.provisions || {};
+  return (provisions.thirteenth || 0) + (provisions.vacation || 0) + (provisions.charges || 0);
+});
+
+// Virtual for the cost of the payroll to the company: gross pay, benefits (net of the VT co-payment),
+// charges and provisions
+payrollSchema.virtual('totalEmployerCost').get(function() {
+  return this.grossSalary + this.totalBenefits - (this.deductions.valeTransporte || 0) +
+    this.totalEmployerCharges + this.totalProvisions;
+});
+
 // Virtual for total additions
 payrollSchema.virtual('totalAdditions').get(function() {
   return (
     this.additions.overtime +
+    this.additions.nightShift +
+    this.additions.dsr +
     this.additions.bonus +
     this.additions.commission +
-    this.additions.other
+    this.additions.other +
+    this.sumRecurringItems('Earning')
   );
 });
 
+// Virtual for the salary days of the payroll: days paid less the days paid as vacation
+payrollSchema.virtual('salaryDays').get(function() {
+  const daysPaid = this.workingDays.daysPaid ?? 30;
+  return Math.max(daysPaid - Math.min(this.workingDays.vacationDays || 0, 30), 0);
+});
+
 // Method to calculate payroll
-payrollSchema.methods.calculatePayroll = function() {
+// tables: { inss, irrf, ... } valid for the payroll period (see TaxTable.getTablesFor)
+payrollSchema.methods.calculatePayroll = function(tables = {}) {
+  if (this.isThirteenthSalary) {
+    return this.calculateThirteenthSalary(tables);
+  }
+  if (this.period === VACATION_PERIOD) {
+    return this.calculateVacationPay(tables);
+  }
+  if (this.period === TERMINATION_PERIOD) {
+    // Settlement amounts are calculated and stored by the termination workflow; only the net follows the
+    // deductions entered afterwards
+    this.netSalary = roundCurrency(this.grossSalary - this.totalDeductions);
+    return this;
+  }
+  if (this.period === ADVANCE_PERIOD) {
+    return this.calculateSalaryAdvance();
+  }
+
   // Calculate benefits
   this.benefits.valeTransporte.totalValue = 
     this.benefits.valeTransporte.dailyValue * 
@@ -202,8 +581,39 @@ payrollSchema.methods.calculatePayroll = function() {
   this.benefits.valeRefeicao.totalValue = 
     this.benefits.valeRefeicao.dailyValue * this.benefits.valeRefeicao.monthlyDays;
 
+  // Overtime, night-shift premium and DSR come from the hours worked for CLT payrolls
+  if (this.employmentType === 'CLT') {
+    this.calculateHourlyAdditions(tables);
+  }
+
+  // Salary for the days paid in the month, without the days paid as vacation (commercial 30-day month)
+  this.salaryAmount = roundCurrency(this.baseSalary * this.salaryDays / 30);
+
+  // VT co-payment over the salary of the month
+  this.deductions.valeTransporte = calculateVTCoPayment({
+    baseSalary: this.salaryAmount,
+    rate: this.benefits.valeTransporte.coPaymentRate,
+    vtAmount: this.benefits.valeTransporte.totalValue
+  });
+
+  this.calculateRecurringItems();
+
   // Calculate gross salary
-  this.grossSalary = this.baseSalary + this.totalAdditions;
+  this.grossSalary = this.salaryAmount + this.totalAdditions;
+
+  // Statutory deductions for CLT employees
+  // INSS applies to the salary and the month's vacation pay together, less what the vacation payroll withheld
+  if (this.employmentType === 'CLT') {
+    this.calculateINSS(tables.inss, this.getRecurringTaxBase('inss') + (this.vacationINSS?.base || 0));
+    this.deductions.inss = roundCurrency(Math.max(this.deductions.inss - (this.vacationINSS?.amount || 0), 0));
+    this.calculateFGTS(tables.fgts, this.getRecurringTaxBase('fgts'));
+    this.calculateEmployerCharges(this.getRecurringTaxBase('inss'), { provisions: true });
+  }
+  this.calculateAlimony(tables, this.grossSalary, () => {
+    if (this.employmentType === 'CLT') this.calculateIRRF(tables.irrf, {}, this.getRecurringTaxBase('irrf'));
+  });
+
+  this.calculateConsignedLoans();
 
   // Calculate net salary
   this.netSalary = this.grossSalary - this.totalDeductions + this.totalBenefits;
@@ -211,6 +621,268 @@ payrollSchema.methods.calculatePayroll = function() {
   return this;
 };
 
+// Method to sum the amounts of the recurring items of a type (Earning or Deduction)
+payrollSchema.methods.sumRecurringItems = function(type) {
+  return (this.recurringItems || [])
+    .filter(item => item.type === type)
+    .reduce((sum, item) => sum + (item.amount || 0), 0);
+};
+
+// Method to calculate the recurring item amounts (percentages apply to the salary for the days paid)
+payrollSchema.methods.calculateRecurringItems = function() {
+  for (const item of this.recurringItems) {
+    item.amount = item.mode === 'Percentage'
+      ? roundCurrency(this.salaryAmount * item.value / 100)
+      : roundCurrency(item.value);
+  }
+
+  return this.recurringItems;
+};
+
+// Method to get the gross salary base of a tax (inss, irrf or fgts) after the recurring items:
+// earnings without incidence are left out and deductions with incidence reduce it
+payrollSchema.methods.getRecurringTaxBase = function(tax) {
+  const adjustment = (this.recurringItems || []).reduce((sum, item) => {
+    if (item.type === 'Earning' && !item.incidence?.[tax]) return sum + item.amount;
+    if (item.type === 'Deduction' && item.incidence?.[tax]) return sum + item.amount;
+    return sum;
+  }, 0);
+
+  return Math.max(roundCurrency(this.grossSalary - adjustment), 0);
+};
+
+// Method to deduct the consigned loan installments within the legal margin: 35% of the pay left after
+// INSS, IRRF and alimony. Installments are deducted oldest loan first; what doesn't fit stays owed.
+payrollSchema.methods.calculateConsignedLoans = function() {
+  const available = this.grossSalary - this.deductions.inss - this.deductions.irrf - this.deductions.alimony;
+  let margin = roundCurrency(Math.max(available, 0) * ConsignedLoan.CONSIGNED_LOAN_MARGIN);
+
+  for (const entry of this.consignedLoans) {
+    entry.amount = roundCurrency(Math.min(entry.scheduled, margin));
+    margin = roundCurrency(margin - entry.amount);
+  }
+
+  this.deductions.consignedLoan = roundCurrency(this.consignedLoans.reduce((sum, entry) => sum + entry.amount, 0));
+
+  return this.deductions.consignedLoan;
+};
+
+// Method to calculate overtime, night-shift premium and the DSR reflex from the hours worked
+// tables.holidays: holiday dates of the month, counted as rest days for the DSR
+payrollSchema.methods.calculateHourlyAdditions = function(tables = {}) {
+  const monthlyHours = this.monthlyHours || DEFAULT_MONTHLY_HOURS;
+  const hourlyRate = calculateHourlyRate(this.baseSalary, monthlyHours);
+
+  const overtime = calculateOvertime({
+    hourlyRate,
+    weekdayHours: this.workingDays.overtimeHours || 0,
+    restDayHours: this.workingDays.restDayOvertimeHours || 0
+  });
+  const nightShift = calculateNightShift({ hourlyRate, hours: this.workingDays.nightHours || 0 });
+
+  const { businessDays, restDays } = countDSRDays(this.month, this.year, tables.holidays || []);
+  const dsr = calculateDSR({
+    variablePay: overtime.amount + (this.additions.commission || 0),
+    businessDays,
+    restDays
+  });
+
+  this.additions.overtime = overtime.amount;
+  this.additions.nightShift = nightShift.amount;
+  this.additions.dsr = dsr.amount;
+  this.hourlyPay = {
+    monthlyHours,
+    hourlyRate,
+    overtime: { weekday: overtime.weekday, restDay: overtime.restDay },
+    nightShift,
+    dsr
+  };
+
+  return this.hourlyPay;
+};
+
+// Method to calculate a 13th salary installment
+// The 1st installment is half of the proportional 13th with no deductions. The 2nd pays the full
+// proportional 13th with INSS/IRRF (exclusive taxation) minus the 1st installment (deductions.advance).
+payrollSchema.methods.calculateThirteenthSalary = function(tables = {}) {
+  const monthlyRemuneration = this.baseSalary + (this.thirteenthSalary.averageVariablePay || 0);
+  const fullAmount = calculateThirteenthFullAmount(monthlyRemuneration, this.thirteenthSalary.monthsWorked || 0);
+  this.thirteenthSalary.fullAmount = fullAmount;
+
+  if (this.period === THIRTEENTH_SALARY_PERIODS[0]) {
+    this.grossSalary = roundCurrency(fullAmount / 2);
+    this.deductions.inss = 0;
+    this.deductions.irrf = 0;
+    this.deductions.advance = 0;
+    // Alimony percentages apply to the installment paid; fixed amounts are due with the 2nd installment
+    this.calculateAlimony(tables, this.grossSalary, () => {}, { fixedDue: false });
+  } else {
+    this.grossSalary = fullAmount;
+    if (this.employmentType === 'CLT') {
+      this.calculateINSS(tables.inss);
+    }
+    this.calculateAlimony(tables, this.grossSalary - this.deductions.advance, () => {
+      if (this.employmentType === 'CLT') this.calculateIRRF(tables.irrf, { allowSimplified: false });
+    });
+  }
+
+  // FGTS is due on each installment as it is paid; the employer INSS on the full 13th with the 2nd
+  if (this.employmentType === 'CLT') {
+    this.calculateFGTS(tables.fgts, this.grossSalary - this.deductions.advance);
+    this.calculateEmployerCharges(this.period === THIRTEENTH_SALARY_PERIODS[0] ? 0 : this.grossSalary);
+  }
+
+  this.netSalary = roundCurrency(this.grossSalary - this.totalDeductions);
+
+  return this;
+};
+
+// Method to calculate a mid-month salary advance
+// A percentage of the salary for the days paid, or a fixed amount capped at it. No INSS, IRRF or FGTS
+// is due on the advance: they apply to the full salary in the monthly payroll, which deducts the advance.
+payrollSchema.methods.calculateSalaryAdvance = function() {
+  const salary = roundCurrency(this.baseSalary * (this.workingDays.daysPaid ?? 30) / 30);
+  const amount = this.salaryAdvance.mode === 'Fixed'
+    ? Math.min(this.salaryAdvance.fixedAmount || 0, salary)
+    : salary * (this.salaryAdvance.percentage ?? 40) / 100;
+
+  this.salaryAmount = roundCurrency(amount);
+  this.grossSalary = this.salaryAmount;
+  this.deductions.inss = 0;
+  this.deductions.irrf = 0;
+  this.netSalary = roundCurrency(this.grossSalary - this.totalDeductions);
+
+  return this;
+};
+
+// Method to calculate vacation pay with the 1/3 bonus and optional abono pecuniário
+// INSS, IRRF and FGTS apply to the vacation pay and its 1/3 only; the abono is exempt.
+payrollSchema.methods.calculateVacationPay = function(tables = {}) {
+  const result = calculateVacationPay({
+    monthlyRemuneration: this.baseSalary + (this.vacation.averageVariablePay || 0),
+    days: this.vacation.days,
+    soldDays: this.vacation.soldDays
+  });
+
+  Object.assign(this.vacation, {
+    dailyRate: result.dailyRate,
+    vacationPay: result.vacationPay,
+    oneThirdBonus: result.oneThirdBonus,
+    abono: result.abono,
+    abonoOneThird: result.abonoOneThird
+  });
+
+  this.grossSalary = result.total;
+
+  if (this.employmentType === 'CLT') {
+    this.calculateINSS(tables.inss, result.taxableBase);
+    this.calculateFGTS(tables.fgts, result.taxableBase);
+    this.calculateEmployerCharges(result.taxableBase);
+  }
+  this.calculateAlimony(tables, this.grossSalary, () => {
+    if (this.employmentType === 'CLT') this.calculateIRRF(tables.irrf, {}, result.taxableBase);
+  });
+
+  this.netSalary = roundCurrency(this.grossSalary - this.totalDeductions);
+
+  return this;
+};
+
+// Method to calculate the alimony orders and withhold IRRF, which the alimony deducts from its base
+// base: gross amount paid; withholdIRRF: recalculates IRRF for the current deductions.alimony
+// Net-based orders depend on the IRRF they reduce, so amounts are recalculated until they settle.
+// Without orders, deductions.alimony is kept as entered.
+payrollSchema.methods.calculateAlimony = function(tables, base, withholdIRRF, { fixedDue = true } = {}) {
+  if (!this.alimonyOrders || this.alimonyOrders.length === 0) {
+    withholdIRRF();
+    return this.deductions.alimony;
+  }
+
+  const minimumWage = tables.minimumWage?.value || 0;
+  const amountFor = (order) => {
+    switch (order.basis) {
+      case 'Gross': return base * order.value / 100;
+      case 'Net': return (base - this.deductions.inss - this.deductions.irrf) * order.value / 100;
+      case 'Minimum Wage': return fixedDue ? minimumWage * order.value / 100 : 0;
+      default: return fixedDue ? order.value : 0;
+    }
+  };
+
+  this.deductions.alimony = 0;
+  withholdIRRF();
+
+  for (let i = 0; i < 10; i++) {
+    for (const order of this.alimonyOrders) {
+      order.amount = roundCurrency(Math.max(amountFor(order), 0));
+    }
+    const total = roundCurrency(this.alimonyOrders.reduce((sum, order) => sum + order.amount, 0));
+    if (total === this.deductions.alimony) break;
+
+    this.deductions.alimony = total;
+    withholdIRRF();
+  }
+
+  return this.deductions.alimony;
+};
+
+// Method to calculate the employee INSS contribution (over the gross salary unless another base is given)
+payrollSchema.methods.calculateINSS = function(table, base = this.grossSalary) {
+  const result = calculateINSS(base, table || undefined);
+
+  this.deductions.inss = result.amount;
+  this.taxBreakdown.inss = {
+    base: result.base,
+    ceiling: result.ceiling,
+    ceilingApplied: result.ceilingApplied,
+    effectiveRate: result.effectiveRate,
+    brackets: result.brackets
+  };
+
+  return result;
+};
+
+// Method to calculate IRRF withholding (must run after INSS, which reduces the base)
+payrollSchema.methods.calculateIRRF = function(table, options = {}, base = this.grossSalary) {
+  const result = calculateIRRF(base, {
+    inss: this.deductions.inss,
+    dependents: this.irrfDependents,
+    alimony: this.deductions.alimony,
+    ...options
+  }, table || undefined);
+
+  this.deductions.irrf = result.amount;
+  this.taxBreakdown.irrf = result;
+
+  return result;
+};
+
+// Method to calculate the employer FGTS deposit (over the gross salary unless another base is given)
+payrollSchema.methods.calculateFGTS = function(table, base = this.grossSalary) {
+  const result = calculateFGTS(base, { apprentice: this.apprentice }, table || undefined);
+
+  this.employerCharges.fgts = result;
+
+  return result;
+};
+
+// Method to calculate the employer INSS, RAT and third-party contributions for the company's tax regime
+// (must run after FGTS). provisions: accrue the monthly 13th salary and vacation provisions over the base.
+payrollSchema.methods.calculateEmployerCharges = function(base, { provisions = false } = {}) {
+  const regime = this.employerCharges.regime?.taxRegime ? this.employerCharges.regime : DEFAULT_TAX_REGIME;
+  const result = calculateEmployerCharges({
+    base,
+    fgtsRate: this.employerCharges.fgts.rate,
+    provisionBase: provisions ? base : 0
+  }, regime);
+
+  this.employerCharges.inss = result.inss;
+  this.employerCharges.rat = result.rat;
+  this.employerCharges.thirdParty = result.thirdParty;
+  this.employerCharges.provisions = result.provisions;
+
+  return result;
+};
+
 // Static method to find payrolls by period
 payrollSchema.statics.findByPeriod = function(month, year) {
   return this.find({ month, year }).populate('employee', 'firstName lastName email employeeId');
@@ -229,13 +901,155 @@ payrollSchema.statics.findByEmployee = function(employeeId, limit = 12) {
     .populate('employee', 'firstName lastName email');
 };
 
-// Pre-save middleware to calculate payroll
-payrollSchema.pre('save', function(next) {
+// Static method to average the variable pay (overtime, night shift, DSR and commissions) of the monthly payrolls
+// in the given number of months ending at month/year
+payrollSchema.statics.getAverageVariablePay = async function(employeeId, month, year, months = 12) {
+  const end = year * 12 + (month - 1);
+  const start = end - months + 1;
+
+  const payrolls = await this.find({
+    employee: employeeId,
+    period: 'Monthly',
+    status: { $ne: 'Cancelled' },
+    year: { $gte: Math.floor(start / 12), $lte: year }
+  }).select('month year additions');
+
+  const inWindow = payrolls.filter(p => {
+    const index = p.year * 12 + (p.month - 1);
+    return index >= start && index <= end;
+  });
+
+  if (inWindow.length === 0) return 0;
+
+  const total = inWindow.reduce((sum, p) => (
+    sum + (p.additions.overtime || 0) + (p.additions.nightShift || 0) + (p.additions.dsr || 0) + (p.additions.commission || 0)
+  ), 0);
+  return roundCurrency(total / inWindow.length);
+};
+
+// Static method to sum the salary advances paid to an employee in a month, deducted by the monthly payroll
+payrollSchema.statics.getAdvancesPaid = async function(employeeId, month, year) {
+  const advances = await this.find({
+    employee: employeeId,
+    month,
+    year,
+    period: ADVANCE_PERIOD,
+    status: { $ne: 'Cancelled' }
+  }).select('netSalary');
+
+  return roundCurrency(advances.reduce((sum, advance) => sum + advance.netSalary, 0));
+};
+
+// Static method to sum the INSS base and withholding of an employee's vacation payrolls in a month
+payrollSchema.statics.getVacationINSS = async function(employeeId, month, year) {
+  const vacations = await this.find({
+    employee: employeeId,
+    month,
+    year,
+    period: VACATION_PERIOD,
+    status: { $ne: 'Cancelled' }
+  }).select('vacation deductions');
+
+  return {
+    base: roundCurrency(vacations.reduce((sum, p) => sum + p.vacation.vacationPay + p.vacation.oneThirdBonus, 0)),
+    amount: roundCurrency(vacations.reduce((sum, p) => sum + p.deductions.inss, 0))
+  };
+};
+
+// Static method to summarize FGTS deposits for a month, per employee and in total
+payrollSchema.statics.getFGTSSummary = async function(month, year) {
+  const payrolls = await this.find({
+    month,
+    year,
+    status: { $ne: 'Cancelled' },
+    'employerCharges.fgts.amount': { $gt: 0 }
+  }).populate('employee', 'firstName lastName employeeId cpf department');
+
+  const byEmployee = new Map();
+  for (const payroll of payrolls) {
+    const key = payroll.employee ? payroll.employee._id.toString() : payroll._id.toString();
+    if (!byEmployee.has(key)) {
+      byEmployee.set(key, { employee: payroll.employee, base: 0, amount: 0, records: [] });
+    }
+
+    const entry = byEmployee.get(key);
+    const { base, rate, amount } = payroll.employerCharges.fgts;
+    entry.base += base;
+    entry.amount += amount;
+    entry.records.push({ payroll: payroll._id, period: payroll.period, base, rate, amount });
+  }
+
+  const employees = Array.from(byEmployee.values()).map(entry => ({
+    ...entry,
+    base: roundCurrency(entry.base),
+    amount: roundCurrency(entry.amount)
+  }));
+
+  return {
+    month,
+    year,
+    employees,
+    totals: {
+      employees: employees.length,
+      base: roundCurrency(employees.reduce((sum, e) => sum + e.base, 0)),
+      amount: roundCurrency(employees.reduce((sum, e) => sum + e.amount, 0))
+    }
+  };
+};
+
+// Pre-save middleware to snapshot employment type, IRRF dependents and the tax regime from the employee record
+payrollSchema.pre('save', async function(next) {
+  if ((!this.employmentType || this.irrfDependents === undefined || !this.monthlyHours ||
+       !this.employerCharges.regime?.taxRegime) && this.employee) {
+    const employee = await mongoose.model('Employee').findById(this.employee)
+      .select('employmentType apprentice taxInfo monthlyHours legalEntity');
+    if (employee) {
+      if (!this.employerCharges.regime?.taxRegime) {
+        this.employerCharges.regime = await CompanyTaxRegime.getFor(employee.legalEntity || 'Main');
+      }
+      if (!this.employmentType) {
+        this.employmentType = employee.employmentType;
+        this.apprentice = employee.apprentice;
+      }
+      if (this.irrfDependents === undefined) this.irrfDependents = employee.taxInfo?.irrfDependents || 0;
+      if (!this.monthlyHours) this.monthlyHours = employee.monthlyHours || DEFAULT_MONTHLY_HOURS;
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to calculate payroll with the tax tables valid for its month/year
+payrollSchema.pre('save', async function(next) {
   if (this.isModified('baseSalary') || this.isModified('benefits') || 
-      this.isModified('deductions') || this.isModified('additions')) {
-    this.calculatePayroll();
+      this.isModified('deductions') || this.isModified('additions') || this.isModified('recurringItems') ||
+      this.isModified('consignedLoans') || this.isModified('alimonyOrders') || this.isModified('employerCharges.regime') ||
+      this.isModified('employmentType') || this.isModified('irrfDependents') || this.isModified('apprentice') ||
+      this.isModified('monthlyHours') ||
+      this.isModified('month') || this.isModified('year') ||
+      this.isModified('period') || this.isModified('thirteenthSalary') || this.isModified('salaryAdvance') ||
+      this.isModified('vacation') || this.isModified('vacationINSS') || this.isModified('workingDays')) {
+    const tables = await TaxTable.getTablesFor(this.month, this.year);
+    tables.holidays = this.workingDays.holidays;
+    this.calculatePayroll(tables);
+    this.$locals.recordConsignedLoans = true;
+  }
+  if (this.isModified('status')) {
+    this.$locals.recordConsignedLoans = true;
   }
   next();
 });
 
+// Post-save middleware to record the deducted installments on the loan schedules
+payrollSchema.post('save', async function(doc) {
+  if (doc.$locals.recordConsignedLoans && doc.consignedLoans.length > 0) {
+    doc.$locals.recordConsignedLoans = false;
+    await ConsignedLoan.recordPayrollDeductions(doc);
+  }
+});
+
+payrollSchema.statics.THIRTEENTH_SALARY_PERIODS = THIRTEENTH_SALARY_PERIODS;
+payrollSchema.statics.VACATION_PERIOD = VACATION_PERIOD;
+payrollSchema.statics.TERMINATION_PERIOD = TERMINATION_PERIOD;
+payrollSchema.statics.ADVANCE_PERIOD = ADVANCE_PERIOD;
+
 module.exports = mongoose.model('Payroll', payrollSchema); 
\ No newline at end of file
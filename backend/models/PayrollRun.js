@@ -0,0 +1,307 @@
+const mongoose = require('mongoose');
+const { roundCurrency } = require('../utils/currency');
+
+const RUN_STATUSES = ['Open', 'Calculated', 'Under Review', 'Approved', 'Paid', 'Closed'];
+const REOPENABLE_STATUSES = ['Approved', 'Paid', 'Closed'];
+
+// Allowed forward transitions; reopening an approved, paid or closed run goes through reopen()
+const RUN_TRANSITIONS = {
+  'Open': ['Calculated'],
+  'Calculated': ['Calculated', 'Under Review'],
+  'Under Review': ['Calculated', 'Approved'],
+  'Approved': ['Paid'],
+  'Paid': ['Closed'],
+  'Closed': []
+};
+
+const payrollRunSchema = new mongoose.Schema({
+  // Run period and employing legal entity
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  legalEntity: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'Main'
+  },
+
+  status: {
+    type: String,
+    enum: RUN_STATUSES,
+    default: 'Open'
+  },
+
+  // Totals of the child payrolls, refreshed on every calculation
+  totals: {
+    payrolls: { type: Number, default: 0 },
+    grossSalary: { type: Number, default: 0 },
+    deductions: { type: Number, default: 0 },
+    benefits: { type: Number, default: 0 },
+    netSalary: { type: Number, default: 0 },
+    employerCharges: { type: Number, default: 0 },
+    provisions: { type: Number, default: 0 }, // 13th salary and vacation accruals with their charges
+    employerCost: { type: Number, default: 0 } // Gross pay, benefits, charges and provisions
+  },
+
+  calculatedAt: Date,
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Approval chain of the current review, copied from the entity's chain on submission
+  approval: {
+    steps: [{
+      name: String,
+      role: String,
+      scope: {
+        type: String,
+        enum: ['Run', 'Department'],
+        default: 'Run'
+      },
+      departments: [String], // Departments that must approve a Department step
+      status: {
+        type: String,
+        enum: ['Pending', 'Approved'],
+        default: 'Pending'
+      },
+      approvals: [{
+        department: String,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        comments: String,
+        date: { type: Date, default: Date.now }
+      }],
+      approvedAt: Date
+    }],
+    currentStep: { type: Number, default: 0 },
+    submittedAt: Date,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  // Audit trail of every status change
+  history: [{
+    action: {
+      type: String,
+      enum: ['Transition', 'Reopen', 'Approval', 'Rejection'],
+      default: 'Transition'
+    },
+    from: String,
+    to: String,
+    reason: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    date: { type: Date, default: Date.now }
+  }],
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+payrollRunSchema.index({ legalEntity: 1, month: 1, year: 1 }, { unique: true });
+payrollRunSchema.index({ status: 1 });
+
+// Virtual for a closed (final) run
+payrollRunSchema.virtual('isClosed').get(function() {
+  return this.status === 'Closed';
+});
+
+// Virtual for runs whose payrolls can only be changed by reopening the run
+payrollRunSchema.virtual('canReopen').get(function() {
+  return REOPENABLE_STATUSES.includes(this.status);
+});
+
+// Method to check whether the run can move to a status
+payrollRunSchema.methods.canTransitionTo = function(status) {
+  return (RUN_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move the run to the next status, recording it in the history
+payrollRunSchema.methods.transitionTo = function(status, userId, reason) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move a payroll run from ${this.status} to ${status}`);
+  }
+
+  this.history.push({ action: 'Transition', from: this.status, to: status, reason, user: userId });
+  this.status = status;
+  this.updatedBy = userId;
+
+  if (status === 'Closed') {
+    this.closedAt = new Date();
+    this.closedBy = userId;
+  }
+
+  return this;
+};
+
+// Method to reopen an approved, paid or closed run; the reason is kept in the history
+payrollRunSchema.methods.reopen = function(userId, reason) {
+  if (!this.canReopen) {
+    throw new Error('Only approved, paid or closed payroll runs can be reopened');
+  }
+  if (!reason || !reason.trim()) {
+    throw new Error('A reason is required to reopen a payroll run');
+  }
+
+  this.history.push({ action: 'Reopen', from: this.status, to: 'Open', reason: reason.trim(), user: userId });
+  this.status = 'Open';
+  this.closedAt = undefined;
+  this.closedBy = undefined;
+  this.updatedBy = userId;
+
+  return this;
+};
+
+// Method to start the approval chain when the run is submitted for review
+// departments: departments of the run's payrolls, approved one by one in Department steps
+payrollRunSchema.methods.startApproval = function(steps, departments, userId) {
+  this.approval = {
+    steps: steps.map(step => ({
+      name: step.name,
+      role: step.role,
+      scope: step.scope,
+      departments: step.scope === 'Department' ? departments : []
+    })),
+    currentStep: 0,
+    submittedAt: new Date(),
+    submittedBy: userId
+  };
+  this.skipEmptySteps();
+
+  return this.approval;
+};
+
+// Virtual for the approval step waiting for a decision
+payrollRunSchema.virtual('currentApprovalStep').get(function() {
+  if (this.status !== 'Under Review' || !this.approval?.steps?.length) return null;
+  return this.approval.steps[this.approval.currentStep] || null;
+});
+
+// Method to list the departments still missing in a Department step
+payrollRunSchema.methods.pendingDepartments = function(step) {
+  if (!step || step.scope !== 'Department') return [];
+  const approved = step.approvals.map(approval => approval.department);
+  return step.departments.filter(department => !approved.includes(department));
+};
+
+// Method to skip Department steps with nothing to approve (no payroll has a department)
+payrollRunSchema.methods.skipEmptySteps = function() {
+  let step = this.approval.steps[this.approval.currentStep];
+  while (step && step.scope === 'Department' && step.departments.length === 0) {
+    step.status = 'Approved';
+    step.approvedAt = new Date();
+    this.approval.currentStep++;
+    step = this.approval.steps[this.approval.currentStep];
+  }
+};
+
+// Method to record an approval of the current step
+// department: the department approved in a Department step
+// Returns { step, stepCompleted, chainCompleted }
+payrollRunSchema.methods.approveStep = function(userId, { department, comments } = {}) {
+  const step = this.currentApprovalStep;
+  if (!step) {
+    throw new Error('Payroll run is not waiting for approval');
+  }
+
+  if (step.scope === 'Department' && !this.pendingDepartments(step).includes(department)) {
+    throw new Error(`Department ${department || '(none)'} has nothing to approve in this step`);
+  }
+
+  step.approvals.push({ department: step.scope === 'Department' ? department : undefined, user: userId, comments });
+  this.history.push({
+    action: 'Approval',
+    from: this.status,
+    to: this.status,
+    reason: [step.name, department, comments].filter(Boolean).join(' - '),
+    user: userId
+  });
+  this.updatedBy = userId;
+
+  const stepCompleted = step.scope !== 'Department' || this.pendingDepartments(step).length === 0;
+  if (stepCompleted) {
+    step.status = 'Approved';
+    step.approvedAt = new Date();
+    this.approval.currentStep++;
+    this.skipEmptySteps();
+  }
+
+  return {
+    step,
+    stepCompleted,
+    chainCompleted: this.approval.currentStep >= this.approval.steps.length
+  };
+};
+
+// Method to reject the run under review; it goes back to Calculated (draft) for corrections
+payrollRunSchema.methods.rejectApproval = function(userId, comments) {
+  const step = this.currentApprovalStep;
+  if (!step) {
+    throw new Error('Payroll run is not waiting for approval');
+  }
+  if (!comments || !comments.trim()) {
+    throw new Error('Comments are required to reject a payroll run');
+  }
+
+  this.history.push({
+    action: 'Rejection',
+    from: this.status,
+    to: 'Calculated',
+    reason: `${step.name} - ${comments.trim()}`,
+    user: userId
+  });
+  this.status = 'Calculated';
+  this.updatedBy = userId;
+
+  return step;
+};
+
+// Method to refresh the totals from the child payrolls
+payrollRunSchema.methods.summarize = function(payrolls) {
+  const active = payrolls.filter(p => p.status !== 'Cancelled');
+  const sum = (fn) => roundCurrency(active.reduce((total, p) => total + fn(p), 0));
+
+  this.totals = {
+    payrolls: active.length,
+    grossSalary: sum(p => p.grossSalary),
+    deductions: sum(p => p.totalDeductions),
+    benefits: sum(p => p.totalBenefits),
+    netSalary: sum(p => p.netSalary),
+    employerCharges: sum(p => p.totalEmployerCharges),
+    provisions: sum(p => p.totalProvisions),
+    employerCost: sum(p => p.totalEmployerCost)
+  };
+
+  return this.totals;
+};
+
+payrollRunSchema.statics.RUN_STATUSES = RUN_STATUSES;
+
+module.exports = mongoose.model('PayrollRun', payrollRunSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const pixPayoutSchema = new mongoose.Schema({
+  // Batch identifier sent to the bank API (idempotency key)
+  batchId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Payroll period and payment date
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  paymentDate: {
+    type: Date,
+    required: true
+  },
+
+  total: { type: Number, default: 0 },
+
+  // One item per PIX transfer: the payroll net pay or an alimony beneficiary payment
+  items: [{
+    payroll: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payroll',
+      required: true
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    alimony: mongoose.Schema.Types.ObjectId, // Payroll alimony entry, for transfers to an alimony beneficiary
+    reference: { type: String, required: true }, // Our id for the transfer inside the batch
+    amount: { type: Number, required: true },
+    pixKeyType: {
+      type: String,
+      enum: ['CPF', 'CNPJ', 'Email', 'Phone', 'EVP'],
+      required: true
+    },
+    pixKey: { type: String, required: true },
+    name: String,
+    cpf: String,
+
+    // Result reported by the bank API
+    status: {
+      type: String,
+      enum: ['Pending', 'Paid', 'Failed'],
+      default: 'Pending'
+    },
+    endToEndId: String, // PIX end-to-end identification (E2E ID)
+    failureReason: String,
+    settledAt: Date
+  }],
+
+  status: {
+    type: String,
+    enum: ['Generated', 'Sent', 'Completed', 'Partially Failed', 'Failed', 'Cancelled'],
+    default: 'Generated'
+  },
+  sentAt: Date,
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+pixPayoutSchema.index({ year: 1, month: 1 });
+pixPayoutSchema.index({ 'items.payroll': 1 });
+
+// Method to refresh the status from the items' results
+pixPayoutSchema.methods.updateResultStatus = function() {
+  const paid = this.items.filter(item => item.status === 'Paid').length;
+  const failed = this.items.filter(item => item.status === 'Failed').length;
+
+  if (paid + failed < this.items.length) {
+    this.status = 'Sent';
+  } else if (failed === 0) {
+    this.status = 'Completed';
+  } else {
+    this.status = paid === 0 ? 'Failed' : 'Partially Failed';
+  }
+  return this.status;
+};
+
+module.exports = mongoose.model('PixPayout', pixPayoutSchema);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TAX_TABLES } = require('../utils/defaultTaxTables');
+
+const TABLE_TYPES = ['INSS', 'IRRF', 'FGTS', 'MinimumWage'];
+
+const taxTableSchema = new mongoose.Schema({
+  // Table identification
+  type: {
+    type: String,
+    required: true,
+    enum: TABLE_TYPES
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  legalReference: {
+    type: String,
+    trim: true
+  },
+
+  // Validity range (validTo empty means the table is still in force)
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+
+  // Progressive brackets (INSS and IRRF)
+  brackets: [{
+    upTo: { type: Number, default: null }, // null for the open-ended last bracket
+    rate: { type: Number, required: true, min: 0, max: 1 },
+    deduction: { type: Number, default: 0 } // IRRF "parcela a deduzir"
+  }],
+
+  // IRRF deductions
+  dependentDeduction: Number,
+  simplifiedDiscount: Number,
+  // IRRF reduction on the gross taxable income (Lei 15.270/2025)
+  reduction: {
+    fullUpTo: Number, // Income up to which the whole tax is reduced
+    partialUpTo: Number, // Income up to which fixed - rate * income is reduced
+    fixed: Number,
+    rate: Number
+  },
+
+  // FGTS rates
+  rate: { type: Number, min: 0, max: 1 },
+  apprenticeRate: { type: Number, min: 0, max: 1 },
+
+  // Minimum wage
+  value: Number,
+
+  notes: String,
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+taxTableSchema.index({ type: 1, validFrom: 1 }, { unique: true });
+taxTableSchema.index({ type: 1, validFrom: -1, validTo: 1 });
+
+// Validate the validity range and the fields the calculators need for each table type
+taxTableSchema.pre('validate', function(next) {
+  if (this.validTo && this.validFrom && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'validTo must be on or after validFrom');
+  }
+
+  if (this.type === 'INSS' || this.type === 'IRRF') {
+    const brackets = this.brackets || [];
+    if (brackets.length === 0) {
+      this.invalidate('brackets', `${this.type} tables need at least one bracket`);
+    }
+    brackets.forEach((bracket, index) => {
+      const isLast = index === brackets.length - 1;
+      const previous = index > 0 ? brackets[index - 1].upTo : null;
+      if (bracket.upTo === null || bracket.upTo === undefined) {
+        if (!isLast) this.invalidate(`brackets.${index}.upTo`, 'Only the last bracket can be open-ended');
+      } else if (previous !== null && previous !== undefined && bracket.upTo <= previous) {
+        this.invalidate(`brackets.${index}.upTo`, 'Bracket limits must be in ascending order');
+      }
+    });
+  } else if (this.type === 'FGTS' && typeof this.rate !== 'number') {
+    this.invalidate('rate', 'FGTS tables need a rate');
+  } else if (this.type === 'MinimumWage' && !(this.value > 0)) {
+    this.invalidate('value', 'Minimum wage tables need a value');
+  }
+  next();
+});
+
+// First day of a payroll period, used as the reference date for table lookups
+const periodReferenceDate = (month, year) => new Date(Date.UTC(year, month - 1, 1));
+
+// Check whether a plain table definition covers a reference date
+const coversDate = (table, date) => {
+  const validFrom = new Date(table.validFrom);
+  const validTo = table.validTo ? new Date(table.validTo) : null;
+  return validFrom <= date && (!validTo || validTo >= date);
+};
+
+// Method to convert to the plain shape the calculators expect
+taxTableSchema.methods.toCalculatorTable = function() {
+  const table = this.toObject();
+  table.brackets = (table.brackets || []).map(({ upTo, rate, deduction }) => ({ upTo, rate, deduction }));
+  return table;
+};
+
+// Static method to find tables whose validity overlaps a range
+taxTableSchema.statics.findOverlapping = function(type, validFrom, validTo, excludeId) {
+  const filter = {
+    type,
+    $or: [{ validTo: null }, { validTo: { $gte: validFrom } }]
+  };
+  if (validTo) filter.validFrom = { $lte: validTo };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return this.find(filter);
+};
+
+// Static method to find the table of a type valid for a payroll month/year
+// Falls back to the built-in tables when no record covers the period.
+taxTableSchema.statics.findValidFor = async function(type, month, year) {
+  const referenceDate = periodReferenceDate(month, year);
+
+  const table = await this.findOne({
+    type,
+    validFrom: { $lte: referenceDate },
+    $or: [{ validTo: null }, { validTo: { $gte: referenceDate } }]
+  }).sort({ validFrom: -1 });
+
+  if (table) return table.toCalculatorTable();
+
+  const fallback = DEFAULT_TAX_TABLES
+    .filter(t => t.type === type && coversDate(t, referenceDate))
+    .sort((a, b) => new Date(b.validFrom) - new Date(a.validFrom))[0];
+
+  return fallback ? { ...fallback, builtIn: true } : null;
+};
+
+// Static method to get every table valid for a payroll month/year
+// Throws when a table type has neither a record nor a built-in table for the period, rather than
+// calculating with the rates of another year
+taxTableSchema.statics.getTablesFor = async function(month, year) {
+  const [inss, irrf, fgts, minimumWage] = await Promise.all(
+    TABLE_TYPES.map(type => this.findValidFor(type, month, year))
+  );
+
+  const missing = TABLE_TYPES.filter((type, index) => ![inss, irrf, fgts, minimumWage][index]);
+  if (missing.length > 0) {
+    const error = new Error(
+      `No ${missing.join(', ')} table covers ${String(month).padStart(2, '0')}/${year}; register the period's tables under /api/tax-tables`
+    );
+    error.name = 'MissingTaxTableError';
+    throw error;
+  }
+
+  return { inss, irrf, fgts, minimumWage };
+};
+
+taxTableSchema.statics.TABLE_TYPES = TABLE_TYPES;
+
+module.exports = mongoose.model('TaxTable', taxTableSchema);
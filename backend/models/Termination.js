@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { TERMINATION_TYPES, NOTICE_TYPES } = require('../utils/terminationCalculator');
+
+const terminationSchema = new mongoose.Schema({
+  // Employee reference
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+
+  // Termination information
+  type: {
+    type: String,
+    required: true,
+    enum: TERMINATION_TYPES
+  },
+  noticeType: {
+    type: String,
+    required: true,
+    enum: NOTICE_TYPES
+  },
+  noticeDays: { type: Number, default: 0 },
+  terminationDate: {
+    type: Date,
+    required: true
+  },
+  projectedEndDate: Date,
+  paymentDueDate: Date,
+  reason: {
+    type: String,
+    trim: true
+  },
+
+  // Remuneration used in the calculation
+  baseSalary: { type: Number, required: true },
+  averageVariablePay: { type: Number, default: 0 },
+  thirteenthMonths: { type: Number, default: 0 },
+  vacationMonths: { type: Number, default: 0 },
+  accruedVacationDays: { type: Number, default: 0 },
+
+  // Settlement lines (earnings, deductions and informational FGTS lines)
+  lines: [{
+    code: { type: String, required: true },
+    description: { type: String, required: true },
+    reference: String,
+    type: { type: String, enum: ['Earning', 'Deduction', 'Information'], required: true },
+    amount: { type: Number, required: true }
+  }],
+
+  taxes: {
+    inss: { type: Number, default: 0 },
+    irrf: { type: Number, default: 0 },
+    inssBase: { type: Number, default: 0 },
+    irrfBase: { type: Number, default: 0 }
+  },
+
+  fgts: {
+    base: { type: Number, default: 0 },
+    rate: { type: Number, default: 0 },
+    deposit: { type: Number, default: 0 },
+    balance: { type: Number, default: 0 },
+    fineRate: { type: Number, default: 0 },
+    fine: { type: Number, default: 0 }
+  },
+
+  // Consigned loan balance moved into the settlement (the outstanding part stays with the lender)
+  consignedLoan: {
+    balance: { type: Number, default: 0 },
+    deducted: { type: Number, default: 0 },
+    outstanding: { type: Number, default: 0 }
+  },
+
+  totals: {
+    earnings: { type: Number, default: 0 },
+    deductions: { type: Number, default: 0 },
+    net: { type: Number, default: 0 }
+  },
+
+  // Payment record (Payroll with period "Termination")
+  payroll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payroll'
+  },
+
+  status: {
+    type: String,
+    enum: ['Calculated', 'Paid', 'Cancelled'],
+    default: 'Calculated'
+  },
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+terminationSchema.index({ employee: 1 });
+terminationSchema.index({ terminationDate: -1 });
+terminationSchema.index({ status: 1 });
+
+// Method to get the lines of one kind
+terminationSchema.methods.getLines = function(kind) {
+  return this.lines.filter(line => line.type === kind);
+};
+
+module.exports = mongoose.model('Termination', terminationSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { countWorkingDays, clipToMonth } = require('../utils/businessDays');
+
+const vacationSchema = new mongoose.Schema({
+  // Employee reference
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+
+  // Acquisition period (período aquisitivo) the vacation refers to
+  acquisitionPeriod: {
+    start: Date,
+    end: Date
+  },
+
+  // Leave period
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  days: {
+    type: Number,
+    required: true,
+    min: 5,
+    max: 30
+  },
+  soldDays: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+
+  // Payment record (Payroll with period "Vacation")
+  payroll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payroll'
+  },
+
+  status: {
+    type: String,
+    enum: ['Scheduled', 'Cancelled'], // Payment follows the payroll's status
+    default: 'Scheduled'
+  },
+
+  // Notes and comments
+  notes: [{
+    content: String,
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    date: { type: Date, default: Date.now }
+  }],
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+vacationSchema.index({ employee: 1, startDate: 1 });
+vacationSchema.index({ startDate: 1, endDate: 1 });
+vacationSchema.index({ status: 1 });
+
+// Virtual for the payment due date (2 days before the leave starts, CLT art. 145)
+vacationSchema.virtual('paymentDueDate').get(function() {
+  return moment.utc(this.startDate).subtract(2, 'days').toDate();
+});
+
+// Method to get the portion of the leave that falls inside a month
+// holidays: holiday dates of the month, not counted as business days or Saturdays
+vacationSchema.methods.getDaysInMonth = function(month, year, holidays = []) {
+  const range = clipToMonth(this.startDate, this.endDate, month, year);
+  if (!range) return { days: 0, businessDays: 0, saturdays: 0 };
+
+  return { days: range.days, ...countWorkingDays(range.start, range.end, holidays) };
+};
+
+// Static method to find vacations overlapping a date range
+vacationSchema.statics.findOverlapping = function(employeeId, startDate, endDate) {
+  return this.find({
+    employee: employeeId,
+    status: { $ne: 'Cancelled' },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  });
+};
+
+// Static method to total the vacation days of an employee inside a month
+vacationSchema.statics.getDaysInMonth = async function(employeeId, month, year, holidays = []) {
+  const monthStart = moment.utc({ year, month: month - 1, day: 1 });
+  const monthEnd = moment(monthStart).endOf('month');
+
+  const vacations = await this.findOverlapping(employeeId, monthStart.toDate(), monthEnd.toDate());
+
+  return vacations.reduce((total, vacation) => {
+    const inMonth = vacation.getDaysInMonth(month, year, holidays);
+    return {
+      days: total.days + inMonth.days,
+      businessDays: total.businessDays + inMonth.businessDays,
+      saturdays: total.saturdays + inMonth.saturdays
+    };
+  }, { days: 0, businessDays: 0, saturdays: 0 });
+};
+
+// Pre-validate middleware to derive the end date from the start date and days
+vacationSchema.pre('validate', function(next) {
+  if (this.startDate && this.days) {
+    this.endDate = moment.utc(this.startDate).add(this.days - 1, 'days').toDate();
+  }
+  next();
+});
+
+module.exports = mongoose.model('Vacation', vacationSchema);
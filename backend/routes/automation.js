@@ -5,6 +5,7 @@ const { auth, authorize } = require('../middleware/auth');
 const Employee = require('../models/Employee');
 const Payroll = require('../models/Payroll');
 const Document = require('../models/Document');
+const { generateMonthlyPayrolls, generateSalaryAdvances, generateThirteenthSalaryPayrolls } = require('../utils/payrollRuns');
 const moment = require('moment');
 
 const router = express.Router();
@@ -51,74 +52,60 @@ const automationTasks = {
       console.log('Running: Generate monthly payroll');
       
       const currentMonth = moment().startOf('month');
-      const activeEmployees = await Employee.find({ status: 'Active' });
-
-      const payrolls = [];
-      for (const employee of activeEmployees) {
-        // Check if payroll already exists for this month
-        const existingPayroll = await Payroll.findOne({
-          employee: employee._id,
-          payrollPeriod: {
-            $gte: currentMonth.toDate(),
-            $lt: moment(currentMonth).endOf('month').toDate()
-          }
-        });
-
-        if (!existingPayroll) {
-          // Calculate working days (assuming 22 working days per month)
-          const workingDays = 22;
-          
-          // Calculate benefits
-          const benefits = {};
-          if (employee.benefits.valeTransporte.enabled) {
-            benefits.valeTransporte = {
-              enabled: true,
-              value: employee.benefits.valeTransporte.dailyValue * workingDays
-            };
-          }
-          if (employee.benefits.valeRefeicao.enabled) {
-            benefits.valeRefeicao = {
-              enabled: true,
-              value: employee.benefits.valeRefeicao.dailyValue * workingDays
-            };
-          }
-          if (employee.benefits.mobilidade.enabled) {
-            benefits.mobilidade = {
-              enabled: true,
-              value: employee.benefits.mobilidade.monthlyValue
-            };
-          }
 
-          // Calculate total
-          const totalBenefits = Object.values(benefits)
-            .filter(benefit => benefit.enabled)
-            .reduce((sum, benefit) => sum + benefit.value, 0);
-
-          const total = employee.baseSalary + totalBenefits;
-
-          const payroll = new Payroll({
-            employee: employee._id,
-            payrollPeriod: currentMonth.toDate(),
-            baseSalary: employee.baseSalary,
-            workingDays: workingDays,
-            benefits: benefits,
-            total: total,
-            status: 'Draft',
-            paymentMethod: 'Bank Transfer',
-            createdBy: null // System generated
-          });
-
-          payrolls.push(payroll);
-        }
-      }
+      const { generated } = await generateMonthlyPayrolls({
+        month: currentMonth.month() + 1,
+        year: currentMonth.year(),
+        createdBy: null // System generated
+      });
+
+      return { success: true, generated: generated.length };
+    } catch (error) {
+      console.error('Generate monthly payroll error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Generate the mid-month salary advances
+  generateSalaryAdvances: async () => {
+    try {
+      console.log('Running: Generate salary advances');
+
+      const currentMonth = moment().startOf('month');
+
+      const { generated, skipped } = await generateSalaryAdvances({
+        month: currentMonth.month() + 1,
+        year: currentMonth.year(),
+        createdBy: null // System generated
+      });
+
+      return { success: true, generated: generated.length, skipped: skipped.length };
+    } catch (error) {
+      console.error('Generate salary advances error:', error);
+      return { success: false, error: error.message };
+    }
+  },
 
-      if (payrolls.length > 0) {
-        await Payroll.insertMany(payrolls);
+  // Generate 13th salary installments (1st in November, 2nd in December)
+  generateThirteenthSalary: async () => {
+    try {
+      console.log('Running: Generate 13th salary');
+
+      const now = moment();
+      const installment = now.month() === 10 ? 1 : now.month() === 11 ? 2 : null;
+      if (!installment) {
+        return { success: true, generated: 0, message: '13th salary is only generated in November and December' };
       }
 
-      return { success: true, generated: payrolls.length };
+      const { generated, skipped } = await generateThirteenthSalaryPayrolls({
+        year: now.year(),
+        installment,
+        createdBy: null // System generated
+      });
+
+      return { success: true, installment, generated: generated.length, skipped: skipped.length };
     } catch (error) {
-      console.error('Generate monthly payroll error:', error);
+      console.error('Generate 13th salary error:', error);
       return { success: false, error: error.message };
     }
   },
@@ -497,6 +484,8 @@ function getTaskDescription(taskName) {
   const descriptions = {
     checkExpiringDocuments: 'Check for documents that are expiring soon and send notifications',
     generateMonthlyPayroll: 'Generate payroll records for all active employees for the current month',
+    generateSalaryAdvances: 'Generate the mid-month salary advance for employees with the advance enabled',
+    generateThirteenthSalary: 'Generate the 13th salary installment for CLT employees (1st in November, 2nd in December)',
     requestPJInvoices: 'Request invoices from PJ employees for the previous month',
     updateEmployeeStatus: 'Update employee benefits and status based on time worked',
     generateHRReports: 'Generate monthly HR reports with employee and payroll statistics'
@@ -560,6 +549,21 @@ const initializeDefaultTasks = () => {
     true
   );
 
+  // Generate salary advances on the 15th of each month at 8 AM
+  const generateAdvancesJob = new cron.CronJob(
+    '0 8 15 * *', // 15th of each month at 8 AM
+    async () => {
+      try {
+        console.log('Running salary advance generation');
+        await automationTasks.generateSalaryAdvances();
+      } catch (error) {
+        console.error('Salary advance generation failed:', error);
+      }
+    },
+    null,
+    true
+  );
+
   // Request PJ invoices on the 5th of each month at 10 AM
   const requestInvoicesJob = new cron.CronJob(
     '0 10 5 * *', // 5th of each month at 10 AM
@@ -611,6 +615,16 @@ const initializeDefaultTasks = () => {
     createdBy: null
   }});
 
+  activeJobs.set('default_generate_advances', { job: generateAdvancesJob, info: {
+    id: 'default_generate_advances',
+    taskName: 'generateSalaryAdvances',
+    cronExpression: '0 8 15 * *',
+    enabled: true,
+    description: 'Mid-month salary advance generation',
+    createdAt: new Date(),
+    createdBy: null
+  }});
+
   activeJobs.set('default_request_invoices', { job: requestInvoicesJob, info: {
     id: 'default_request_invoices',
     taskName: 'requestPJInvoices',
@@ -0,0 +1,451 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const moment = require('moment');
+const BankRemittance = require('../models/BankRemittance');
+const Payroll = require('../models/Payroll');
+const { auth, authorize } = require('../middleware/auth');
+const { parseBankAccount, buildPaymentRemittance, parseReturnFile } = require('../utils/cnab240');
+const { roundCurrency } = require('../utils/currency');
+
+const router = express.Router();
+
+// Return files are small text files, parsed straight from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['.ret', '.txt', '.rem', ''];
+    if (allowedTypes.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CNAB return files (.ret, .txt) are allowed.'));
+    }
+  }
+});
+
+// Paying company account, configured through the environment
+const getRemittanceCompany = () => {
+  const agency = String(process.env.CNAB_AGENCY || '').split('-');
+  const account = String(process.env.CNAB_ACCOUNT || '').split('-');
+
+  return {
+    name: process.env.COMPANY_NAME || 'HR System',
+    cnpj: process.env.COMPANY_CNPJ || '',
+    agreement: process.env.CNAB_AGREEMENT || '',
+    bankCode: process.env.CNAB_BANK_CODE || '',
+    agency: agency[0],
+    agencyDigit: agency[1] || '',
+    account: account[0],
+    accountDigit: account[1] || '',
+    address: {
+      street: process.env.COMPANY_STREET,
+      number: process.env.COMPANY_STREET_NUMBER,
+      city: process.env.COMPANY_CITY,
+      state: process.env.COMPANY_STATE,
+      zipCode: process.env.COMPANY_ZIP_CODE
+    }
+  };
+};
+
+// Get all remittances (without the file content)
+router.get('/', auth, authorize('Admin', 'Finance'), async (req, res) => {
+  try {
+    const { month, year, bankCode } = req.query;
+
+    const filter = {};
+    if (month) filter.month = parseInt(month);
+    if (year) filter.year = parseInt(year);
+    if (bankCode) filter.bankCode = bankCode;
+
+    const remittances = await BankRemittance.find(filter)
+      .select('-content')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json(remittances);
+  } catch (error) {
+    console.error('Get remittances error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Failed transfers (and payments still waiting for a return) for reconciliation
+router.get('/reconciliation', auth, authorize('Admin', 'Finance'), async (req, res) => {
+  try {
+    const { month, year } = req.query;
+
+    const filter = { status: { $ne: 'Cancelled' }, 'items.returnStatus': { $in: ['Failed', 'Pending', 'Scheduled'] } };
+    if (month) filter.month = parseInt(month);
+    if (year) filter.year = parseInt(year);
+
+    const remittances = await BankRemittance.find(filter)
+      .select('-content')
+      .populate('items.employee', 'firstName lastName employeeId bankInfo')
+      .populate('items.payroll', 'month year period netSalary payment.status payment.remittance alimonyOrders._id alimonyOrders.payment')
+      .sort({ createdAt: -1 });
+
+    const failed = [];
+    const awaitingReturn = [];
+    for (const remittance of remittances) {
+      for (const item of remittance.items) {
+        const payment = item.alimony
+          ? item.payroll?.alimonyOrders?.find(alimony => alimony._id.toString() === item.alimony.toString())?.payment
+          : item.payroll?.payment;
+        const entry = {
+          remittance: remittance._id,
+          fileName: remittance.fileName,
+          sequence: remittance.sequence,
+          paymentDate: item.paymentDate || remittance.paymentDate,
+          reference: item.reference,
+          amount: item.amount,
+          employee: item.employee,
+          beneficiary: item.beneficiary,
+          payroll: item.payroll,
+          bankAccount: item.bankAccount,
+          occurrences: item.occurrences,
+          returnStatus: item.returnStatus,
+          returnedAt: item.returnedAt,
+          // A failed payment sent again in a later remittance is no longer outstanding
+          resent: Boolean(payment?.remittance && payment.remittance.toString() !== remittance._id.toString())
+        };
+
+        if (item.returnStatus === 'Failed') failed.push(entry);
+        else if (item.returnStatus !== 'Paid') awaitingReturn.push(entry);
+      }
+    }
+
+    res.json({
+      failed,
+      awaitingReturn,
+      summary: {
+        failedCount: failed.filter(entry => !entry.resent).length,
+        failedAmount: roundCurrency(failed.filter(entry => !entry.resent).reduce((sum, entry) => sum + entry.amount, 0)),
+        awaitingCount: awaitingReturn.length,
+        awaitingAmount: roundCurrency(awaitingReturn.reduce((sum, entry) => sum + entry.amount, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Import a CNAB 240 return file and reconcile the payments it reports
+router.post('/returns', auth, authorize('Admin'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseReturnFile(req.file.buffer.toString('latin1'));
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid return file: ${error.message}` });
+    }
+
+    const remittances = await BankRemittance.find({
+      bankCode: parsed.bankCode,
+      'items.reference': { $in: parsed.items.map(item => item.reference) }
+    });
+
+    const summary = { paid: 0, scheduled: 0, failed: 0 };
+    const unmatched = [];
+    const touched = new Map();
+
+    for (const line of parsed.items) {
+      const remittance = remittances.find(r => r.items.some(item => item.reference === line.reference));
+      if (!remittance) {
+        unmatched.push({ reference: line.reference, amount: line.amount, occurrences: line.occurrences });
+        continue;
+      }
+
+      const item = remittance.items.find(i => i.reference === line.reference);
+      item.returnStatus = line.status;
+      item.bankReference = line.bankReference || item.bankReference;
+      item.paymentDate = line.paymentDate || line.scheduledDate || item.paymentDate;
+      item.occurrences = line.occurrences;
+      item.returnedAt = new Date();
+
+      if (!touched.has(remittance._id.toString())) {
+        touched.set(remittance._id.toString(), { remittance, paid: 0, scheduled: 0, failed: 0 });
+      }
+      const counters = touched.get(remittance._id.toString());
+
+      // Payroll payment status; scheduled credits stay Processed until the bank confirms them
+      const transactionId = line.bankReference || `${parsed.bankCode}-${remittance.sequence}-${line.reference}`;
+      const update = { 'payment.transactionId': transactionId, updatedBy: req.user._id };
+
+      if (line.status === 'Paid') {
+        update['payment.status'] = 'Paid';
+        update['payment.paymentDate'] = line.paymentDate || parsed.generatedAt || new Date();
+        update.status = 'Paid';
+        counters.paid++;
+        summary.paid++;
+      } else if (line.status === 'Failed') {
+        update['payment.status'] = 'Failed';
+        counters.failed++;
+        summary.failed++;
+      } else {
+        counters.scheduled++;
+        summary.scheduled++;
+      }
+
+      if (item.alimony) {
+        // Alimony beneficiary payment: only its own entry changes, not the payroll net pay
+        const alimonyUpdate = { 'alimonyOrders.$.payment.transactionId': transactionId };
+        if (update['payment.status']) alimonyUpdate['alimonyOrders.$.payment.status'] = update['payment.status'];
+        if (update['payment.paymentDate']) alimonyUpdate['alimonyOrders.$.payment.paymentDate'] = update['payment.paymentDate'];
+        await Payroll.updateOne(
+          {
+            _id: item.payroll,
+            alimonyOrders: { $elemMatch: { _id: item.alimony, 'payment.remittance': remittance._id } }
+          },
+          { $set: alimonyUpdate }
+        );
+        continue;
+      }
+
+      // Only the latest remittance of a payroll may change its payment status
+      await Payroll.updateOne({ _id: item.payroll, 'payment.remittance': remittance._id }, { $set: update });
+    }
+
+    for (const { remittance, paid, scheduled, failed } of touched.values()) {
+      remittance.returns.push({
+        fileName: req.file.originalname,
+        sequence: parsed.sequence,
+        paid,
+        scheduled,
+        failed,
+        importedBy: req.user._id
+      });
+      remittance.updateReturnStatus();
+      await remittance.save();
+    }
+
+    res.json({
+      message: `Return processed: ${summary.paid} paid, ${summary.failed} failed, ${summary.scheduled} scheduled`,
+      ...summary,
+      unmatched
+    });
+  } catch (error) {
+    console.error('Import return file error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get remittance by ID
+router.get('/:id', auth, authorize('Admin', 'Finance'), async (req, res) => {
+  try {
+    const remittance = await BankRemittance.findById(req.params.id)
+      .select('-content')
+      .populate('items.employee', 'firstName lastName employeeId')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!remittance) {
+      return res.status(404).json({ error: 'Remittance not found' });
+    }
+
+    res.json(remittance);
+  } catch (error) {
+    console.error('Get remittance error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Download a generated remittance file again
+router.get('/:id/file', auth, authorize('Admin', 'Finance'), async (req, res) => {
+  try {
+    const remittance = await BankRemittance.findById(req.params.id);
+    if (!remittance) {
+      return res.status(404).json({ error: 'Remittance not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=us-ascii');
+    res.setHeader('Content-Disposition', `attachment; filename="${remittance.fileName}"`);
+    res.send(remittance.content);
+  } catch (error) {
+    console.error('Download remittance error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Generate a CNAB 240 salary payment remittance for the approved payrolls of a period
+router.post('/cnab240', auth, authorize('Admin', 'Finance'), [
+  body('month').isInt({ min: 1, max: 12 }).withMessage('Valid month is required'),
+  body('year').isInt({ min: 2000 }).withMessage('Valid year is required'),
+  body('paymentDate').isISO8601().withMessage('Valid payment date is required'),
+  body('layout').optional().isObject().withMessage('Layout overrides must be an object'),
+  body('period').optional().isIn(Payroll.schema.path('period').enumValues).withMessage('Invalid payroll period')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = getRemittanceCompany();
+    if (!/^\d{3}$/.test(company.bankCode) || !company.cnpj || !company.agency || !company.account) {
+      return res.status(400).json({ error: 'Paying bank account is not configured (CNAB_BANK_CODE, CNAB_AGENCY, CNAB_ACCOUNT, COMPANY_CNPJ)' });
+    }
+
+    const month = parseInt(req.body.month);
+    const year = parseInt(req.body.year);
+
+    const payrolls = await Payroll.find({
+      month,
+      year,
+      ...(req.body.period ? { period: req.body.period } : {}),
+      status: 'Approved',
+      'payment.method': 'Bank Transfer',
+      'payment.status': { $in: ['Pending', 'Failed'] },
+      netSalary: { $gt: 0 }
+    }).populate('employee', 'firstName lastName employeeId cpf address bankInfo');
+
+    const sequence = await BankRemittance.nextSequence(company.bankCode);
+    const payments = [];
+    const skipped = [];
+
+    for (const payroll of payrolls) {
+      const employee = payroll.employee;
+      const bankAccount = parseBankAccount(payroll.payment.bankInfo?.bank ? payroll.payment.bankInfo : employee.bankInfo);
+      if (!bankAccount) {
+        skipped.push({ payroll: payroll._id, employee: employee._id, reason: 'Incomplete bank information' });
+        continue;
+      }
+      if (!employee.cpf) {
+        skipped.push({ payroll: payroll._id, employee: employee._id, reason: 'Employee has no CPF' });
+        continue;
+      }
+
+      payments.push({
+        payroll,
+        reference: `${String(sequence).padStart(6, '0')}${String(payments.length + 1).padStart(6, '0')}`,
+        amount: roundCurrency(payroll.netSalary),
+        name: `${employee.firstName} ${employee.lastName}`,
+        cpf: employee.cpf,
+        address: employee.address,
+        bankAccount
+      });
+    }
+
+    // Alimony beneficiaries paid by bank transfer, withheld from payrolls already approved (or paid)
+    const alimonyPayrolls = await Payroll.find({
+      month,
+      year,
+      ...(req.body.period ? { period: req.body.period } : {}),
+      status: { $in: ['Approved', 'Processed', 'Paid'] },
+      alimonyOrders: {
+        $elemMatch: {
+          'beneficiary.paymentMethod': 'Bank Transfer',
+          'payment.status': { $in: ['Pending', 'Failed'] },
+          amount: { $gt: 0 }
+        }
+      }
+    }).populate('employee', 'firstName lastName employeeId');
+
+    for (const payroll of alimonyPayrolls) {
+      for (const alimony of payroll.alimonyOrders) {
+        if (alimony.beneficiary.paymentMethod !== 'Bank Transfer' || alimony.amount <= 0 ||
+            !['Pending', 'Failed'].includes(alimony.payment.status)) continue;
+
+        const bankAccount = parseBankAccount(alimony.beneficiary.bankInfo);
+        if (!bankAccount || !alimony.beneficiary.cpf) {
+          skipped.push({
+            payroll: payroll._id,
+            employee: payroll.employee._id,
+            beneficiary: alimony.beneficiary.name,
+            reason: bankAccount ? 'Alimony beneficiary has no CPF' : 'Incomplete alimony beneficiary bank information'
+          });
+          continue;
+        }
+
+        payments.push({
+          payroll,
+          alimony: alimony._id,
+          reference: `${String(sequence).padStart(6, '0')}${String(payments.length + 1).padStart(6, '0')}`,
+          amount: roundCurrency(alimony.amount),
+          name: alimony.beneficiary.name,
+          cpf: alimony.beneficiary.cpf,
+          bankAccount
+        });
+      }
+    }
+
+    if (payments.length === 0) {
+      return res.status(400).json({ error: 'No approved payrolls to pay in this period', skipped });
+    }
+
+    const result = buildPaymentRemittance(company, payments, {
+      sequence,
+      paymentDate: req.body.paymentDate,
+      layout: req.body.layout
+    });
+
+    const remittance = new BankRemittance({
+      bankCode: company.bankCode,
+      sequence,
+      month,
+      year,
+      paymentDate: moment.utc(req.body.paymentDate).startOf('day').toDate(),
+      fileName: `CNAB240-${company.bankCode}-${String(sequence).padStart(6, '0')}.REM`,
+      content: result.content,
+      recordCount: result.recordCount,
+      total: result.total,
+      items: result.batches.flatMap(batch => batch.payments.map(payment => ({
+        payroll: payment.payroll._id,
+        employee: payment.payroll.employee._id,
+        alimony: payment.alimony,
+        beneficiary: payment.alimony ? payment.name : undefined,
+        reference: payment.reference,
+        lot: batch.lot,
+        launchCode: batch.launchCode,
+        amount: payment.amount,
+        bankAccount: payment.bankAccount
+      }))),
+      createdBy: req.user._id
+    });
+    await remittance.save();
+
+    await Payroll.updateMany(
+      { _id: { $in: payments.filter(payment => !payment.alimony).map(payment => payment.payroll._id) } },
+      {
+        $set: {
+          'payment.status': 'Processed',
+          'payment.remittance': remittance._id,
+          updatedBy: req.user._id
+        }
+      }
+    );
+    for (const payment of payments.filter(p => p.alimony)) {
+      await Payroll.updateOne(
+        { _id: payment.payroll._id, 'alimonyOrders._id': payment.alimony },
+        {
+          $set: {
+            'alimonyOrders.$.payment.status': 'Processed',
+            'alimonyOrders.$.payment.remittance': remittance._id
+          }
+        }
+      );
+    }
+
+    res.status(201).json({
+      message: `Remittance generated with ${payments.length} payments`,
+      remittance: {
+        _id: remittance._id,
+        fileName: remittance.fileName,
+        sequence,
+        total: remittance.total,
+        payments: payments.length
+      },
+      skipped
+    });
+  } catch (error) {
+    console.error('Generate remittance error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -7,11 +7,16 @@ const fs = require('fs');
 // Import models
 const Employee = require('../models/Employee');
 const Benefit = require('../models/Benefit');
+const Holiday = require('../models/Holiday');
 const User = require('../models/User');
 
 // Import middleware
 const { authenticateToken, authorize } = require('../middleware/auth');
 
+// Import utils
+const { isScheduleSpreadsheet, readScheduleRows, parseSchedule } = require('../utils/vrSchedule');
+const { countDatesWorkingDays } = require('../utils/businessDays');
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -93,27 +98,7 @@ router.get('/employee/:employeeId/:month/:year', authenticateToken, async (req,
         return res.status(404).json({ error: 'Employee not found' });
       }
       
-      benefit = new Benefit({
-        employeeId,
-        month: `${year}-${month.toString().padStart(2, '0')}`,
-        year: parseInt(year),
-        valeRefeicao: {
-          enabled: employee.benefits.valeRefeicao.enabled,
-          dailyValue: employee.benefits.valeRefeicao.dailyValue,
-          businessDays: employee.benefits.valeRefeicao.monthlyDays,
-          saturdays: 0
-        },
-        valeTransporte: {
-          enabled: employee.benefits.valeTransporte.enabled,
-          fixedAmount: employee.benefits.valeTransporte.fixedAmount,
-          dailyValue: employee.benefits.valeTransporte.dailyValue
-        },
-        mobilidade: {
-          enabled: employee.benefits.mobilidade.enabled,
-          monthlyValue: employee.benefits.mobilidade.monthlyValue
-        },
-        createdBy: req.user._id
-      });
+      benefit = await Benefit.createForEmployee(employee, parseInt(month), parseInt(year), req.user._id);
       
       await benefit.save();
     }
@@ -136,12 +121,12 @@ router.post('/calculate', authenticateToken, authorize('admin', 'hr'), async (re
     });
     
     if (!benefit) {
-      benefit = new Benefit({
-        employeeId,
-        month: `${year}-${month.toString().padStart(2, '0')}`,
-        year: parseInt(year),
-        createdBy: req.user._id
-      });
+      const employee = await Employee.findById(employeeId);
+      if (!employee) {
+        return res.status(404).json({ error: 'Employee not found' });
+      }
+      
+      benefit = await Benefit.createForEmployee(employee, parseInt(month), parseInt(year), req.user._id);
     }
     
     // Update VR data
@@ -178,7 +163,82 @@ router.post('/calculate', authenticateToken, authorize('admin', 'hr'), async (re
   }
 });
 
+// Set the VR days of every employee listed in a parsed schedule spreadsheet (see utils/vrSchedule)
+// Returns a row-level report: matched rows update (or create) the employee's benefit record,
+// unmatched rows name no registered employee and invalid rows have errors or repeat an employee
+// VR days leave out the holidays of each employee's work location
+const applyScheduleRows = async (rows, file, month, year, userId) => {
+  const monthKey = `${year}-${month.toString().padStart(2, '0')}`;
+  const scheduleFile = {
+    url: `/uploads/schedules/${file.filename}`,
+    uploadedBy: userId,
+    uploadedAt: new Date()
+  };
+
+  // Holidays of the month per work location
+  const holidaysByLocation = new Map();
+  const getHolidays = async (location = {}) => {
+    const key = `${location.state || ''}/${(location.city || '').toLowerCase()}`;
+    if (!holidaysByLocation.has(key)) {
+      const calendar = await Holiday.getBusinessDaysFor(month, year, location);
+      holidaysByLocation.set(key, calendar.holidays.map(holiday => holiday.date));
+    }
+    return holidaysByLocation.get(key);
+  };
+
+  const seen = new Set();
+  const report = [];
+  for (const entry of rows) {
+    const { errors, dates, ...line } = entry;
+    if (errors.length > 0) {
+      report.push({ ...line, status: 'invalid', errors });
+      continue;
+    }
+
+    const filter = entry.employeeId
+      ? { employeeId: entry.employeeId }
+      : { cpf: { $in: [entry.cpf, entry.cpf.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4')] } };
+    const employee = await Employee.findOne(filter);
+    if (!employee) {
+      report.push({ ...line, status: 'unmatched', errors: ['Employee not found'] });
+      continue;
+    }
+    if (seen.has(employee._id.toString())) {
+      report.push({ ...line, status: 'invalid', errors: ['Employee is listed more than once'] });
+      continue;
+    }
+    seen.add(employee._id.toString());
+
+    line.days = { ...line.days, ...countDatesWorkingDays(dates, await getHolidays(employee.workLocation || {})) };
+
+    let benefit = await Benefit.findOne({ employeeId: employee._id, month: monthKey });
+    if (!benefit) {
+      benefit = await Benefit.createForEmployee(employee, month, year, userId);
+    }
+    benefit.applySchedule(line.days, scheduleFile);
+    benefit.updatedBy = userId;
+    await benefit.save();
+
+    report.push({
+      ...line,
+      status: 'matched',
+      employee: { _id: employee._id, employeeId: employee.employeeId, firstName: employee.firstName, lastName: employee.lastName },
+      benefit: benefit._id,
+      vrAmount: benefit.valeRefeicao.finalAmount,
+      errors: []
+    });
+  }
+
+  const count = (status) => report.filter(line => line.status === status).length;
+  return {
+    summary: { rows: report.length, matched: count('matched'), unmatched: count('unmatched'), invalid: count('invalid') },
+    rows: report
+  };
+};
+
 // Upload schedule file for VR calculation
+// Spreadsheets (xlsx/csv) are parsed for every employee listed; other files are stored for the
+// given employee with the days typed in the form
 router.post('/upload-schedule', authenticateToken, authorize('admin', 'hr'), upload.single('schedule'), async (req, res) => {
   try {
     const { employeeId, month, year, businessDays, saturdays } = req.body;
@@ -186,6 +246,27 @@ router.post('/upload-schedule', authenticateToken, authorize('admin', 'hr'), upl
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
+    if (!parseInt(month) || !parseInt(year)) {
+      return res.status(400).json({ error: 'Month and year are required' });
+    }
+    
+    if (isScheduleSpreadsheet(req.file.originalname)) {
+      let rows;
+      try {
+        ({ rows } = parseSchedule(await readScheduleRows(req.file.path, req.file.originalname), parseInt(month), parseInt(year)));
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid schedule file: ${error.message}` });
+      }
+      
+      const result = await applyScheduleRows(rows, req.file, parseInt(month), parseInt(year), req.user._id);
+      
+      return res.json({
+        message: 'Schedule imported successfully',
+        month: parseInt(month),
+        year: parseInt(year),
+        ...result
+      });
+    }
     
     let benefit = await Benefit.findOne({
       employeeId,
@@ -196,8 +277,13 @@ router.post('/upload-schedule', authenticateToken, authorize('admin', 'hr'), upl
       return res.status(404).json({ error: 'Benefit record not found. Please calculate benefits first.' });
     }
     
-    // Update schedule data
-    benefit.valeRefeicao.businessDays = parseInt(businessDays) || 22;
+    // Update schedule data (days missing from the schedule come from the holiday calendar)
+    let calendar = null;
+    if (!parseInt(businessDays)) {
+      const employee = await Employee.findById(benefit.employeeId).select('workLocation');
+      calendar = await Holiday.getBusinessDaysFor(parseInt(month), parseInt(year), employee?.workLocation || {});
+    }
+    benefit.valeRefeicao.businessDays = parseInt(businessDays) || calendar.businessDays;
     benefit.valeRefeicao.saturdays = parseInt(saturdays) || 0;
     benefit.valeRefeicao.scheduleFile = {
       url: `/uploads/schedules/${req.file.filename}`,
@@ -371,6 +457,7 @@ router.get('/statistics/:month/:year', authenticateToken, async (req, res) => {
           _id: null,
           totalVR: { $sum: '$valeRefeicao.finalAmount' },
           totalVT: { $sum: '$valeTransporte.finalAmount' },
+          totalVTCoPayment: { $sum: '$valeTransporte.coPayment' },
           totalMobilidade: { $sum: '$mobilidade.monthlyValue' },
           totalAmount: { $sum: '$totalBenefitAmount' },
           employeeCount: { $sum: 1 },
@@ -393,6 +480,7 @@ router.get('/statistics/:month/:year', authenticateToken, async (req, res) => {
     res.json(stats[0] || {
       totalVR: 0,
       totalVT: 0,
+      totalVTCoPayment: 0,
       totalMobilidade: 0,
       totalAmount: 0,
       employeeCount: 0,
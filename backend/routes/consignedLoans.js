@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ConsignedLoan = require('../models/ConsignedLoan');
+const Employee = require('../models/Employee');
+const { auth, authorize } = require('../middleware/auth');
+const { roundCurrency } = require('../utils/currency');
+
+const router = express.Router();
+
+// Loan with its remaining balance and progress
+const withBalance = (loan) => ({
+  ...loan.toObject(),
+  remainingBalance: loan.remainingBalance,
+  paidInstallments: loan.paidInstallments
+});
+
+// Get all consigned loans with their remaining balances
+router.get('/', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const { employeeId, lender, status } = req.query;
+
+    const filter = {};
+    if (employeeId) filter.employee = employeeId;
+    if (lender) filter.lender = lender;
+    if (status) filter.status = status;
+
+    const loans = await ConsignedLoan.find(filter)
+      .populate('employee', 'firstName lastName employeeId department')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      loans: loans.map(withBalance),
+      remainingBalance: roundCurrency(loans.reduce((sum, loan) => sum + loan.remainingBalance, 0))
+    });
+  } catch (error) {
+    console.error('Get consigned loans error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get consigned loan by ID
+router.get('/:id', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const loan = await ConsignedLoan.findById(req.params.id)
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate('installments.payroll', 'month year period status')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!loan) {
+      return res.status(404).json({ error: 'Consigned loan not found' });
+    }
+
+    res.json(withBalance(loan));
+  } catch (error) {
+    console.error('Get consigned loan error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Register a consigned loan and its installment schedule
+router.post('/', auth, authorize('Admin', 'HR'), [
+  body('employeeId').isMongoId().withMessage('Valid employee ID is required'),
+  body('lender').trim().notEmpty().withMessage('Lender is required'),
+  body('contractNumber').trim().notEmpty().withMessage('Contract number is required'),
+  body('totalAmount').isFloat({ gt: 0 }).withMessage('Total amount must be greater than zero'),
+  body('installmentCount').isInt({ min: 1, max: 120 }).withMessage('Installment count must be between 1 and 120'),
+  body('startMonth').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Start month must be YYYY-MM'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employee = await Employee.findById(req.body.employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (employee.status === 'Terminated') {
+      return res.status(400).json({ error: 'Cannot register a loan for a terminated employee' });
+    }
+
+    const { lender, contractNumber, totalAmount, installmentCount, startMonth, notes } = req.body;
+
+    const existing = await ConsignedLoan.findOne({ lender, contractNumber });
+    if (existing) {
+      return res.status(400).json({ error: 'A loan with this contract number is already registered for the lender' });
+    }
+
+    const loan = new ConsignedLoan({
+      employee: employee._id,
+      lender,
+      contractNumber,
+      totalAmount: roundCurrency(totalAmount),
+      installmentCount: parseInt(installmentCount),
+      startMonth,
+      notes,
+      createdBy: req.user._id
+    });
+    loan.buildInstallments();
+    await loan.save();
+
+    res.status(201).json({
+      message: 'Consigned loan registered successfully',
+      loan: withBalance(loan)
+    });
+  } catch (error) {
+    console.error('Create consigned loan error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel a loan (e.g. paid off early with the lender); installments not yet deducted are cancelled
+router.post('/:id/cancel', auth, authorize('Admin', 'HR'), [
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const loan = await ConsignedLoan.findById(req.params.id);
+    if (!loan) {
+      return res.status(404).json({ error: 'Consigned loan not found' });
+    }
+
+    if (loan.status !== 'Active') {
+      return res.status(400).json({ error: `Consigned loan is already ${loan.status.toLowerCase()}` });
+    }
+
+    for (const installment of loan.installments) {
+      if (installment.status === 'Pending') installment.status = 'Cancelled';
+    }
+    loan.status = 'Cancelled';
+    if (req.body.reason) {
+      loan.notes = loan.notes ? `${loan.notes}\n${req.body.reason}` : req.body.reason;
+    }
+    loan.updatedBy = req.user._id;
+    await loan.save();
+
+    res.json({
+      message: 'Consigned loan cancelled successfully',
+      loan: withBalance(loan)
+    });
+  } catch (error) {
+    console.error('Cancel consigned loan error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { body, validationResult } = require('express-validator');
 const { auth, authorize } = require('../middleware/auth');
 const Employee = require('../models/Employee');
 const Payroll = require('../models/Payroll');
+const { generatePayslipPdf, getPayslipFileName } = require('../utils/payslipPdf');
 const moment = require('moment');
 
 const router = express.Router();
@@ -58,6 +59,7 @@ const emailTemplates = {
           <p><strong>Valor Total:</strong> R$ {totalAmount}</p>
         </div>
         <p>O pagamento será realizado conforme o método: <strong>{paymentMethod}</strong></p>
+        <p>O holerite detalhado segue em anexo (PDF).</p>
         <hr style="margin: 30px 0;">
         <p style="font-size: 12px; color: #666;">
           Esta é uma mensagem automática do sistema de RH.
@@ -239,13 +241,21 @@ router.post('/payroll-notification', auth, authorize('Admin', 'HR'), [
       .replace(/{totalAmount}/g, emailData.totalAmount)
       .replace(/{paymentMethod}/g, emailData.paymentMethod);
 
+    // Payslip PDF attachment
+    const payslip = await generatePayslipPdf(payroll);
+
     // Send email
     const transporter = createTransporter();
     const mailOptions = {
       from: process.env.SMTP_USER,
       to: employee.email,
       subject: subject,
-      html: html
+      html: html,
+      attachments: [{
+        filename: getPayslipFileName(payroll),
+        content: Buffer.from(payslip),
+        contentType: 'application/pdf'
+      }]
     };
 
     const result = await transporter.sendMail(mailOptions);
@@ -1,10 +1,48 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Employee = require('../models/Employee');
+const Benefit = require('../models/Benefit');
+const FareTable = require('../models/FareTable');
 const { auth, authorize } = require('../middleware/auth');
+const { PIX_KEY_TYPES, validatePixKey } = require('../utils/pixKey');
+const { getInssStartDate } = require('../utils/salaryProration');
+const { COMMUTE_MODES, calculateCommuteDailyValue } = require('../utils/valeTransporte');
 
 const router = express.Router();
 
+// Validate the PIX key of an employee registration (or alimony beneficiary) against its CPF
+// Returns an error message, or null after normalizing the key in place
+const checkPixKey = (data, cpf) => {
+  const paymentMethod = data.paymentMethod;
+  if (!data.pixKey?.key) {
+    return paymentMethod === 'PIX' ? 'A PIX key is required for PIX payments' : null;
+  }
+
+  const result = validatePixKey(data.pixKey.keyType, data.pixKey.key, { cpf });
+  if (!result.valid) return result.error;
+
+  data.pixKey = { keyType: result.type, key: result.key };
+  return null;
+};
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country', 'neighborhood'];
+
+// Flag an address change on the employee's benefit record of the month, which opens a review of the VT route
+const flagAddressChange = async (employee) => {
+  const today = new Date();
+  const month = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+
+  const benefit = await Benefit.findOne({ employeeId: employee._id, month });
+  if (benefit) {
+    const alreadyFlagged = benefit.valeTransporte.addressChanged;
+    benefit.valeTransporte.addressChanged = true;
+    benefit.valeTransporte.newAddress = employee.address;
+    await benefit.save();
+    if (!alreadyFlagged) return;
+  }
+  await Employee.openCommuteReview(employee._id, 'Address changed');
+};
+
 // Get all employees with pagination and filters
 router.get('/', auth, async (req, res) => {
   try {
@@ -90,7 +128,9 @@ router.post('/', auth, authorize('Admin', 'HR'), [
   body('position').notEmpty().withMessage('Position is required'),
   body('hireDate').isISO8601().withMessage('Valid hire date is required'),
   body('employmentType').isIn(['CLT', 'PJ', 'Intern', 'Temporary']).withMessage('Valid employment type is required'),
-  body('baseSalary').isNumeric().withMessage('Valid base salary is required')
+  body('baseSalary').isNumeric().withMessage('Valid base salary is required'),
+  body('paymentMethod').optional().isIn(['Bank Transfer', 'PIX']).withMessage('Invalid payment method'),
+  body('pixKey.keyType').optional().isIn(PIX_KEY_TYPES).withMessage('Invalid PIX key type')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -98,6 +138,11 @@ router.post('/', auth, authorize('Admin', 'HR'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const pixKeyError = checkPixKey(req.body, req.body.cpf);
+    if (pixKeyError) {
+      return res.status(400).json({ error: pixKeyError });
+    }
+
     // Check if employee already exists
     const existingEmployee = await Employee.findOne({
       $or: [
@@ -143,7 +188,16 @@ router.put('/:id', auth, authorize('Admin', 'HR'), [
   body('status').optional().isIn(['Active', 'Inactive', 'Terminated', 'On Leave']),
   body('employmentType').optional().isIn(['CLT', 'PJ', 'Intern', 'Temporary']),
   body('baseSalary').optional().isNumeric(),
-  body('workSchedule').optional().isIn(['Monday-Friday', 'Monday-Saturday', 'Flexible', 'Remote'])
+  body('salaryEffectiveDate').optional().isISO8601().withMessage('Valid salary effective date is required'),
+  body('salaryChangeReason').optional().trim(),
+  body('workSchedule').optional().isIn(['Monday-Friday', 'Monday-Saturday', 'Flexible', 'Remote']),
+  body('vacationBalance.days').optional().isFloat({ min: 0 }).withMessage('Vacation balance must be a positive number of days'),
+  body('vacationBalance.asOf').optional().isISO8601().withMessage('Valid vacation balance date is required'),
+  body('benefits.valeTransporte.optedOut').optional().isBoolean(),
+  body('benefits.valeTransporte.coPaymentRate').optional().isFloat({ min: 0, max: 0.06 }).withMessage('VT co-payment rate must be between 0 and 0.06'),
+  body('workLocation.state').optional().trim().isLength({ min: 2, max: 2 }).withMessage('Work location state must be a two-letter UF'),
+  body('paymentMethod').optional().isIn(['Bank Transfer', 'PIX']).withMessage('Invalid payment method'),
+  body('pixKey.keyType').optional().isIn(PIX_KEY_TYPES).withMessage('Invalid PIX key type')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -151,9 +205,56 @@ router.put('/:id', auth, authorize('Admin', 'HR'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    if (req.body.pixKey || req.body.paymentMethod === 'PIX') {
+      const current = await Employee.findById(req.params.id).select('cpf pixKey');
+      if (!current) {
+        return res.status(404).json({ error: 'Employee not found' });
+      }
+
+      const registration = {
+        paymentMethod: req.body.paymentMethod,
+        pixKey: req.body.pixKey || current.pixKey?.toObject()
+      };
+      const pixKeyError = checkPixKey(registration, req.body.cpf || current.cpf);
+      if (pixKeyError) {
+        return res.status(400).json({ error: pixKeyError });
+      }
+      if (req.body.pixKey) req.body.pixKey = registration.pixKey;
+    }
+
+    const { salaryEffectiveDate, salaryChangeReason, salaryHistory, ...changes } = req.body;
+    const update = { ...changes, updatedBy: req.user._id };
+
+    let addressChanged = false;
+    if (changes.address) {
+      const current = await Employee.findById(req.params.id).select('address');
+      addressChanged = !!current && ADDRESS_FIELDS.some(field => (
+        (changes.address[field] || '') !== (current.address?.[field] || '')
+      ));
+      if (addressChanged && !changes.benefits) {
+        update['benefits.valeTransporte.lastAddressUpdate'] = new Date();
+      }
+    }
+
+    // Base salary changes are kept in the salary history
+    if (changes.baseSalary !== undefined) {
+      const current = await Employee.findById(req.params.id).select('baseSalary');
+      if (current && Number(changes.baseSalary) !== current.baseSalary) {
+        update.$push = {
+          salaryHistory: {
+            previousSalary: current.baseSalary,
+            salary: Number(changes.baseSalary),
+            effectiveDate: salaryEffectiveDate ? new Date(salaryEffectiveDate) : new Date(),
+            reason: salaryChangeReason,
+            changedBy: req.user._id
+          }
+        };
+      }
+    }
+
     const employee = await Employee.findByIdAndUpdate(
       req.params.id,
-      { ...req.body, updatedBy: req.user._id },
+      update,
       { new: true, runValidators: true }
     )
     .populate('manager', 'firstName lastName email')
@@ -164,6 +265,10 @@ router.put('/:id', auth, authorize('Admin', 'HR'), [
       return res.status(404).json({ error: 'Employee not found' });
     }
 
+    if (addressChanged) {
+      await flagAddressChange(employee);
+    }
+
     res.json({
       message: 'Employee updated successfully',
       employee
@@ -226,6 +331,419 @@ router.post('/:id/notes', auth, [
   }
 });
 
+// Record a leave of absence; the employee is On Leave while it is open
+router.post('/:id/leaves', auth, authorize('Admin', 'HR'), [
+  body('reason').isIn(['Sickness', 'Work Accident', 'Maternity', 'Other']).withMessage('Valid leave reason is required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  body('inssStartDate').optional().isISO8601().withMessage('Valid INSS start date is required'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const { reason, startDate, endDate, inssStartDate, notes } = req.body;
+    if (endDate && new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({ error: 'End date must be on or after the start date' });
+    }
+
+    const leave = { reason, startDate, endDate, notes };
+    leave.inssStartDate = inssStartDate || getInssStartDate(leave);
+    employee.leaves.push(leave);
+
+    if (!endDate || new Date(endDate) >= new Date()) {
+      employee.status = 'On Leave';
+    }
+    employee.updatedBy = req.user._id;
+    await employee.save();
+
+    res.status(201).json({
+      message: 'Leave recorded successfully',
+      employee
+    });
+  } catch (error) {
+    console.error('Add leave error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Close a leave of absence (return to work)
+router.put('/:id/leaves/:leaveId', auth, authorize('Admin', 'HR'), [
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const leave = employee.leaves.id(req.params.leaveId);
+    if (!leave) {
+      return res.status(404).json({ error: 'Leave not found' });
+    }
+
+    if (new Date(req.body.endDate) < leave.startDate) {
+      return res.status(400).json({ error: 'End date must be on or after the start date' });
+    }
+
+    leave.endDate = req.body.endDate;
+    if (req.body.notes !== undefined) leave.notes = req.body.notes;
+
+    const onLeave = employee.leaves.some(l => !l.endDate || l.endDate >= new Date());
+    if (employee.status === 'On Leave' && !onLeave) {
+      employee.status = 'Active';
+    }
+    employee.updatedBy = req.user._id;
+    await employee.save();
+
+    res.json({
+      message: 'Leave updated successfully',
+      employee
+    });
+  } catch (error) {
+    console.error('Update leave error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const recurringItemValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('description').trim().notEmpty().withMessage('Description is required'),
+    field('type').isIn(['Earning', 'Deduction']).withMessage('Type must be Earning or Deduction'),
+    body('mode').optional().isIn(['Fixed', 'Percentage']).withMessage('Mode must be Fixed or Percentage'),
+    field('value').isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+    field('startMonth').matches(MONTH_PATTERN).withMessage('Start month must be YYYY-MM'),
+    body('endMonth').optional({ nullable: true }).matches(MONTH_PATTERN).withMessage('End month must be YYYY-MM'),
+    body('incidence.inss').optional().isBoolean(),
+    body('incidence.irrf').optional().isBoolean(),
+    body('incidence.fgts').optional().isBoolean(),
+    body('code').optional().trim(),
+    body('active').optional().isBoolean()
+  ];
+};
+
+// Add a recurring earning or deduction, applied by every monthly payroll in its months
+// Without an explicit incidence, earnings are part of the INSS/IRRF/FGTS base and deductions don't reduce it
+router.post('/:id/recurring-items', auth, authorize('Admin', 'HR'), recurringItemValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const { code, description, type, mode, value, startMonth, endMonth, incidence = {} } = req.body;
+    if (endMonth && endMonth < startMonth) {
+      return res.status(400).json({ error: 'End month must be on or after the start month' });
+    }
+    if (mode === 'Percentage' && value > 100) {
+      return res.status(400).json({ error: 'Percentage must be at most 100' });
+    }
+
+    const taxable = type === 'Earning';
+    employee.recurringItems.push({
+      code,
+      description,
+      type,
+      mode,
+      value,
+      startMonth,
+      endMonth,
+      incidence: {
+        inss: incidence.inss ?? taxable,
+        irrf: incidence.irrf ?? taxable,
+        fgts: incidence.fgts ?? taxable
+      }
+    });
+    employee.updatedBy = req.user._id;
+    await employee.save();
+
+    res.status(201).json({
+      message: 'Recurring item added successfully',
+      employee
+    });
+  } catch (error) {
+    console.error('Add recurring item error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update a recurring item (changes apply to the payrolls generated afterwards)
+router.put('/:id/recurring-items/:itemId', auth, authorize('Admin', 'HR'), recurringItemValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const item = employee.recurringItems.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Recurring item not found' });
+    }
+
+    for (const field of ['code', 'description', 'type', 'mode', 'value', 'startMonth', 'endMonth', 'active']) {
+      if (req.body[field] !== undefined) item[field] = req.body[field];
+    }
+    for (const tax of ['inss', 'irrf', 'fgts']) {
+      if (req.body.incidence?.[tax] !== undefined) item.incidence[tax] = req.body.incidence[tax];
+    }
+
+    if (item.endMonth && item.endMonth < item.startMonth) {
+      return res.status(400).json({ error: 'End month must be on or after the start month' });
+    }
+    if (item.mode === 'Percentage' && item.value > 100) {
+      return res.status(400).json({ error: 'Percentage must be at most 100' });
+    }
+
+    employee.updatedBy = req.user._id;
+    await employee.save();
+
+    res.json({
+      message: 'Recurring item updated successfully',
+      employee
+    });
+  } catch (error) {
+    console.error('Update recurring item error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a recurring item (payrolls already generated keep their snapshot)
+router.delete('/:id/recurring-items/:itemId', auth, authorize('Admin', 'HR'), async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const item = employee.recurringItems.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Recurring item not found' });
+    }
+
+    item.deleteOne();
+    employee.updatedBy = req.user._id;
+    await employee.save();
+
+    res.json({
+      message: 'Recurring item removed successfully',
+      employee
+    });
+  } catch (error) {
+    console.error('Remove recurring item error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const ALIMONY_BASES = ['Gross', 'Net', 'Minimum Wage', 'Fixed'];
+
+const alimonyOrderValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('beneficiary.name').trim().notEmpty().withMessage('Beneficiary name is required'),
+    body('beneficiary.paymentMethod').optional().isIn(['Bank Transfer', 'PIX']).withMessage('Invalid beneficiary payment method'),
+    body('beneficiary.pixKey.keyType').optional().isIn(PIX_KEY_TYPES).withMessage('Invalid PIX key type'),
+    field('basis').isIn(ALIMONY_BASES).withMessage('Basis must be Gross, Net, Minimum Wage or Fixed'),
+    field('value').isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+    field('startDate').isISO8601().withMessage('Valid start date is required'),
+    body('endDate').optional({ nullable: true }).isISO8601().withMessage('Valid end date is required'),
+    body('appliesToThirteenth').optional().isBoolean(),
+    body('appliesToVacation').optional().isBoolean(),
+    body('courtCase').optional().trim(),
+    body('active').optional().isBoolean()
+  ];
+};
+
+// Check an alimony order: percentages up to 100% and a valid beneficiary PIX key
+// Returns an error message, or null after normalizing the PIX key in place
+const checkAlimonyOrder = (order) => {
+  if (order.basis !== 'Fixed' && order.value > 100) {
+    return 'Percentage must be at most 100';
+  }
+  if (order.endDate && new Date(order.endDate) < new Date(order.startDate)) {
+    return 'End date must be on or after the start date';
+  }
+  return checkPixKey(order.beneficiary, order.beneficiary.cpf);
+};
+
+// Register a court-ordered alimony; payrolls generated afterwards deduct it and pay the beneficiary
+router.post('/:id/alimony-orders', auth, authorize('Admin', 'HR'), alimonyOrderValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const { courtCase, beneficiary, basis, value, appliesToThirteenth, appliesToVacation, startDate, endDate } = req.body;
+    const order = { courtCase, beneficiary, basis, value, appliesToThirteenth, appliesToVacation, startDate, endDate };
+
+    const orderError = checkAlimonyOrder(order);
+    if (orderError) {
+      return res.status(400).json({ error: orderError });
+    }
+
+    employee.alimonyOrders.push(order);
+    employee.updatedBy = req.user._id;
+    await employee.save();
+
+    res.status(201).json({
+      message: 'Alimony order added successfully',
+      employee
+    });
+  } catch (error) {
+    console.error('Add alimony order error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update an alimony order (changes apply to the payrolls generated afterwards)
+router.put('/:id/alimony-orders/:orderId', auth, authorize('Admin', 'HR'), alimonyOrderValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const order = employee.alimonyOrders.id(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Alimony order not found' });
+    }
+
+    const updated = { ...order.toObject(), ...req.body };
+    if (req.body.beneficiary) {
+      updated.beneficiary = { ...order.toObject().beneficiary, ...req.body.beneficiary };
+    }
+
+    const orderError = checkAlimonyOrder(updated);
+    if (orderError) {
+      return res.status(400).json({ error: orderError });
+    }
+
+    for (const field of ['courtCase', 'beneficiary', 'basis', 'value', 'appliesToThirteenth', 'appliesToVacation', 'startDate', 'endDate', 'active']) {
+      if (req.body[field] !== undefined) order[field] = updated[field];
+    }
+    employee.updatedBy = req.user._id;
+    await employee.save();
+
+    res.json({
+      message: 'Alimony order updated successfully',
+      employee
+    });
+  } catch (error) {
+    console.error('Update alimony order error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the route-based VT commutes waiting for a review (e.g. after an address change)
+router.get('/commute/reviews', auth, authorize('Admin', 'HR'), async (req, res) => {
+  try {
+    const employees = await Employee.find({ 'benefits.valeTransporte.commute.review.status': 'Pending' })
+      .select('employeeId firstName lastName department address benefits.valeTransporte')
+      .populate('benefits.valeTransporte.commute.fareTable', 'state city')
+      .sort({ 'benefits.valeTransporte.commute.review.requestedAt': 1 });
+
+    res.json(employees);
+  } catch (error) {
+    console.error('Get commute reviews error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Register the commute of a route-based VT employee: the legs are priced with the city's fare table
+// and set the daily VT value; saving the route closes any pending review
+router.put('/:id/commute', auth, authorize('Admin', 'HR'), [
+  body('fareTable').isMongoId().withMessage('Valid fare table is required'),
+  body('legs').isArray({ min: 1 }).withMessage('At least one commute leg is required'),
+  body('legs.*.mode').isIn(COMMUTE_MODES).withMessage('Invalid transport mode'),
+  body('legs.*.fareCode').trim().notEmpty().withMessage('Fare code is required'),
+  body('legs.*.description').optional().trim(),
+  body('legs.*.tripsPerDay').optional().isInt({ min: 1 }).withMessage('Trips per day must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const fareTable = await FareTable.findById(req.body.fareTable);
+    if (!fareTable) {
+      return res.status(404).json({ error: 'Fare table not found' });
+    }
+
+    const { dailyValue, legs, missingFares } = calculateCommuteDailyValue(req.body.legs, fareTable.fares);
+    if (missingFares.length > 0) {
+      return res.status(400).json({ error: `Fares not found in the ${fareTable.city}/${fareTable.state} table: ${missingFares.join(', ')}` });
+    }
+
+    const valeTransporte = employee.benefits.valeTransporte;
+    valeTransporte.addressBased = true;
+    valeTransporte.dailyValue = dailyValue;
+    valeTransporte.scheduledDailyValue = undefined;
+    valeTransporte.commute.fareTable = fareTable._id;
+    valeTransporte.commute.legs = legs.map(({ mode, fareCode, description, tripsPerDay }) => ({ mode, fareCode, description, tripsPerDay }));
+    if (valeTransporte.commute.review?.status === 'Pending') {
+      valeTransporte.commute.review.status = 'Reviewed';
+      valeTransporte.commute.review.reviewedAt = new Date();
+      valeTransporte.commute.review.reviewedBy = req.user._id;
+    }
+    employee.updatedBy = req.user._id;
+
+    await employee.save();
+
+    res.json({
+      message: 'Commute saved successfully',
+      dailyValue,
+      legs,
+      commute: valeTransporte.commute
+    });
+  } catch (error) {
+    console.error('Save commute error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Update employee benefits
 router.put('/:id/benefits', auth, authorize('Admin', 'HR'), [
   body('benefits').isObject().withMessage('Benefits object is required')
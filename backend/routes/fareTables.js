@@ -0,0 +1,151 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const FareTable = require('../models/FareTable');
+const { auth, authorize } = require('../middleware/auth');
+const { COMMUTE_MODES } = require('../utils/valeTransporte');
+
+const router = express.Router();
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const fareTableValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('state').trim().isLength({ min: 2, max: 2 }).withMessage('State must be a two-letter UF'),
+    field('city').trim().notEmpty().withMessage('City is required'),
+    field('fares').isArray({ min: 1 }).withMessage('At least one fare is required'),
+    body('fares.*.code').trim().notEmpty().withMessage('Fare code is required'),
+    body('fares.*.mode').isIn(COMMUTE_MODES).withMessage('Invalid transport mode'),
+    body('fares.*.price').isFloat({ min: 0 }).withMessage('Fare price must be a positive number'),
+    body('validFrom').optional().isISO8601().withMessage('Valid start date is required')
+  ];
+};
+
+// Fare codes used more than once in a table
+const duplicateFareCodes = (fares = []) => {
+  const codes = fares.map(fare => String(fare.code).trim());
+  return [...new Set(codes.filter((code, index) => codes.indexOf(code) !== index))];
+};
+
+// Get all fare tables
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.state) filter.state = req.query.state.toUpperCase();
+    if (req.query.city) filter.city = req.query.city;
+
+    const tables = await FareTable.find(filter)
+      .collation({ locale: 'pt', strength: 1 })
+      .sort({ state: 1, city: 1 });
+
+    res.json(tables);
+  } catch (error) {
+    console.error('Get fare tables error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get fare table by ID
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const table = await FareTable.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName')
+      .populate('updatedBy', 'firstName lastName');
+
+    if (!table) {
+      return res.status(404).json({ error: 'Fare table not found' });
+    }
+
+    res.json(table);
+  } catch (error) {
+    console.error('Get fare table error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create the fare table of a city
+router.post('/', auth, authorize('Admin', 'HR'), fareTableValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const duplicates = duplicateFareCodes(req.body.fares);
+    if (duplicates.length > 0) {
+      return res.status(400).json({ error: `Duplicate fare codes: ${duplicates.join(', ')}` });
+    }
+
+    const existing = await FareTable.findOne({ state: req.body.state.toUpperCase(), city: req.body.city })
+      .collation({ locale: 'pt', strength: 1 });
+    if (existing) {
+      return res.status(400).json({ error: `A fare table for ${existing.city}/${existing.state} already exists` });
+    }
+
+    const table = new FareTable({
+      state: req.body.state,
+      city: req.body.city,
+      fares: req.body.fares,
+      validFrom: req.body.validFrom,
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+
+    await table.save();
+
+    res.status(201).json({
+      message: 'Fare table created successfully',
+      table
+    });
+  } catch (error) {
+    console.error('Create fare table error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update a fare table
+// The daily VT of every employee whose commute uses the table is recalculated and scheduled for
+// effectiveMonth (YYYY-MM, default next month)
+router.put('/:id', auth, authorize('Admin', 'HR'), [
+  ...fareTableValidators(true),
+  body('effectiveMonth').optional().matches(MONTH_PATTERN).withMessage('Effective month must be YYYY-MM')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const table = await FareTable.findById(req.params.id);
+    if (!table) {
+      return res.status(404).json({ error: 'Fare table not found' });
+    }
+
+    if (req.body.fares) {
+      const duplicates = duplicateFareCodes(req.body.fares);
+      if (duplicates.length > 0) {
+        return res.status(400).json({ error: `Duplicate fare codes: ${duplicates.join(', ')}` });
+      }
+    }
+
+    for (const field of ['state', 'city', 'fares', 'validFrom', 'notes']) {
+      if (req.body[field] !== undefined) table[field] = req.body[field];
+    }
+    table.updatedBy = req.user._id;
+
+    await table.save();
+
+    const employees = req.body.fares ? await table.recalculateEmployees(req.body.effectiveMonth) : [];
+
+    res.json({
+      message: 'Fare table updated successfully',
+      table,
+      employees
+    });
+  } catch (error) {
+    console.error('Update fare table error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
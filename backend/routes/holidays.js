@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Holiday = require('../models/Holiday');
+const Employee = require('../models/Employee');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const HOLIDAY_FIELDS = ['name', 'date', 'recurring', 'scope', 'state', 'city', 'legalReference', 'active'];
+
+const pickHolidayFields = (source) => {
+  const holiday = {};
+  for (const field of HOLIDAY_FIELDS) {
+    if (source[field] !== undefined) holiday[field] = source[field];
+  }
+  return holiday;
+};
+
+const holidayValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required'),
+    field('date').isISO8601().withMessage('Valid date is required'),
+    field('scope').isIn(Holiday.HOLIDAY_SCOPES).withMessage('Scope must be State or Municipal'),
+    field('state').trim().isLength({ min: 2, max: 2 }).withMessage('State must be a two-letter UF'),
+    body('city').optional().trim(),
+    body('recurring').optional().isBoolean(),
+    body('active').optional().isBoolean()
+  ];
+};
+
+// Work location of the request: an employee's work location or explicit state/city
+const getLocation = async (req) => {
+  if (req.query.employeeId) {
+    const employee = await Employee.findById(req.query.employeeId).select('workLocation');
+    return employee ? (employee.workLocation || {}) : null;
+  }
+  return { state: req.query.state, city: req.query.city };
+};
+
+// Get the holiday calendar of a year for a work location (national, state and municipal holidays)
+router.get('/', auth, [
+  query('year').isInt({ min: 1900, max: 2200 }).withMessage('Valid year is required'),
+  query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Valid month is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const location = await getLocation(req);
+    if (!location) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const year = parseInt(req.query.year);
+    const month = req.query.month ? parseInt(req.query.month) : null;
+    const holidays = await Holiday.getHolidaysFor(year, location, month);
+
+    res.json({ year, month, location, holidays });
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the business days (Monday to Friday) and Saturdays of a month for a work location
+router.get('/business-days', auth, [
+  query('month').isInt({ min: 1, max: 12 }).withMessage('Valid month is required'),
+  query('year').isInt({ min: 1900, max: 2200 }).withMessage('Valid year is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const location = await getLocation(req);
+    if (!location) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const calendar = await Holiday.getBusinessDaysFor(parseInt(req.query.month), parseInt(req.query.year), location);
+
+    res.json(calendar);
+  } catch (error) {
+    console.error('Get business days error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a state or municipal holiday
+router.post('/', auth, authorize('Admin', 'HR'), holidayValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const holiday = new Holiday({
+      ...pickHolidayFields(req.body),
+      createdBy: req.user._id
+    });
+    if (holiday.scope === 'Municipal' && !holiday.city) {
+      return res.status(400).json({ error: 'City is required for municipal holidays' });
+    }
+
+    await holiday.save();
+
+    res.status(201).json({
+      message: 'Holiday created successfully',
+      holiday
+    });
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update a state or municipal holiday
+router.put('/:id', auth, authorize('Admin', 'HR'), holidayValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    holiday.set({ ...pickHolidayFields(req.body), updatedBy: req.user._id });
+    if (holiday.scope === 'Municipal' && !holiday.city) {
+      return res.status(400).json({ error: 'City is required for municipal holidays' });
+    }
+    await holiday.save();
+
+    res.json({
+      message: 'Holiday updated successfully',
+      holiday
+    });
+  } catch (error) {
+    console.error('Update holiday error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a state or municipal holiday
+router.delete('/:id', auth, authorize('Admin', 'HR'), async (req, res) => {
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    res.json({ message: 'Holiday deleted successfully' });
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,36 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Payroll = require('../models/Payroll');
 const Employee = require('../models/Employee');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, requirePermission } = require('../middleware/auth');
+const { OPEN_PAYROLL_STATUSES, generateSalaryAdvances, generateThirteenthSalaryPayrolls } = require('../utils/payrollRuns');
+const { generatePayslipPdf, getPayslipFileName } = require('../utils/payslipPdf');
+const { PIX_KEY_TYPES, validatePixKey } = require('../utils/pixKey');
+const { DEFAULT_VARIANCE_THRESHOLD, buildVarianceReport } = require('../utils/payrollVariance');
+const { buildEmployerCostReport } = require('../utils/employerCostReport');
+const { roundCurrency } = require('../utils/currency');
 const moment = require('moment');
 
 const router = express.Router();
 
+// Payroll inputs HR can edit; calculated amounts (taxes, totals, net salary) are not editable
+const NUMERIC_EDITABLE_FIELDS = [
+  'baseSalary',
+  'workingDays.totalDays', 'workingDays.workedDays', 'workingDays.absences', 'workingDays.overtimeHours',
+  'workingDays.restDayOvertimeHours', 'workingDays.nightHours', 'workingDays.saturdayDays',
+  'benefits.valeTransporte.dailyValue', 'benefits.valeTransporte.monthlyDays', 'benefits.valeTransporte.additionalDays',
+  'benefits.valeRefeicao.dailyValue', 'benefits.valeRefeicao.monthlyDays', 'benefits.mobilidade.monthlyValue',
+  'additions.bonus', 'additions.commission', 'additions.other',
+  'deductions.other'
+];
+const EDITABLE_FIELDS = [
+  ...NUMERIC_EDITABLE_FIELDS,
+  'dueDate', 'payment.method', 'payment.bankInfo', 'payment.pixKeyType', 'payment.pixKey'
+];
+// Set only by the approval workflow (approve_payroll permission or the run's approval chain) and payment reconciliation
+const APPROVAL_FIELDS = ['status', 'approvedBy', 'approvedAt', 'payment.status'];
+
+const getField = (source, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
 // Get all payroll records with pagination and filters
 router.get('/', auth, async (req, res) => {
   try {
@@ -81,13 +106,34 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Download the payslip (holerite) PDF
+router.get('/:id/payslip.pdf', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const payroll = await Payroll.findById(req.params.id)
+      .populate('employee', 'firstName lastName employeeId cpf department position hireDate');
+
+    if (!payroll) {
+      return res.status(404).json({ error: 'Payroll not found' });
+    }
+
+    const pdf = await generatePayslipPdf(payroll);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${getPayslipFileName(payroll)}"`);
+    res.send(Buffer.from(pdf));
+  } catch (error) {
+    console.error('Generate payslip error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Create new payroll record
 router.post('/', auth, authorize('Admin', 'HR'), [
   body('employee').isMongoId().withMessage('Valid employee ID is required'),
   body('payrollPeriod').isISO8601().withMessage('Valid payroll period is required'),
   body('baseSalary').isNumeric().withMessage('Valid base salary is required'),
   body('workingDays').isNumeric().withMessage('Valid working days is required'),
-  body('paymentMethod').isIn(['Bank Transfer', 'Check', 'Cash']).withMessage('Valid payment method is required')
+  body('paymentMethod').isIn(['Bank Transfer', 'PIX', 'Check', 'Cash']).withMessage('Valid payment method is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -172,11 +218,11 @@ router.post('/', auth, authorize('Admin', 'HR'), [
 
 // Update payroll record
 router.put('/:id', auth, authorize('Admin', 'HR'), [
-  body('baseSalary').optional().isNumeric(),
-  body('workingDays').optional().isNumeric(),
-  body('deductions').optional().isArray(),
-  body('additions').optional().isArray(),
-  body('notes').optional().trim()
+  body(NUMERIC_EDITABLE_FIELDS).optional().isFloat({ min: 0 }).withMessage('Must be a positive number'),
+  body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
+  body('notes').optional().trim(),
+  body('payment.method').optional().isIn(['Bank Transfer', 'PIX', 'Check', 'Cash']),
+  body('payment.pixKeyType').optional().isIn(PIX_KEY_TYPES).withMessage('Invalid PIX key type')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -184,96 +230,167 @@ router.put('/:id', auth, authorize('Admin', 'HR'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const statusFields = APPROVAL_FIELDS.filter(field => getField(req.body, field) !== undefined);
+    if (statusFields.length > 0) {
+      return res.status(400).json({ error: `${statusFields.join(', ')} cannot be changed here; use the approval workflow` });
+    }
+
     const payroll = await Payroll.findById(req.params.id);
     if (!payroll) {
       return res.status(404).json({ error: 'Payroll not found' });
     }
 
-    // Don't allow updates if already approved
-    if (payroll.status === 'Approved') {
-      return res.status(400).json({ error: 'Cannot update approved payroll' });
+    // Payrolls of a closed run are final until an Admin reopens the run
+    if (payroll.locked) {
+      return res.status(400).json({ error: 'Payroll belongs to a closed payroll run and cannot be changed' });
     }
 
-    const updateData = { ...req.body, updatedBy: req.user._id };
+    // Only payrolls not yet approved can be changed
+    if (!OPEN_PAYROLL_STATUSES.includes(payroll.status)) {
+      return res.status(400).json({ error: `Cannot update a payroll with status ${payroll.status}` });
+    }
 
-    // Recalculate total if salary or benefits changed
-    if (req.body.baseSalary || req.body.workingDays || req.body.deductions || req.body.additions) {
-      const employee = await Employee.findById(payroll.employee);
-      
-      // Recalculate benefits
-      const benefits = { ...payroll.benefits };
-      if (employee.benefits.valeTransporte.enabled) {
-        benefits.valeTransporte = {
-          enabled: true,
-          value: employee.benefits.valeTransporte.dailyValue * (req.body.workingDays || payroll.workingDays)
-        };
+    // Settlement earnings and taxes come from the termination; only the other deductions, the due date and the
+    // payment can change
+    if (payroll.period === Payroll.TERMINATION_PERIOD) {
+      const settlementFields = NUMERIC_EDITABLE_FIELDS
+        .filter(field => field !== 'deductions.other' && getField(req.body, field) !== undefined);
+      if (settlementFields.length > 0) {
+        return res.status(400).json({ error: `${settlementFields.join(', ')} cannot be changed on a termination settlement` });
       }
+    }
 
-      if (employee.benefits.valeRefeicao.enabled) {
-        benefits.valeRefeicao = {
-          enabled: true,
-          value: employee.benefits.valeRefeicao.dailyValue * (req.body.workingDays || payroll.workingDays)
-        };
+    // A PIX payment needs a valid key; CPF keys must belong to the employee
+    const payment = req.body.payment;
+    if (payment && (payment.pixKey || payment.method === 'PIX')) {
+      const employee = await Employee.findById(payroll.employee).select('cpf');
+      const result = validatePixKey(
+        payment.pixKeyType || (payment.pixKey ? undefined : payroll.payment.pixKeyType),
+        payment.pixKey || payroll.payment.pixKey,
+        { cpf: employee?.cpf }
+      );
+      if (!result.valid) {
+        return res.status(400).json({ error: result.error });
       }
+      payment.pixKeyType = result.type;
+      payment.pixKey = result.key;
+    }
 
-      if (employee.benefits.mobilidade.enabled) {
-        benefits.mobilidade = {
-          enabled: true,
-          value: employee.benefits.mobilidade.monthlyValue
-        };
-      }
+    // Only the editable inputs are taken; INSS, IRRF, FGTS and the totals are recalculated on save
+    for (const field of EDITABLE_FIELDS) {
+      const value = getField(req.body, field);
+      if (value !== undefined) payroll.set(field, value);
+    }
+    if (req.body.notes) {
+      payroll.notes.push({ content: req.body.notes, author: req.user._id });
+    }
+    payroll.updatedBy = req.user._id;
+
+    await payroll.save();
+
+    const updatedPayroll = await Payroll.findById(payroll._id)
+      .populate('employee', 'firstName lastName email employeeId department')
+      .populate('approvedBy', 'firstName lastName')
+      .populate('createdBy', 'firstName lastName')
+      .populate('updatedBy', 'firstName lastName');
+
+    res.json({
+      message: 'Payroll updated successfully',
+      payroll: updatedPayroll
+    });
+  } catch (error) {
+    if (error.name === 'MissingTaxTableError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update payroll error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Generate the mid-month salary advances of a month
+router.post('/advances/:year/:month', auth, authorize('Admin', 'HR'), async (req, res) => {
+  try {
+    const year = parseInt(req.params.year);
+    const month = parseInt(req.params.month);
 
-      updateData.benefits = benefits;
+    if (!year || !month || month < 1 || month > 12) {
+      return res.status(400).json({ error: 'Valid year and month are required' });
+    }
 
-      // Calculate new total
-      const totalBenefits = Object.values(benefits)
-        .filter(benefit => benefit.enabled)
-        .reduce((sum, benefit) => sum + benefit.value, 0);
+    const { generated, skipped } = await generateSalaryAdvances({
+      month,
+      year,
+      createdBy: req.user._id,
+      legalEntity: req.body.legalEntity
+    });
 
-      const totalDeductions = (req.body.deductions || payroll.deductions || [])
-        .reduce((sum, deduction) => sum + deduction.amount, 0);
+    res.status(201).json({
+      message: `${generated.length} salary advances generated`,
+      payrolls: generated,
+      skipped
+    });
+  } catch (error) {
+    if (error.name === 'MissingTaxTableError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Generate salary advances error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-      const totalAdditions = (req.body.additions || payroll.additions || [])
-        .reduce((sum, addition) => sum + addition.amount, 0);
+// Generate a 13th salary installment run for all CLT employees
+router.post('/thirteenth/:year/:installment', auth, authorize('Admin', 'HR'), async (req, res) => {
+  try {
+    const year = parseInt(req.params.year);
+    const installment = parseInt(req.params.installment);
 
-      updateData.total = (req.body.baseSalary || payroll.baseSalary) + totalBenefits + totalAdditions - totalDeductions;
+    if (!year || ![1, 2].includes(installment)) {
+      return res.status(400).json({ error: 'Valid year and installment (1 or 2) are required' });
     }
 
-    const updatedPayroll = await Payroll.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    )
-    .populate('employee', 'firstName lastName email employeeId department')
-    .populate('approvedBy', 'firstName lastName')
-    .populate('createdBy', 'firstName lastName')
-    .populate('updatedBy', 'firstName lastName');
+    const { generated, skipped } = await generateThirteenthSalaryPayrolls({
+      year,
+      installment,
+      createdBy: req.user._id
+    });
 
-    res.json({
-      message: 'Payroll updated successfully',
-      payroll: updatedPayroll
+    res.status(201).json({
+      message: `${generated.length} 13th salary payrolls generated`,
+      payrolls: generated,
+      skipped
     });
   } catch (error) {
-    console.error('Update payroll error:', error);
+    if (error.name === 'MissingTaxTableError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Generate 13th salary error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Approve payroll
-router.put('/:id/approve', auth, authorize('Admin', 'HR'), async (req, res) => {
+// Approve a payroll outside payroll runs (run payrolls go through the run's approval chain)
+router.put('/:id/approve', auth, requirePermission('approve_payroll'), async (req, res) => {
   try {
     const payroll = await Payroll.findById(req.params.id);
     if (!payroll) {
       return res.status(404).json({ error: 'Payroll not found' });
     }
 
-    if (payroll.status === 'Approved') {
-      return res.status(400).json({ error: 'Payroll is already approved' });
+    if (payroll.payrollRun) {
+      return res.status(400).json({ error: 'Payroll belongs to a payroll run; approve the run through its approval chain' });
+    }
+
+    if (payroll.locked) {
+      return res.status(400).json({ error: 'Payroll belongs to a closed payroll run and cannot be changed' });
+    }
+
+    if (!OPEN_PAYROLL_STATUSES.includes(payroll.status)) {
+      return res.status(400).json({ error: `Cannot approve a payroll with status ${payroll.status}` });
     }
 
     payroll.status = 'Approved';
     payroll.approvedBy = req.user._id;
-    payroll.approvalDate = new Date();
+    payroll.approvedAt = new Date();
     payroll.updatedBy = req.user._id;
 
     await payroll.save();
@@ -397,6 +514,161 @@ router.get('/stats/overview', auth, async (req, res) => {
   }
 });
 
+// Get FGTS deposit summary for a month (to reconcile against the FGTS guide)
+router.get('/fgts/:month/:year', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const month = parseInt(req.params.month);
+    const year = parseInt(req.params.year);
+
+    if (!month || month < 1 || month > 12 || !year) {
+      return res.status(400).json({ error: 'Valid month and year are required' });
+    }
+
+    const summary = await Payroll.getFGTSSummary(month, year);
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Get FGTS summary error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Month-over-month variance of the monthly payroll, with anomalies flagged for review
+// threshold: net pay change (%) to flag (PAYROLL_VARIANCE_THRESHOLD or 10 by default)
+router.get('/report/variance', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const month = parseInt(req.query.month);
+    const year = parseInt(req.query.year);
+
+    if (!month || month < 1 || month > 12 || !year) {
+      return res.status(400).json({ error: 'Valid month and year are required' });
+    }
+
+    const threshold = req.query.threshold !== undefined
+      ? parseFloat(req.query.threshold)
+      : parseFloat(process.env.PAYROLL_VARIANCE_THRESHOLD || DEFAULT_VARIANCE_THRESHOLD);
+    if (Number.isNaN(threshold) || threshold < 0) {
+      return res.status(400).json({ error: 'Threshold must be a non-negative percentage' });
+    }
+
+    const previous = moment.utc({ year, month: month - 1, day: 1 }).subtract(1, 'month');
+    const filter = { period: 'Monthly', status: { $ne: 'Cancelled' } };
+    const employeeFields = 'firstName lastName employeeId department employmentType salaryHistory';
+
+    const [currentPayrolls, previousPayrolls] = await Promise.all([
+      Payroll.find({ ...filter, month, year }).populate('employee', employeeFields),
+      Payroll.find({ ...filter, month: previous.month() + 1, year: previous.year() }).populate('employee', employeeFields)
+    ]);
+
+    res.json(buildVarianceReport(currentPayrolls, previousPayrolls, { month, year, threshold }));
+  } catch (error) {
+    console.error('Get payroll variance error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Employer cost per employee and per department: gross pay, benefits, employer charges and provisions
+router.get('/report/employer-cost', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const month = parseInt(req.query.month);
+    const year = parseInt(req.query.year);
+
+    if (!month || month < 1 || month > 12 || !year) {
+      return res.status(400).json({ error: 'Valid month and year are required' });
+    }
+
+    let payrolls = await Payroll.find({ month, year, period: 'Monthly', status: { $ne: 'Cancelled' } })
+      .populate('employee', 'firstName lastName employeeId department legalEntity');
+
+    if (req.query.department) {
+      payrolls = payrolls.filter(payroll => payroll.employee?.department === req.query.department);
+    }
+    if (req.query.legalEntity) {
+      payrolls = payrolls.filter(payroll => (payroll.employee?.legalEntity || 'Main') === req.query.legalEntity);
+    }
+
+    res.json(buildEmployerCostReport(payrolls, { month, year }));
+  } catch (error) {
+    console.error('Get employer cost report error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Alimony report for the legal department: every alimony withheld in the month and its payment to the beneficiary
+// Amounts typed directly into deductions.alimony (no order on the payroll) are listed as manual entries
+router.get('/report/alimony', auth, authorize('Admin', 'HR'), async (req, res) => {
+  try {
+    const month = parseInt(req.query.month);
+    const year = parseInt(req.query.year);
+
+    if (!month || month < 1 || month > 12 || !year) {
+      return res.status(400).json({ error: 'Valid month and year are required' });
+    }
+
+    const payrolls = await Payroll.find({
+      month,
+      year,
+      status: { $ne: 'Cancelled' },
+      'deductions.alimony': { $gt: 0 }
+    }).populate('employee', 'firstName lastName employeeId department');
+
+    const rows = [];
+    for (const payroll of payrolls) {
+      const base = {
+        payroll: payroll._id,
+        period: payroll.period,
+        payrollStatus: payroll.status,
+        employee: payroll.employee
+      };
+
+      if (payroll.alimonyOrders.length === 0) {
+        rows.push({ ...base, manual: true, amount: payroll.deductions.alimony, paymentStatus: null });
+        continue;
+      }
+
+      for (const alimony of payroll.alimonyOrders) {
+        if (alimony.amount <= 0) continue;
+        rows.push({
+          ...base,
+          manual: false,
+          order: alimony.order,
+          courtCase: alimony.courtCase,
+          beneficiary: {
+            name: alimony.beneficiary.name,
+            cpf: alimony.beneficiary.cpf,
+            paymentMethod: alimony.beneficiary.paymentMethod
+          },
+          basis: alimony.basis,
+          value: alimony.value,
+          amount: alimony.amount,
+          paymentStatus: alimony.payment.status,
+          paymentDate: alimony.payment.paymentDate,
+          transactionId: alimony.payment.transactionId
+        });
+      }
+    }
+
+    const byStatus = {};
+    for (const row of rows) {
+      const status = row.paymentStatus || 'Manual';
+      byStatus[status] = roundCurrency((byStatus[status] || 0) + row.amount);
+    }
+
+    res.json({
+      period: { month, year },
+      rows,
+      totals: {
+        entries: rows.length,
+        amount: roundCurrency(rows.reduce((sum, row) => sum + row.amount, 0)),
+        byStatus
+      }
+    });
+  } catch (error) {
+    console.error('Get alimony report error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get pending invoice requests
 router.get('/invoices/pending', auth, async (req, res) => {
   try {
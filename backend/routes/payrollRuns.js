@@ -0,0 +1,517 @@
+const express = require('express');
+const archiver = require('archiver');
+const { body, validationResult } = require('express-validator');
+const PayrollRun = require('../models/PayrollRun');
+const Payroll = require('../models/Payroll');
+const ApprovalChain = require('../models/ApprovalChain');
+const CompanyTaxRegime = require('../models/CompanyTaxRegime');
+const { auth, authorize } = require('../middleware/auth');
+const { calculatePayrollRun } = require('../utils/payrollRuns');
+const { generatePayslipPdf, getPayslipFileName } = require('../utils/payslipPdf');
+const { canApproveStep, notifyNextApprovers } = require('../utils/payrollApproval');
+const { TAX_REGIMES, getEmployerChargeRates } = require('../utils/employerChargesCalculator');
+
+const router = express.Router();
+
+// Roles allowed to move a run into each status
+// Approved is only reached through the approval chain (POST /:id/approve)
+const TRANSITION_ROLES = {
+  'Under Review': ['Admin', 'HR'],
+  'Paid': ['Admin', 'Finance'],
+  'Closed': ['Admin', 'Finance']
+};
+
+// Apply a run status change to its payrolls
+const cascadeToPayrolls = async (run, userId) => {
+  const filter = { payrollRun: run._id, status: { $ne: 'Cancelled' } };
+
+  if (run.status === 'Calculated') {
+    await Payroll.updateMany({ payrollRun: run._id, status: 'Pending Approval' }, {
+      $set: { status: 'Draft', updatedBy: userId }
+    });
+  } else if (run.status === 'Under Review') {
+    await Payroll.updateMany({ payrollRun: run._id, status: 'Draft' }, {
+      $set: { status: 'Pending Approval', updatedBy: userId }
+    });
+  } else if (run.status === 'Approved') {
+    // Payrolls already approved or paid on their own (vacation, 13th salary) keep their status
+    await Payroll.updateMany({ payrollRun: run._id, status: { $in: ['Draft', 'Pending Approval'] } }, {
+      $set: { status: 'Approved', approvedBy: userId, approvedAt: new Date(), updatedBy: userId }
+    });
+  } else if (run.status === 'Paid') {
+    await Payroll.updateMany(filter, { $set: { status: 'Paid', updatedBy: userId } });
+    // Payments reconciled from a bank return or PIX result keep their status and date
+    await Payroll.updateMany({ ...filter, 'payment.status': 'Pending' }, {
+      $set: { 'payment.status': 'Paid', 'payment.paymentDate': new Date() }
+    });
+  } else if (run.status === 'Closed') {
+    await Payroll.updateMany({ payrollRun: run._id }, { $set: { locked: true } });
+  }
+};
+
+// Get all payroll runs with filters
+router.get('/', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const { year, status, legalEntity } = req.query;
+
+    const filter = {};
+    if (year) filter.year = parseInt(year);
+    if (status) filter.status = status;
+    if (legalEntity) filter.legalEntity = legalEntity;
+
+    const runs = await PayrollRun.find(filter)
+      .populate('closedBy', 'firstName lastName')
+      .sort({ year: -1, month: -1, legalEntity: 1 });
+
+    res.json(runs);
+  } catch (error) {
+    console.error('Get payroll runs error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the approval chain of a legal entity
+router.get('/approval-chain', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const legalEntity = req.query.legalEntity || 'Main';
+    const steps = await ApprovalChain.getSteps(legalEntity);
+
+    res.json({ legalEntity, steps });
+  } catch (error) {
+    console.error('Get approval chain error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Configure the approval chain of a legal entity (applies to runs submitted afterwards)
+router.put('/approval-chain', auth, authorize('Admin'), [
+  body('legalEntity').optional().trim().notEmpty(),
+  body('steps').isArray({ min: 1 }).withMessage('At least one approval step is required'),
+  body('steps.*.name').trim().notEmpty().withMessage('Step name is required'),
+  body('steps.*.role').isIn(['Admin', 'HR', 'Manager', 'Finance']).withMessage('Invalid approver role'),
+  body('steps.*.scope').optional().isIn(['Run', 'Department']).withMessage('Invalid step scope')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const legalEntity = req.body.legalEntity || 'Main';
+    const steps = req.body.steps.map(step => ({
+      name: step.name,
+      role: step.role,
+      scope: step.scope || 'Run'
+    }));
+
+    const chain = await ApprovalChain.findOneAndUpdate(
+      { legalEntity },
+      { legalEntity, steps, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Approval chain saved successfully',
+      chain
+    });
+  } catch (error) {
+    console.error('Save approval chain error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the tax regime of a legal entity (drives the employer charges)
+router.get('/tax-regime', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const legalEntity = req.query.legalEntity || 'Main';
+    const regime = await CompanyTaxRegime.getFor(legalEntity);
+
+    res.json({ legalEntity, ...regime, rates: getEmployerChargeRates(regime) });
+  } catch (error) {
+    console.error('Get tax regime error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Configure the tax regime of a legal entity (applies when its runs are next calculated)
+router.put('/tax-regime', auth, authorize('Admin', 'Finance'), [
+  body('legalEntity').optional().trim().notEmpty(),
+  body('taxRegime').isIn(TAX_REGIMES).withMessage('Invalid tax regime'),
+  body('simplesAnnexIV').optional().isBoolean(),
+  body('ratRate').optional().isIn([0.01, 0.02, 0.03]).withMessage('RAT rate must be 0.01, 0.02 or 0.03'),
+  body('fap').optional().isFloat({ min: 0.5, max: 2 }).withMessage('FAP must be between 0.5 and 2'),
+  body('thirdPartyRate').optional().isFloat({ min: 0, max: 0.2 }).withMessage('Third-party rate must be between 0 and 0.2')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const legalEntity = req.body.legalEntity || 'Main';
+    const update = { legalEntity, taxRegime: req.body.taxRegime, updatedBy: req.user._id };
+    for (const field of ['simplesAnnexIV', 'ratRate', 'fap', 'thirdPartyRate']) {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    }
+
+    const regime = await CompanyTaxRegime.findOneAndUpdate(
+      { legalEntity },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: 'Tax regime saved successfully',
+      regime
+    });
+  } catch (error) {
+    console.error('Save tax regime error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get payroll run by ID with its payrolls
+router.get('/:id', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName')
+      .populate('closedBy', 'firstName lastName')
+      .populate('history.user', 'firstName lastName')
+      .populate('approval.steps.approvals.user', 'firstName lastName');
+
+    if (!run) {
+      return res.status(404).json({ error: 'Payroll run not found' });
+    }
+
+    const payrolls = await Payroll.find({ payrollRun: run._id })
+      .populate('employee', 'firstName lastName employeeId department')
+      .sort({ period: 1 });
+
+    res.json({ run, payrolls });
+  } catch (error) {
+    console.error('Get payroll run error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Download a ZIP with the payslip of every payroll in the run
+router.get('/:id/payslips.zip', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Payroll run not found' });
+    }
+
+    const payrolls = await Payroll.find({ payrollRun: run._id, status: { $ne: 'Cancelled' } })
+      .populate('employee', 'firstName lastName employeeId cpf department position hireDate');
+
+    if (payrolls.length === 0) {
+      return res.status(400).json({ error: 'Payroll run has no payrolls' });
+    }
+
+    const fileName = `holerites-${run.legalEntity}-${run.year}-${String(run.month).padStart(2, '0')}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    const archive = archiver('zip');
+    archive.on('error', (error) => {
+      console.error('Payslip archive error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    for (const payroll of payrolls) {
+      const pdf = await generatePayslipPdf(payroll);
+      archive.append(Buffer.from(pdf), { name: getPayslipFileName(payroll) });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error('Generate payslip archive error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+});
+
+// Open a payroll run for a month and legal entity
+router.post('/', auth, authorize('Admin', 'HR'), [
+  body('month').isInt({ min: 1, max: 12 }).withMessage('Valid month is required'),
+  body('year').isInt({ min: 2000 }).withMessage('Valid year is required'),
+  body('legalEntity').optional().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const month = parseInt(req.body.month);
+    const year = parseInt(req.body.year);
+    const legalEntity = req.body.legalEntity || 'Main';
+
+    const existing = await PayrollRun.findOne({ month, year, legalEntity });
+    if (existing) {
+      return res.status(400).json({ error: 'A payroll run already exists for this month and legal entity' });
+    }
+
+    const run = new PayrollRun({
+      month,
+      year,
+      legalEntity,
+      createdBy: req.user._id
+    });
+    await run.save();
+
+    res.status(201).json({
+      message: 'Payroll run opened successfully',
+      run
+    });
+  } catch (error) {
+    console.error('Create payroll run error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Calculate (or recalculate) every payroll of the run
+router.post('/:id/calculate', auth, authorize('Admin', 'HR'), async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Payroll run not found' });
+    }
+
+    if (!run.canTransitionTo('Calculated')) {
+      return res.status(400).json({ error: `Cannot calculate a payroll run that is ${run.status}` });
+    }
+
+    const { generated, payrolls } = await calculatePayrollRun(run, req.user._id);
+    run.transitionTo('Calculated', req.user._id);
+    await run.save();
+    await cascadeToPayrolls(run, req.user._id);
+
+    res.json({
+      message: `Payroll run calculated: ${payrolls.length} payrolls, ${generated.length} generated`,
+      run
+    });
+  } catch (error) {
+    if (error.name === 'MissingTaxTableError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Calculate payroll run error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Move the run to the next status (Under Review, Approved, Paid or Closed)
+router.put('/:id/status', auth, [
+  body('status').isIn(Object.keys(TRANSITION_ROLES)).withMessage('Invalid payroll run status'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, reason } = req.body;
+    if (!TRANSITION_ROLES[status].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
+    }
+
+    const run = await PayrollRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Payroll run not found' });
+    }
+
+    if (!run.canTransitionTo(status)) {
+      return res.status(400).json({ error: `Cannot move a payroll run from ${run.status} to ${status}` });
+    }
+
+    // Transfers still awaiting a bank return, or that failed, must be settled before the run is paid
+    if (status === 'Paid') {
+      const unsettled = await Payroll.countDocuments({
+        payrollRun: run._id,
+        status: { $ne: 'Cancelled' },
+        'payment.status': { $in: ['Processed', 'Failed'] }
+      });
+      if (unsettled > 0) {
+        return res.status(400).json({ error: `${unsettled} payments of the run are processing or failed; reconcile or resend them first` });
+      }
+    }
+
+    run.transitionTo(status, req.user._id, reason);
+
+    // Submitting for review starts the entity's approval chain
+    let notifications;
+    if (status === 'Under Review') {
+      const steps = await ApprovalChain.getSteps(run.legalEntity);
+      const payrolls = await Payroll.find({ payrollRun: run._id, status: { $ne: 'Cancelled' } })
+        .populate('employee', 'department');
+      const departments = [...new Set(payrolls.map(p => p.employee?.department).filter(Boolean))].sort();
+      run.startApproval(steps, departments, req.user._id);
+    }
+
+    await run.save();
+    await cascadeToPayrolls(run, req.user._id);
+
+    if (status === 'Under Review') {
+      notifications = await notifyNextApprovers(run);
+    }
+
+    res.json({
+      message: `Payroll run moved to ${status}`,
+      run,
+      notifications
+    });
+  } catch (error) {
+    console.error('Update payroll run status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Approve the current step of the approval chain; the last step approves the run
+router.post('/:id/approve', auth, authorize('Admin', 'HR', 'Manager', 'Finance'), [
+  body('comments').optional().trim(),
+  body('department').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const run = await PayrollRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Payroll run not found' });
+    }
+
+    const step = run.currentApprovalStep;
+    if (!step) {
+      return res.status(400).json({ error: 'Payroll run is not waiting for approval' });
+    }
+
+    // Managers approve their own department; Admins name the department they approve for
+    const department = step.scope === 'Department'
+      ? (req.user.role === 'Admin' ? req.body.department : req.user.department)
+      : undefined;
+
+    if (!canApproveStep(req.user, step, department)) {
+      return res.status(403).json({ error: `Step "${step.name}" must be approved by ${step.role}` });
+    }
+
+    if (step.scope === 'Department' && !run.pendingDepartments(step).includes(department)) {
+      return res.status(400).json({ error: `Department ${department || '(none)'} has nothing to approve in this step` });
+    }
+
+    const { stepCompleted, chainCompleted } = run.approveStep(req.user._id, {
+      department,
+      comments: req.body.comments
+    });
+
+    if (chainCompleted) {
+      run.transitionTo('Approved', req.user._id, 'Approval chain completed');
+    }
+    await run.save();
+
+    let notifications;
+    if (chainCompleted) {
+      await cascadeToPayrolls(run, req.user._id);
+    } else if (stepCompleted) {
+      notifications = await notifyNextApprovers(run);
+    }
+
+    res.json({
+      message: chainCompleted
+        ? 'Payroll run approved'
+        : `Approval recorded for ${step.name}${department ? ` (${department})` : ''}`,
+      run,
+      notifications
+    });
+  } catch (error) {
+    console.error('Approve payroll run error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reject the run under review; it goes back to Calculated and its payrolls to Draft
+router.post('/:id/reject', auth, authorize('Admin', 'HR', 'Manager', 'Finance'), [
+  body('comments').trim().notEmpty().withMessage('Comments are required to reject a payroll run')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const run = await PayrollRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Payroll run not found' });
+    }
+
+    const step = run.currentApprovalStep;
+    if (!step) {
+      return res.status(400).json({ error: 'Payroll run is not waiting for approval' });
+    }
+
+    const department = step.scope === 'Department' && req.user.role !== 'Admin' ? req.user.department : undefined;
+    const canReject = req.user.role === 'Admin' ||
+      (canApproveStep(req.user, step, department) && (step.scope !== 'Department' || run.pendingDepartments(step).includes(department)));
+    if (!canReject) {
+      return res.status(403).json({ error: `Step "${step.name}" must be decided by ${step.role}` });
+    }
+
+    run.rejectApproval(req.user._id, req.body.comments);
+    await run.save();
+    await cascadeToPayrolls(run, req.user._id);
+
+    res.json({
+      message: `Payroll run rejected at ${step.name} and sent back for corrections`,
+      run
+    });
+  } catch (error) {
+    console.error('Reject payroll run error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reopen an approved, paid or closed run (Admin only, with a reason kept in the run history)
+router.put('/:id/reopen', auth, authorize('Admin'), [
+  body('reason').trim().notEmpty().withMessage('A reason is required to reopen a payroll run')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const run = await PayrollRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Payroll run not found' });
+    }
+
+    if (!run.canReopen) {
+      return res.status(400).json({ error: 'Only approved, paid or closed payroll runs can be reopened' });
+    }
+
+    run.reopen(req.user._id, req.body.reason);
+    await run.save();
+
+    // The run starts over, so its payrolls can be corrected and recalculated (payment statuses are kept)
+    await Payroll.updateMany({ payrollRun: run._id }, { $set: { locked: false } });
+    await Payroll.updateMany({ payrollRun: run._id, status: { $ne: 'Cancelled' } }, {
+      $set: { status: 'Draft', updatedBy: req.user._id },
+      $unset: { approvedBy: '', approvedAt: '' }
+    });
+
+    res.json({
+      message: 'Payroll run reopened successfully',
+      run
+    });
+  } catch (error) {
+    console.error('Reopen payroll run error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
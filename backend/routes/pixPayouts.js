@@ -0,0 +1,379 @@
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+const { body, validationResult } = require('express-validator');
+const moment = require('moment');
+const PixPayout = require('../models/PixPayout');
+const Payroll = require('../models/Payroll');
+const { auth, authorize } = require('../middleware/auth');
+const { validatePixKey } = require('../utils/pixKey');
+const { buildPixPayoutBatch, simulatePixPayouts } = require('../utils/pixPayout');
+const { roundCurrency } = require('../utils/currency');
+
+const router = express.Router();
+
+// Paying company account, configured through the environment
+const getPixPayer = () => ({
+  name: process.env.COMPANY_NAME || 'HR System',
+  cnpj: process.env.COMPANY_CNPJ || '',
+  ispb: process.env.PIX_ISPB || '',
+  bankCode: process.env.CNAB_BANK_CODE || '',
+  agency: process.env.CNAB_AGENCY || '',
+  account: process.env.CNAB_ACCOUNT || ''
+});
+
+// Bank API used to send batches; defaults to the local mock endpoint below
+const getPixApiUrl = () => (
+  process.env.PIX_API_URL || `http://localhost:${process.env.PORT || 3000}/api/pix-payouts/mock/payouts`
+);
+
+// Apply the bank's per-payment results ({ id, status, endToEndId, settledAt, reason }) to a payout
+const applyPayoutResults = async (payout, results, userId) => {
+  const summary = { paid: 0, failed: 0, pending: 0 };
+  const unmatched = [];
+
+  for (const result of results) {
+    const item = payout.items.find(i => i.reference === result.id);
+    if (!item) {
+      unmatched.push(result.id);
+      continue;
+    }
+
+    const update = { updatedBy: userId };
+    if (result.status === 'CONCLUDED') {
+      item.status = 'Paid';
+      item.endToEndId = result.endToEndId;
+      item.settledAt = result.settledAt ? new Date(result.settledAt) : new Date();
+      item.failureReason = undefined;
+      update['payment.status'] = 'Paid';
+      update['payment.paymentDate'] = item.settledAt;
+      update['payment.transactionId'] = result.endToEndId;
+      update.status = 'Paid';
+      summary.paid++;
+    } else if (result.status === 'REJECTED') {
+      item.status = 'Failed';
+      item.failureReason = result.reason || 'Rejected by the bank';
+      update['payment.status'] = 'Failed';
+      summary.failed++;
+    } else {
+      summary.pending++;
+      continue;
+    }
+
+    if (item.alimony) {
+      // Alimony beneficiary transfer: only its own entry changes, not the payroll net pay
+      const alimonyUpdate = {};
+      for (const field of ['status', 'paymentDate', 'transactionId']) {
+        if (update[`payment.${field}`]) alimonyUpdate[`alimonyOrders.$.payment.${field}`] = update[`payment.${field}`];
+      }
+      await Payroll.updateOne(
+        { _id: item.payroll, alimonyOrders: { $elemMatch: { _id: item.alimony, 'payment.pixPayout': payout._id } } },
+        { $set: alimonyUpdate }
+      );
+      continue;
+    }
+
+    // Only the latest payout of a payroll may change its payment status
+    await Payroll.updateOne({ _id: item.payroll, 'payment.pixPayout': payout._id }, { $set: update });
+  }
+
+  payout.updateResultStatus();
+  await payout.save();
+
+  return { ...summary, unmatched };
+};
+
+// Get all PIX payouts
+router.get('/', auth, authorize('Admin', 'Finance'), async (req, res) => {
+  try {
+    const { month, year, status } = req.query;
+
+    const filter = {};
+    if (month) filter.month = parseInt(month);
+    if (year) filter.year = parseInt(year);
+    if (status) filter.status = status;
+
+    const payouts = await PixPayout.find(filter)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json(payouts);
+  } catch (error) {
+    console.error('Get PIX payouts error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Local mock of the bank's batch payout API, to test the round trip without a bank
+router.post('/mock/payouts', async (req, res) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+
+  if (!req.body?.batchId || !Array.isArray(req.body.payments)) {
+    return res.status(400).json({ error: 'Invalid payout batch' });
+  }
+
+  res.json(simulatePixPayouts(req.body));
+});
+
+// Get PIX payout by ID
+router.get('/:id', auth, authorize('Admin', 'Finance'), async (req, res) => {
+  try {
+    const payout = await PixPayout.findById(req.params.id)
+      .populate('items.employee', 'firstName lastName employeeId')
+      .populate('createdBy', 'firstName lastName')
+      .populate('sentBy', 'firstName lastName');
+
+    if (!payout) {
+      return res.status(404).json({ error: 'PIX payout not found' });
+    }
+
+    res.json(payout);
+  } catch (error) {
+    console.error('Get PIX payout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Download the batch payout file (JSON) for the bank API client
+router.get('/:id/file', auth, authorize('Admin', 'Finance'), async (req, res) => {
+  try {
+    const payout = await PixPayout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({ error: 'PIX payout not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${payout.batchId}.json"`);
+    res.send(JSON.stringify(buildPixPayoutBatch(getPixPayer(), payout), null, 2));
+  } catch (error) {
+    console.error('Download PIX payout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Generate a PIX payout batch for the approved PIX payrolls of a period
+router.post('/', auth, authorize('Admin', 'Finance'), [
+  body('month').isInt({ min: 1, max: 12 }).withMessage('Valid month is required'),
+  body('year').isInt({ min: 2000 }).withMessage('Valid year is required'),
+  body('paymentDate').isISO8601().withMessage('Valid payment date is required'),
+  body('period').optional().isIn(Payroll.schema.path('period').enumValues).withMessage('Invalid payroll period')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const month = parseInt(req.body.month);
+    const year = parseInt(req.body.year);
+
+    const payrolls = await Payroll.find({
+      month,
+      year,
+      ...(req.body.period ? { period: req.body.period } : {}),
+      status: 'Approved',
+      'payment.method': 'PIX',
+      'payment.status': { $in: ['Pending', 'Failed'] },
+      netSalary: { $gt: 0 }
+    }).populate('employee', 'firstName lastName employeeId cpf pixKey');
+
+    const batchId = `PIX-${year}${String(month).padStart(2, '0')}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const items = [];
+    const skipped = [];
+
+    for (const payroll of payrolls) {
+      const employee = payroll.employee;
+      const key = validatePixKey(
+        payroll.payment.pixKey ? payroll.payment.pixKeyType : employee.pixKey?.keyType,
+        payroll.payment.pixKey || employee.pixKey?.key,
+        { cpf: employee.cpf }
+      );
+      if (!key.valid) {
+        skipped.push({ payroll: payroll._id, employee: employee._id, reason: key.error });
+        continue;
+      }
+
+      items.push({
+        payroll: payroll._id,
+        employee: employee._id,
+        reference: `${batchId}-${String(items.length + 1).padStart(4, '0')}`,
+        amount: roundCurrency(payroll.netSalary),
+        pixKeyType: key.type,
+        pixKey: key.key,
+        name: `${employee.firstName} ${employee.lastName}`,
+        cpf: employee.cpf
+      });
+    }
+
+    // Alimony beneficiaries paid by PIX, withheld from payrolls already approved (or paid)
+    const alimonyPayrolls = await Payroll.find({
+      month,
+      year,
+      ...(req.body.period ? { period: req.body.period } : {}),
+      status: { $in: ['Approved', 'Processed', 'Paid'] },
+      alimonyOrders: {
+        $elemMatch: {
+          'beneficiary.paymentMethod': 'PIX',
+          'payment.status': { $in: ['Pending', 'Failed'] },
+          amount: { $gt: 0 }
+        }
+      }
+    });
+
+    for (const payroll of alimonyPayrolls) {
+      for (const alimony of payroll.alimonyOrders) {
+        if (alimony.beneficiary.paymentMethod !== 'PIX' || alimony.amount <= 0 ||
+            !['Pending', 'Failed'].includes(alimony.payment.status)) continue;
+
+        const { beneficiary } = alimony;
+        const key = validatePixKey(beneficiary.pixKey?.keyType, beneficiary.pixKey?.key, { cpf: beneficiary.cpf });
+        if (!key.valid) {
+          skipped.push({ payroll: payroll._id, employee: payroll.employee, beneficiary: beneficiary.name, reason: key.error });
+          continue;
+        }
+
+        items.push({
+          payroll: payroll._id,
+          employee: payroll.employee,
+          alimony: alimony._id,
+          reference: `${batchId}-${String(items.length + 1).padStart(4, '0')}`,
+          amount: roundCurrency(alimony.amount),
+          pixKeyType: key.type,
+          pixKey: key.key,
+          name: beneficiary.name,
+          cpf: beneficiary.cpf
+        });
+      }
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'No approved PIX payrolls to pay in this period', skipped });
+    }
+
+    const payout = new PixPayout({
+      batchId,
+      month,
+      year,
+      paymentDate: moment.utc(req.body.paymentDate).startOf('day').toDate(),
+      total: roundCurrency(items.reduce((sum, item) => sum + item.amount, 0)),
+      items,
+      createdBy: req.user._id
+    });
+    await payout.save();
+
+    await Payroll.updateMany(
+      { _id: { $in: items.filter(item => !item.alimony).map(item => item.payroll) } },
+      {
+        $set: {
+          'payment.status': 'Processed',
+          'payment.pixPayout': payout._id,
+          updatedBy: req.user._id
+        }
+      }
+    );
+
+    for (const item of items.filter(i => i.alimony)) {
+      await Payroll.updateOne(
+        { _id: item.payroll, 'alimonyOrders._id': item.alimony },
+        {
+          $set: {
+            'alimonyOrders.$.payment.status': 'Processed',
+            'alimonyOrders.$.payment.pixPayout': payout._id
+          }
+        }
+      );
+    }
+
+    res.status(201).json({
+      message: `PIX payout generated with ${items.length} payments`,
+      payout: {
+        _id: payout._id,
+        batchId,
+        total: payout.total,
+        payments: items.length
+      },
+      skipped
+    });
+  } catch (error) {
+    console.error('Generate PIX payout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send a generated batch to the bank API and apply the results it returns
+router.post('/:id/send', auth, authorize('Admin', 'Finance'), async (req, res) => {
+  try {
+    const payout = await PixPayout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({ error: 'PIX payout not found' });
+    }
+
+    if (payout.status !== 'Generated') {
+      return res.status(400).json({ error: `PIX payout was already ${payout.status.toLowerCase()}` });
+    }
+
+    let response;
+    try {
+      response = await axios.post(getPixApiUrl(), buildPixPayoutBatch(getPixPayer(), payout), {
+        headers: process.env.PIX_API_TOKEN ? { Authorization: `Bearer ${process.env.PIX_API_TOKEN}` } : {},
+        timeout: 30000
+      });
+    } catch (error) {
+      console.error('PIX API error:', error.message);
+      return res.status(502).json({ error: 'PIX API request failed' });
+    }
+
+    payout.status = 'Sent';
+    payout.sentAt = new Date();
+    payout.sentBy = req.user._id;
+
+    const summary = await applyPayoutResults(payout, response.data?.payments || [], req.user._id);
+
+    res.json({
+      message: `PIX payout sent: ${summary.paid} paid, ${summary.failed} failed, ${summary.pending} pending`,
+      status: payout.status,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Send PIX payout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Apply results reported later by the bank (payments still pending when the batch was sent)
+router.post('/:id/results', auth, authorize('Admin', 'Finance'), [
+  body('payments').isArray({ min: 1 }).withMessage('Payment results are required'),
+  body('payments.*.id').notEmpty().withMessage('Payment id is required'),
+  body('payments.*.status').isIn(['CONCLUDED', 'REJECTED', 'PENDING']).withMessage('Invalid payment status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payout = await PixPayout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({ error: 'PIX payout not found' });
+    }
+
+    if (payout.status === 'Generated' || payout.status === 'Cancelled') {
+      return res.status(400).json({ error: 'PIX payout has not been sent' });
+    }
+
+    const summary = await applyPayoutResults(payout, req.body.payments, req.user._id);
+
+    res.json({
+      message: `PIX results applied: ${summary.paid} paid, ${summary.failed} failed, ${summary.pending} pending`,
+      status: payout.status,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Apply PIX results error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
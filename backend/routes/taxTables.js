@@ -0,0 +1,276 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TaxTable = require('../models/TaxTable');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields that make up a table definition (used by import/export)
+const TABLE_FIELDS = [
+  'type', 'name', 'legalReference', 'validFrom', 'validTo', 'brackets',
+  'dependentDeduction', 'simplifiedDiscount', 'reduction', 'rate', 'apprenticeRate', 'value', 'notes'
+];
+
+const pickTableFields = (source) => {
+  const table = {};
+  for (const field of TABLE_FIELDS) {
+    if (source[field] !== undefined) table[field] = source[field];
+  }
+  if (Array.isArray(table.brackets)) {
+    table.brackets = table.brackets.map(({ upTo = null, rate, deduction = 0 }) => ({ upTo, rate, deduction }));
+  }
+  return table;
+};
+
+const tableValidators = [
+  body('type').isIn(TaxTable.TABLE_TYPES).withMessage('Valid table type is required'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('validFrom').isISO8601().withMessage('Valid start date is required'),
+  body('validTo').optional({ nullable: true }).isISO8601().withMessage('Valid end date is required'),
+  body('brackets').optional().isArray(),
+  body('brackets.*.rate').isFloat({ min: 0, max: 1 }).withMessage('Bracket rate must be between 0 and 1'),
+  body('brackets.*.upTo').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Bracket limit must be a positive number'),
+  body('rate').optional().isFloat({ min: 0, max: 1 }),
+  body('apprenticeRate').optional().isFloat({ min: 0, max: 1 }),
+  body('value').optional().isNumeric()
+];
+
+// Get all tax tables
+router.get('/', auth, async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+
+    const tables = await TaxTable.find(filter)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ type: 1, validFrom: -1 });
+
+    res.json(tables);
+  } catch (error) {
+    console.error('Get tax tables error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the tables valid for a payroll period
+router.get('/valid/:month/:year', auth, async (req, res) => {
+  try {
+    const month = parseInt(req.params.month);
+    const year = parseInt(req.params.year);
+
+    if (!month || month < 1 || month > 12 || !year) {
+      return res.status(400).json({ error: 'Valid month and year are required' });
+    }
+
+    const tables = await TaxTable.getTablesFor(month, year);
+
+    res.json({ month, year, tables });
+  } catch (error) {
+    if (error.name === 'MissingTaxTableError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Get valid tax tables error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Export tax tables as JSON
+router.get('/export', auth, authorize('Admin'), async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+
+    const tables = await TaxTable.find(filter).sort({ type: 1, validFrom: 1 });
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename=tax-tables-${new Date().toISOString().slice(0, 10)}.json`);
+
+    res.send(JSON.stringify({
+      exportedAt: new Date(),
+      tables: tables.map(table => pickTableFields(table.toObject()))
+    }, null, 2));
+  } catch (error) {
+    console.error('Export tax tables error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Import tax tables from JSON (upserts by type and validFrom)
+router.post('/import', auth, authorize('Admin'), [
+  body('tables').isArray({ min: 1 }).withMessage('A non-empty tables array is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const results = { created: 0, updated: 0, failed: [] };
+
+    for (const [index, entry] of req.body.tables.entries()) {
+      try {
+        const data = pickTableFields(entry);
+        if (!data.type || !data.validFrom) {
+          throw new Error('type and validFrom are required');
+        }
+
+        let table = await TaxTable.findOne({ type: data.type, validFrom: new Date(data.validFrom) });
+
+        const overlapping = await TaxTable.findOverlapping(
+          data.type,
+          new Date(data.validFrom),
+          data.validTo ? new Date(data.validTo) : null,
+          table?._id
+        );
+        if (overlapping.length > 0) {
+          throw new Error(`Validity overlaps existing ${data.type} table "${overlapping[0].name}"`);
+        }
+
+        const isNew = !table;
+        if (table) {
+          table.set({ ...data, updatedBy: req.user._id });
+        } else {
+          table = new TaxTable({ ...data, createdBy: req.user._id });
+        }
+
+        await table.save();
+        results[isNew ? 'created' : 'updated']++;
+      } catch (error) {
+        results.failed.push({ index, name: entry.name, error: error.message });
+      }
+    }
+
+    res.json({
+      message: 'Tax tables imported',
+      ...results
+    });
+  } catch (error) {
+    console.error('Import tax tables error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get tax table by ID
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const table = await TaxTable.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName')
+      .populate('updatedBy', 'firstName lastName');
+
+    if (!table) {
+      return res.status(404).json({ error: 'Tax table not found' });
+    }
+
+    res.json(table);
+  } catch (error) {
+    console.error('Get tax table error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create new tax table
+router.post('/', auth, authorize('Admin'), tableValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = pickTableFields(req.body);
+
+    const overlapping = await TaxTable.findOverlapping(
+      data.type,
+      new Date(data.validFrom),
+      data.validTo ? new Date(data.validTo) : null
+    );
+    if (overlapping.length > 0) {
+      return res.status(400).json({ error: `Validity overlaps existing ${data.type} table "${overlapping[0].name}"` });
+    }
+
+    const table = new TaxTable({
+      ...data,
+      createdBy: req.user._id
+    });
+
+    await table.save();
+
+    res.status(201).json({
+      message: 'Tax table created successfully',
+      table
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create tax table error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update tax table
+router.put('/:id', auth, authorize('Admin'), [
+  body('type').optional().isIn(TaxTable.TABLE_TYPES),
+  body('name').optional().trim().notEmpty(),
+  body('validFrom').optional().isISO8601(),
+  body('validTo').optional({ nullable: true }).isISO8601(),
+  body('brackets').optional().isArray(),
+  body('brackets.*.rate').isFloat({ min: 0, max: 1 }).withMessage('Bracket rate must be between 0 and 1'),
+  body('brackets.*.upTo').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Bracket limit must be a positive number'),
+  body('rate').optional().isFloat({ min: 0, max: 1 }),
+  body('apprenticeRate').optional().isFloat({ min: 0, max: 1 }),
+  body('value').optional().isNumeric()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const table = await TaxTable.findById(req.params.id);
+    if (!table) {
+      return res.status(404).json({ error: 'Tax table not found' });
+    }
+
+    table.set(pickTableFields(req.body));
+    table.updatedBy = req.user._id;
+
+    const overlapping = await TaxTable.findOverlapping(table.type, table.validFrom, table.validTo, table._id);
+    if (overlapping.length > 0) {
+      return res.status(400).json({ error: `Validity overlaps existing ${table.type} table "${overlapping[0].name}"` });
+    }
+
+    await table.save();
+
+    res.json({
+      message: 'Tax table updated successfully',
+      table
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update tax table error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete tax table
+router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
+  try {
+    const table = await TaxTable.findByIdAndDelete(req.params.id);
+    if (!table) {
+      return res.status(404).json({ error: 'Tax table not found' });
+    }
+
+    res.json({ message: 'Tax table deleted successfully' });
+  } catch (error) {
+    console.error('Delete tax table error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
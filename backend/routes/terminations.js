@@ -0,0 +1,396 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const moment = require('moment');
+const Termination = require('../models/Termination');
+const Payroll = require('../models/Payroll');
+const Employee = require('../models/Employee');
+const Vacation = require('../models/Vacation');
+const TaxTable = require('../models/TaxTable');
+const ConsignedLoan = require('../models/ConsignedLoan');
+const { auth, authorize } = require('../middleware/auth');
+const { TERMINATION_TYPES, NOTICE_TYPES, calculateTermination } = require('../utils/terminationCalculator');
+const { generateSettlementPdf } = require('../utils/settlementPdf');
+const { roundCurrency } = require('../utils/currency');
+const { OPEN_PAYROLL_STATUSES, paymentFromEmployee, alimonyOrdersFor } = require('../utils/payrollRuns');
+
+const router = express.Router();
+
+const terminationValidators = [
+  body('employeeId').isMongoId().withMessage('Valid employee ID is required'),
+  body('terminationDate').isISO8601().withMessage('Valid termination date is required'),
+  body('type').isIn(TERMINATION_TYPES).withMessage('Invalid termination type'),
+  body('noticeType').optional().isIn(NOTICE_TYPES).withMessage('Invalid notice type'),
+  body('fgtsBalance').optional().isFloat({ min: 0 }).withMessage('FGTS balance must be a positive number'),
+  body('reason').optional().trim()
+];
+
+// Variable additions of a monthly payroll the settlement takes over (they are part of the INSS, IRRF and FGTS bases)
+const MONTH_ADDITIONS = {
+  overtime: 'Horas extras',
+  nightShift: 'Adicional noturno',
+  dsr: 'DSR',
+  bonus: 'Bônus',
+  commission: 'Comissões',
+  other: 'Outros proventos'
+};
+
+// The monthly payroll of the termination month, which the settlement replaces
+const findMonthlyPayroll = (employeeId, terminationDate) => {
+  const end = moment.utc(terminationDate);
+  return Payroll.findOne({
+    employee: employeeId,
+    month: end.month() + 1,
+    year: end.year(),
+    period: 'Monthly',
+    status: { $ne: 'Cancelled' }
+  });
+};
+
+// Earnings and deductions of the monthly payroll other than the salary, taxes, advance and loans
+const monthItemsFrom = (payroll) => {
+  if (!payroll) return [];
+
+  const fullIncidence = { inss: true, irrf: true, fgts: true };
+  const items = Object.entries(MONTH_ADDITIONS).map(([field, description]) => ({
+    description,
+    type: 'Earning',
+    amount: payroll.additions?.[field] || 0,
+    incidence: fullIncidence
+  }));
+
+  for (const item of payroll.recurringItems || []) {
+    items.push({ description: item.description, type: item.type, amount: item.amount, incidence: item.incidence });
+  }
+  items.push({ description: 'Outros descontos', type: 'Deduction', amount: payroll.deductions?.other || 0, incidence: {} });
+
+  return items.filter(item => item.amount > 0);
+};
+
+// Gather the employee history the settlement depends on and run the calculation
+// monthlyPayroll: the termination month's payroll, whose items and loan installments move into the settlement
+const calculateSettlement = async (employee, { terminationDate, type, noticeType, fgtsBalance }, monthlyPayroll) => {
+  const end = moment.utc(terminationDate).startOf('day');
+  const month = end.month() + 1;
+  const year = end.year();
+
+  // Vacation days already taken or sold count against the acquisition periods
+  const vacationsTaken = await Vacation.find({ employee: employee._id, status: { $ne: 'Cancelled' } })
+    .select('startDate days soldDays');
+
+  // 1st installment of the 13th salary already paid this year is deducted from the proportional 13th
+  const advance = await Payroll.findOne({
+    employee: employee._id,
+    year,
+    period: Payroll.THIRTEENTH_SALARY_PERIODS[0],
+    status: { $ne: 'Cancelled' }
+  }).select('grossSalary');
+
+  // FGTS balance for the fine: informed balance, or the sum of the deposits recorded in payroll
+  let balance = fgtsBalance;
+  if (balance === undefined || balance === null || balance === '') {
+    const payrolls = await Payroll.find({
+      employee: employee._id,
+      status: { $ne: 'Cancelled' },
+      'employerCharges.fgts.amount': { $gt: 0 }
+    }).select('employerCharges.fgts.amount');
+    balance = roundCurrency(payrolls.reduce((sum, p) => sum + p.employerCharges.fgts.amount, 0));
+  }
+
+  const previousMonth = moment(end).subtract(1, 'month');
+  const averageVariablePay = await Payroll.getAverageVariablePay(employee._id, previousMonth.month() + 1, previousMonth.year(), 12);
+  const tables = await TaxTable.getTablesFor(month, year);
+
+  // Outstanding consigned loan installments move into the settlement, including the ones recorded against the
+  // monthly payroll, which are owed again once it is cancelled
+  const monthlyLoanIds = (monthlyPayroll?.consignedLoans || []).map(entry => entry.loan);
+  const loans = await ConsignedLoan.find({
+    employee: employee._id,
+    $or: [{ status: 'Active' }, { _id: { $in: monthlyLoanIds } }]
+  }).sort({ createdAt: 1 });
+  const monthlyInstallments = (loan) => loan.installments
+    .filter(installment => monthlyPayroll && String(installment.payroll) === String(monthlyPayroll._id))
+    .reduce((sum, installment) => sum + installment.deductedAmount, 0);
+  const consignedLoanBalance = roundCurrency(loans.reduce((sum, loan) => sum + loan.remainingBalance + monthlyInstallments(loan), 0));
+
+  const result = calculateTermination({
+    hireDate: employee.hireDate,
+    terminationDate: end.toDate(),
+    leaves: employee.leaves,
+    type,
+    noticeType,
+    baseSalary: employee.baseSalary,
+    averageVariablePay,
+    apprentice: employee.apprentice,
+    dependents: employee.taxInfo?.irrfDependents || 0,
+    vacationsTaken,
+    vacationBalance: employee.vacationBalance,
+    thirteenthAdvancePaid: advance ? advance.grossSalary : 0,
+    salaryAdvancePaid: await Payroll.getAdvancesPaid(employee._id, month, year),
+    monthItems: monthItemsFrom(monthlyPayroll),
+    alimonyOrders: alimonyOrdersFor(employee, month, year, Payroll.TERMINATION_PERIOD),
+    fgtsBalance: Number(balance) || 0,
+    consignedLoanBalance,
+    consignedLoanMargin: ConsignedLoan.CONSIGNED_LOAN_MARGIN
+  }, tables);
+
+  return {
+    ...result,
+    loans,
+    terminationDate: end.toDate(),
+    // Settlement must be paid within 10 days of the end of the contract (CLT art. 477 §6)
+    paymentDueDate: moment(end).add(10, 'days').toDate(),
+    baseSalary: employee.baseSalary,
+    averageVariablePay
+  };
+};
+
+// Load and check the employee being terminated
+const findTerminableEmployee = async (employeeId) => {
+  const employee = await Employee.findById(employeeId);
+  if (!employee) {
+    return { status: 404, error: 'Employee not found' };
+  }
+  if (employee.employmentType !== 'CLT') {
+    return { status: 400, error: 'Termination settlements are only calculated for CLT employees' };
+  }
+  if (employee.status === 'Terminated') {
+    return { status: 400, error: 'Employee is already terminated' };
+  }
+  return { employee };
+};
+
+// Get all terminations with filters
+router.get('/', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const { employeeId, type, status, from, to } = req.query;
+
+    const filter = {};
+    if (employeeId) filter.employee = employeeId;
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+    if (from || to) {
+      filter.terminationDate = {};
+      if (from) filter.terminationDate.$gte = new Date(from);
+      if (to) filter.terminationDate.$lte = new Date(to);
+    }
+
+    const terminations = await Termination.find(filter)
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate('payroll', 'grossSalary netSalary dueDate status')
+      .sort({ terminationDate: -1 });
+
+    res.json(terminations);
+  } catch (error) {
+    console.error('Get terminations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Preview a termination settlement without terminating the employee
+router.post('/preview', auth, authorize('Admin', 'HR'), terminationValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { employee, status, error } = await findTerminableEmployee(req.body.employeeId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const monthlyPayroll = await findMonthlyPayroll(employee._id, req.body.terminationDate);
+    const { loans, ...settlement } = await calculateSettlement(employee, req.body, monthlyPayroll);
+    res.json(settlement);
+  } catch (error) {
+    if (error.name === 'MissingTaxTableError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Preview termination error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get termination by ID
+router.get('/:id', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const termination = await Termination.findById(req.params.id)
+      .populate('employee', 'firstName lastName employeeId department position cpf hireDate')
+      .populate('payroll')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!termination) {
+      return res.status(404).json({ error: 'Termination not found' });
+    }
+
+    res.json(termination);
+  } catch (error) {
+    console.error('Get termination error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Download the settlement statement PDF
+router.get('/:id/settlement.pdf', auth, authorize('Admin', 'HR', 'Finance'), async (req, res) => {
+  try {
+    const termination = await Termination.findById(req.params.id)
+      .populate('employee', 'firstName lastName employeeId position cpf hireDate');
+
+    if (!termination) {
+      return res.status(404).json({ error: 'Termination not found' });
+    }
+
+    const pdf = await generateSettlementPdf(termination);
+    const fileName = `rescisao-${termination.employee.employeeId || termination.employee._id}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(Buffer.from(pdf));
+  } catch (error) {
+    console.error('Generate settlement PDF error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Terminate an employee: store the settlement, create its payment record and update the employee
+router.post('/', auth, authorize('Admin', 'HR'), terminationValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { employee, status, error } = await findTerminableEmployee(req.body.employeeId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (moment.utc(req.body.terminationDate).isBefore(moment.utc(employee.hireDate), 'day')) {
+      return res.status(400).json({ error: 'Termination date cannot be before the hire date' });
+    }
+
+    // The settlement pays the salary balance and the items of the termination month, so the month's payroll is
+    // cancelled once the settlement is stored
+    const terminationMonth = moment.utc(req.body.terminationDate);
+    const monthlyPayroll = await findMonthlyPayroll(employee._id, req.body.terminationDate);
+    if (monthlyPayroll && (monthlyPayroll.locked || !OPEN_PAYROLL_STATUSES.includes(monthlyPayroll.status))) {
+      return res.status(400).json({
+        error: `The monthly payroll of ${terminationMonth.format('MM/YYYY')} is ${monthlyPayroll.status.toLowerCase()}; reopen its payroll run (PUT /api/payroll-runs/:id/reopen) before recording the termination`
+      });
+    }
+
+    const settlement = await calculateSettlement(employee, req.body, monthlyPayroll);
+
+    const termination = new Termination({
+      employee: employee._id,
+      type: settlement.type,
+      noticeType: settlement.noticeType,
+      noticeDays: settlement.noticeDays,
+      terminationDate: settlement.terminationDate,
+      projectedEndDate: settlement.projectedEndDate,
+      paymentDueDate: settlement.paymentDueDate,
+      reason: req.body.reason,
+      baseSalary: settlement.baseSalary,
+      averageVariablePay: settlement.averageVariablePay,
+      thirteenthMonths: settlement.thirteenthMonths,
+      vacationMonths: settlement.vacationMonths,
+      accruedVacationDays: settlement.accruedVacationDays,
+      lines: settlement.lines,
+      taxes: settlement.taxes,
+      fgts: settlement.fgts,
+      consignedLoan: settlement.consignedLoan,
+      totals: settlement.totals,
+      createdBy: req.user._id
+    });
+
+    // Payment record; settlement amounts are kept as calculated (see Payroll.calculatePayroll)
+    const lineAmount = (...codes) => roundCurrency(settlement.lines
+      .filter(l => codes.includes(l.code))
+      .reduce((sum, l) => sum + l.amount, 0));
+    const end = moment.utc(settlement.terminationDate);
+
+    const payroll = new Payroll({
+      employee: employee._id,
+      month: end.month() + 1,
+      year: end.year(),
+      period: Payroll.TERMINATION_PERIOD,
+      dueDate: settlement.paymentDueDate,
+      baseSalary: employee.baseSalary,
+      salaryAmount: lineAmount('SALARY_BALANCE'),
+      grossSalary: settlement.totals.earnings,
+      netSalary: settlement.totals.net,
+      employmentType: employee.employmentType,
+      apprentice: employee.apprentice,
+      irrfDependents: employee.taxInfo?.irrfDependents || 0,
+      termination: termination._id,
+      deductions: {
+        inss: settlement.taxes.inss,
+        irrf: settlement.taxes.irrf,
+        alimony: lineAmount('ALIMONY'),
+        advance: lineAmount('THIRTEENTH_ADVANCE', 'SALARY_ADVANCE'),
+        consignedLoan: lineAmount('CONSIGNED_LOAN'),
+        other: lineAmount('NOTICE_NOT_WORKED', 'MONTH_DEDUCTION')
+      },
+      alimonyOrders: settlement.alimonyOrders,
+      employerCharges: {
+        fgts: {
+          base: settlement.fgts.base,
+          rate: settlement.fgts.rate,
+          amount: settlement.fgts.deposit
+        }
+      },
+      payment: paymentFromEmployee(employee),
+      status: 'Draft',
+      createdBy: req.user._id
+    });
+    await payroll.validate();
+
+    termination.payroll = payroll._id;
+    await termination.validate();
+
+    await payroll.save();
+    await termination.save();
+
+    // Cancelling the month's payroll reopens the loan installments it recorded, which the settlement covers
+    if (monthlyPayroll) {
+      monthlyPayroll.status = 'Cancelled';
+      monthlyPayroll.notes.push({ content: 'Salary balance and items paid by the termination settlement', author: req.user._id });
+      monthlyPayroll.updatedBy = req.user._id;
+      await monthlyPayroll.save();
+    }
+
+    // Close the loans, oldest first, with the part of the balance the settlement deducted
+    const loans = await ConsignedLoan.find({ _id: { $in: settlement.loans.map(loan => loan._id) } }).sort({ createdAt: 1 });
+    let loanDeduction = settlement.consignedLoan.deducted;
+    for (const loan of loans) {
+      const amount = Math.min(loan.remainingBalance, loanDeduction);
+      loanDeduction = roundCurrency(loanDeduction - amount);
+      loan.settle(termination._id, amount);
+      loan.updatedBy = req.user._id;
+      await loan.save();
+    }
+
+    employee.status = 'Terminated';
+    employee.statusColor = 'red';
+    employee.terminationDate = settlement.terminationDate;
+    employee.updatedBy = req.user._id;
+    await employee.save();
+
+    const populatedTermination = await Termination.findById(termination._id)
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate('payroll');
+
+    res.status(201).json({
+      message: 'Employee terminated successfully',
+      termination: populatedTermination
+    });
+  } catch (error) {
+    if (error.name === 'MissingTaxTableError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create termination error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
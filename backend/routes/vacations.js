@@ -0,0 +1,345 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const moment = require('moment');
+const Vacation = require('../models/Vacation');
+const Payroll = require('../models/Payroll');
+const Employee = require('../models/Employee');
+const Benefit = require('../models/Benefit');
+const Holiday = require('../models/Holiday');
+const TaxTable = require('../models/TaxTable');
+const { auth, authorize } = require('../middleware/auth');
+const { calculateVacationPay } = require('../utils/vacationCalculator');
+const { paymentFromEmployee, alimonyOrdersFor, calculateMonthlyDays } = require('../utils/payrollRuns');
+
+const router = express.Router();
+
+// Months (month/year pairs) touched by a vacation
+const getVacationMonths = (vacation) => {
+  const months = [];
+  const cursor = moment.utc(vacation.startDate).startOf('month');
+  const end = moment.utc(vacation.endDate);
+  while (!cursor.isAfter(end)) {
+    months.push({ month: cursor.month() + 1, year: cursor.year() });
+    cursor.add(1, 'month');
+  }
+  return months;
+};
+
+// Average variable pay over the 12 months before the leave starts
+const getVacationAverageVariablePay = (employeeId, startDate) => {
+  const previousMonth = moment.utc(startDate).subtract(1, 'month');
+  return Payroll.getAverageVariablePay(employeeId, previousMonth.month() + 1, previousMonth.year(), 12);
+};
+
+// Payment record of a vacation, due 2 days before the leave starts (amounts are calculated on save)
+const buildVacationPayroll = (employee, vacation, averageVariablePay, createdBy) => {
+  const start = moment.utc(vacation.startDate);
+
+  return new Payroll({
+    employee: employee._id,
+    month: start.month() + 1,
+    year: start.year(),
+    period: Payroll.VACATION_PERIOD,
+    dueDate: vacation.paymentDueDate,
+    baseSalary: employee.baseSalary,
+    grossSalary: 0,
+    netSalary: 0,
+    employmentType: employee.employmentType,
+    apprentice: employee.apprentice,
+    irrfDependents: employee.taxInfo?.irrfDependents || 0,
+    vacation: {
+      record: vacation._id,
+      startDate: vacation.startDate,
+      endDate: vacation.endDate,
+      days: vacation.days,
+      soldDays: vacation.soldDays,
+      averageVariablePay
+    },
+    alimonyOrders: alimonyOrdersFor(employee, start.month() + 1, start.year(), Payroll.VACATION_PERIOD),
+    payment: paymentFromEmployee(employee),
+    status: 'Draft',
+    createdBy
+  });
+};
+
+// Discount the vacation days from the VR/VT benefit records of every month it touches
+const syncVacationBenefits = async (vacation, employee, userId, { remove = false } = {}) => {
+  for (const { month, year } of getVacationMonths(vacation)) {
+    const monthKey = `${year}-${month.toString().padStart(2, '0')}`;
+
+    let benefit = await Benefit.findOne({ employeeId: employee._id, month: monthKey });
+    if (!benefit) {
+      if (remove) continue;
+
+      benefit = await Benefit.createForEmployee(employee, month, year, userId);
+    }
+
+    let days = { businessDays: 0, saturdays: 0 };
+    if (!remove) {
+      const holidays = await Holiday.getHolidaysFor(year, employee.workLocation || {}, month);
+      days = vacation.getDaysInMonth(month, year, holidays.map(holiday => holiday.date));
+    }
+    benefit.applyVacation(vacation._id, days, userId, { worksSaturdays: employee.workSchedule === 'Monday-Saturday' });
+    benefit.updatedBy = userId;
+
+    await benefit.save();
+  }
+};
+
+// Update draft monthly payrolls already generated for the months a vacation touches
+// (vacation days, VR/VT days and the INSS shared with the vacation pay)
+const syncVacationPayrolls = async (vacation, userId) => {
+  const employee = await Employee.findById(vacation.employee);
+  for (const { month, year } of getVacationMonths(vacation)) {
+    const payroll = await Payroll.findOne({
+      employee: vacation.employee,
+      month,
+      year,
+      period: 'Monthly',
+      status: 'Draft'
+    });
+    if (!payroll || !employee) continue;
+
+    // Same days as the monthly payroll generation (proration by days paid, Saturday schedules)
+    const calendar = await Holiday.getBusinessDaysFor(month, year, employee.workLocation || {});
+    const { vacationDays, benefitDays } = await calculateMonthlyDays(employee, month, year, calendar);
+
+    payroll.vacationINSS = await Payroll.getVacationINSS(vacation.employee, month, year);
+    payroll.workingDays.vacationDays = vacationDays;
+    payroll.workingDays.workedDays = benefitDays;
+    payroll.benefits.valeTransporte.monthlyDays = benefitDays;
+    payroll.benefits.valeRefeicao.monthlyDays = benefitDays;
+    payroll.updatedBy = userId;
+
+    await payroll.save();
+  }
+};
+
+// Get all vacations with filters
+router.get('/', auth, async (req, res) => {
+  try {
+    const { employeeId, status, from, to } = req.query;
+
+    const filter = {};
+    if (employeeId) filter.employee = employeeId;
+    if (status) filter.status = status;
+    if (from) filter.endDate = { $gte: new Date(from) };
+    if (to) filter.startDate = { $lte: new Date(to) };
+
+    const vacations = await Vacation.find(filter)
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate('payroll', 'grossSalary netSalary dueDate status')
+      .sort({ startDate: -1 });
+
+    res.json(vacations);
+  } catch (error) {
+    console.error('Get vacations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Preview vacation pay without scheduling
+router.get('/preview', auth, authorize('Admin', 'HR'), [
+  query('employeeId').isMongoId().withMessage('Valid employee ID is required'),
+  query('startDate').isISO8601().withMessage('Valid start date is required'),
+  query('days').isInt({ min: 5, max: 30 }).withMessage('Vacation days must be between 5 and 30'),
+  query('soldDays').optional().isInt({ min: 0, max: 10 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employee = await Employee.findById(req.query.employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    // Calculated as the payment record would be, with the tax tables of the month the leave starts
+    const vacation = new Vacation({
+      employee: employee._id,
+      startDate: moment.utc(req.query.startDate).startOf('day').toDate(),
+      days: parseInt(req.query.days),
+      soldDays: parseInt(req.query.soldDays) || 0
+    });
+    const averageVariablePay = await getVacationAverageVariablePay(employee._id, vacation.startDate);
+    const payroll = buildVacationPayroll(employee, vacation, averageVariablePay);
+    payroll.calculateVacationPay(await TaxTable.getTablesFor(payroll.month, payroll.year));
+
+    res.json({
+      baseSalary: employee.baseSalary,
+      averageVariablePay,
+      paymentDueDate: vacation.paymentDueDate,
+      ...calculateVacationPay({
+        monthlyRemuneration: employee.baseSalary + averageVariablePay,
+        days: vacation.days,
+        soldDays: vacation.soldDays
+      }),
+      deductions: {
+        inss: payroll.deductions.inss,
+        irrf: payroll.deductions.irrf,
+        alimony: payroll.deductions.alimony
+      },
+      netSalary: payroll.netSalary
+    });
+  } catch (error) {
+    if (error.name === 'MissingTaxTableError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Preview vacation error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get vacation by ID
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const vacation = await Vacation.findById(req.params.id)
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate('payroll')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!vacation) {
+      return res.status(404).json({ error: 'Vacation not found' });
+    }
+
+    res.json(vacation);
+  } catch (error) {
+    console.error('Get vacation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Schedule a vacation and create its payment record
+router.post('/', auth, authorize('Admin', 'HR'), [
+  body('employeeId').isMongoId().withMessage('Valid employee ID is required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('days').isInt({ min: 5, max: 30 }).withMessage('Vacation days must be between 5 and 30'),
+  body('soldDays').optional().isInt({ min: 0, max: 10 }).withMessage('At most 10 days can be sold'),
+  body('acquisitionPeriod.start').optional().isISO8601(),
+  body('acquisitionPeriod.end').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { employeeId, startDate, acquisitionPeriod } = req.body;
+    const days = parseInt(req.body.days);
+    const soldDays = parseInt(req.body.soldDays) || 0;
+
+    if (days + soldDays > 30) {
+      return res.status(400).json({ error: 'Vacation days plus sold days cannot exceed 30' });
+    }
+
+    const employee = await Employee.findById(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    if (employee.employmentType !== 'CLT') {
+      return res.status(400).json({ error: 'Vacation pay is only calculated for CLT employees' });
+    }
+
+    const vacation = new Vacation({
+      employee: employee._id,
+      acquisitionPeriod,
+      startDate: moment.utc(startDate).startOf('day').toDate(),
+      days,
+      soldDays,
+      createdBy: req.user._id
+    });
+    await vacation.validate();
+
+    const overlapping = await Vacation.findOverlapping(employee._id, vacation.startDate, vacation.endDate);
+    if (overlapping.length > 0) {
+      return res.status(400).json({ error: 'Employee already has a vacation in this period' });
+    }
+
+    const averageVariablePay = await getVacationAverageVariablePay(employee._id, vacation.startDate);
+    const payroll = buildVacationPayroll(employee, vacation, averageVariablePay, req.user._id);
+    await payroll.validate();
+
+    // The vacation is stored first; it is removed again if its payment record can't be calculated
+    await vacation.save();
+    try {
+      await payroll.save();
+    } catch (error) {
+      await vacation.deleteOne();
+      throw error;
+    }
+
+    vacation.payroll = payroll._id;
+    await vacation.save();
+
+    await syncVacationBenefits(vacation, employee, req.user._id);
+    await syncVacationPayrolls(vacation, req.user._id);
+
+    const populatedVacation = await Vacation.findById(vacation._id)
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate('payroll');
+
+    res.status(201).json({
+      message: 'Vacation scheduled successfully',
+      vacation: populatedVacation
+    });
+  } catch (error) {
+    if (error.name === 'MissingTaxTableError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create vacation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel a scheduled vacation
+router.put('/:id/cancel', auth, authorize('Admin', 'HR'), [
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const vacation = await Vacation.findById(req.params.id);
+    if (!vacation) {
+      return res.status(404).json({ error: 'Vacation not found' });
+    }
+
+    if (vacation.status !== 'Scheduled') {
+      return res.status(400).json({ error: `Cannot cancel a vacation that is ${vacation.status.toLowerCase()}` });
+    }
+
+    const payroll = vacation.payroll ? await Payroll.findById(vacation.payroll) : null;
+    if (payroll && ['Processed', 'Paid'].includes(payroll.status)) {
+      return res.status(400).json({ error: 'Vacation has already been paid' });
+    }
+
+    vacation.status = 'Cancelled';
+    vacation.updatedBy = req.user._id;
+    if (req.body.reason) {
+      vacation.notes.push({ content: req.body.reason, author: req.user._id });
+    }
+    await vacation.save();
+
+    if (payroll) {
+      payroll.status = 'Cancelled';
+      payroll.updatedBy = req.user._id;
+      await payroll.save();
+    }
+
+    const employee = await Employee.findById(vacation.employee);
+    if (employee) {
+      await syncVacationBenefits(vacation, employee, req.user._id, { remove: true });
+    }
+    await syncVacationPayrolls(vacation, req.user._id);
+
+    res.json({
+      message: 'Vacation cancelled successfully',
+      vacation
+    });
+  } catch (error) {
+    console.error('Cancel vacation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const moment = require('moment');
+
+const toDateKeys = (dates) => new Set(dates.map(date => moment.utc(date).format('YYYY-MM-DD')));
+
+// Count weekdays (Monday to Friday) and Saturdays between two dates, inclusive
+// holidays: dates that are not counted
+const countWorkingDays = (startDate, endDate, holidays = []) => {
+  const start = moment.utc(startDate).startOf('day');
+  const end = moment.utc(endDate).startOf('day');
+  const holidayKeys = toDateKeys(holidays);
+
+  let businessDays = 0;
+  let saturdays = 0;
+  for (const day = moment(start); !day.isAfter(end); day.add(1, 'day')) {
+    if (holidayKeys.has(day.format('YYYY-MM-DD'))) continue;
+    const weekday = day.day();
+    if (weekday >= 1 && weekday <= 5) businessDays++;
+    if (weekday === 6) saturdays++;
+  }
+
+  return { businessDays, saturdays };
+};
+
+// Count the business days (Monday to Friday) and Saturdays among a list of dates; Sundays and holidays are
+// not counted
+const countDatesWorkingDays = (dates, holidays = []) => {
+  const holidayKeys = toDateKeys(holidays);
+
+  let businessDays = 0;
+  let saturdays = 0;
+  for (const date of dates) {
+    const day = moment.utc(date);
+    if (holidayKeys.has(day.format('YYYY-MM-DD'))) continue;
+    const weekday = day.day();
+    if (weekday >= 1 && weekday <= 5) businessDays++;
+    if (weekday === 6) saturdays++;
+  }
+
+  return { businessDays, saturdays };
+};
+
+// Count the business days (Monday to Friday) and Saturdays of a month that are not holidays
+const countMonthWorkingDays = (month, year, holidays = []) => {
+  const monthStart = moment.utc({ year, month: month - 1, day: 1 });
+  return countWorkingDays(monthStart, moment(monthStart).endOf('month'), holidays);
+};
+
+// Clip a date range to a calendar month; returns null when they don't overlap
+const clipToMonth = (startDate, endDate, month, year) => {
+  const monthStart = moment.utc({ year, month: month - 1, day: 1 });
+  const monthEnd = moment(monthStart).endOf('month').startOf('day');
+
+  const from = moment.max(moment.utc(startDate).startOf('day'), monthStart);
+  const to = moment.min(moment.utc(endDate).startOf('day'), monthEnd);
+
+  if (to.isBefore(from)) return null;
+
+  return { start: from.toDate(), end: to.toDate(), days: to.diff(from, 'days') + 1 };
+};
+
+// Count the business days (Monday to Saturday) and rest days (Sundays and holidays) of a month, used for DSR
+// holidays: dates that fall on a business day are counted as rest days
+const countDSRDays = (month, year, holidays = []) => {
+  const monthStart = moment.utc({ year, month: month - 1, day: 1 });
+  const monthEnd = moment(monthStart).endOf('month').startOf('day');
+  const holidayKeys = toDateKeys(holidays);
+
+  let businessDays = 0;
+  let restDays = 0;
+  for (const day = moment(monthStart); !day.isAfter(monthEnd); day.add(1, 'day')) {
+    if (day.day() === 0 || holidayKeys.has(day.format('YYYY-MM-DD'))) {
+      restDays++;
+    } else {
+      businessDays++;
+    }
+  }
+
+  return { businessDays, restDays };
+};
+
+// Count the days of a date range inside a month on the commercial 30-day month
+// A range reaching the month's last day counts up to day 30 (so February and 31-day months pay 30 days)
+const countCommercialDays = (startDate, endDate, month, year) => {
+  const range = clipToMonth(startDate, endDate, month, year);
+  if (!range) return 0;
+
+  const start = moment.utc(range.start);
+  const end = moment.utc(range.end);
+  const isMonthEnd = end.date() === end.daysInMonth();
+
+  const firstDay = Math.min(start.date(), 30);
+  const lastDay = isMonthEnd ? 30 : Math.min(end.date(), 30);
+
+  return Math.max(lastDay - firstDay + 1, 0);
+};
+
+module.exports = {
+  countWorkingDays,
+  countDatesWorkingDays,
+  countMonthWorkingDays,
+  clipToMonth,
+  countDSRDays,
+  countCommercialDays
+};
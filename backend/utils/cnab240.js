@@ -0,0 +1,386 @@
+const moment = require('moment');
+
+// FEBRABAN CNAB 240 payment remittance (Pagamento de Salários, service type 30)
+// Every record is 240 characters; numeric fields are zero-padded, alphanumeric fields are
+// upper case without accents and space-padded.
+
+const RECORD_LENGTH = 240;
+
+// Layout settings shared by every bank; BANK_LAYOUTS and per-request overrides are merged on top
+const DEFAULT_LAYOUT = {
+  bankName: '',
+  fileLayoutVersion: '089',
+  batchLayoutVersion: '045',
+  density: '01600',
+  serviceType: '30', // Pagamento de salários
+  launchCodes: {
+    sameBankChecking: '01', // Crédito em conta corrente
+    sameBankSavings: '05', // Crédito em conta poupança
+    otherBank: '41' // TED - outra titularidade
+  },
+  clearingCodes: {
+    sameBank: '000',
+    otherBank: '018' // TED (STR/CIP)
+  },
+  tedPurpose: '00004', // Finalidade TED: pagamento de salários
+  paymentFormIndicator: '01' // Débito em conta corrente
+};
+
+// Per-bank variations (bank code -> settings that differ from DEFAULT_LAYOUT)
+const BANK_LAYOUTS = {
+  '001': { bankName: 'BANCO DO BRASIL S.A.' },
+  '033': { bankName: 'BANCO SANTANDER' },
+  '104': { bankName: 'CAIXA ECONOMICA FEDERAL' },
+  '237': { bankName: 'BANCO BRADESCO S.A.' },
+  '341': { bankName: 'BANCO ITAU S.A.' }
+};
+
+// Layout for a bank: defaults, then the bank's variations, then explicit overrides
+const getBankLayout = (bankCode, overrides = {}) => {
+  const bankLayout = BANK_LAYOUTS[bankCode] || {};
+  return {
+    ...DEFAULT_LAYOUT,
+    ...bankLayout,
+    ...overrides,
+    launchCodes: { ...DEFAULT_LAYOUT.launchCodes, ...bankLayout.launchCodes, ...overrides.launchCodes },
+    clearingCodes: { ...DEFAULT_LAYOUT.clearingCodes, ...bankLayout.clearingCodes, ...overrides.clearingCodes }
+  };
+};
+
+// Remove accents and characters banks reject, in upper case
+const normalizeText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^A-Za-z0-9 .,/&-]/g, ' ')
+  .toUpperCase();
+
+// Alphanumeric field: left aligned, space padded, truncated to the field size
+const alpha = (value, length) => normalizeText(value).slice(0, length).padEnd(length, ' ');
+
+// Numeric field: right aligned, zero padded; values that don't fit are an error
+const num = (value, length) => {
+  const digits = String(value === undefined || value === null ? '' : value).replace(/\D/g, '');
+  if (digits.length > length) {
+    throw new Error(`Value ${value} does not fit a ${length}-digit CNAB field`);
+  }
+  return digits.padStart(length, '0');
+};
+
+// Monetary field in cents
+const money = (value, length) => num(Math.round((Number(value) || 0) * 100), length);
+
+const blank = (length) => ' '.repeat(length);
+
+const record = (...fields) => {
+  const line = fields.join('');
+  if (line.length !== RECORD_LENGTH) {
+    throw new Error(`CNAB record has ${line.length} characters instead of ${RECORD_LENGTH}`);
+  }
+  return line;
+};
+
+// Split bank info typed as "1234-5" / "12345-6" into number and check digit
+const splitNumberAndDigit = (value) => {
+  const text = String(value || '').trim();
+  const match = text.match(/^(\d+)[-\s]?([\dXx])?$/);
+  if (!match) return null;
+  return { number: match[1], digit: (match[2] || '').toUpperCase() };
+};
+
+// Parse Payroll.payment.bankInfo into the fields CNAB needs; returns null when incomplete
+const parseBankAccount = (bankInfo = {}) => {
+  const bankCode = String(bankInfo.bank || '').match(/\d{3}/);
+  const agency = splitNumberAndDigit(bankInfo.agency);
+  const account = splitNumberAndDigit(bankInfo.account);
+  if (!bankCode || !agency || !account) return null;
+
+  return {
+    bankCode: bankCode[0],
+    agency: agency.number,
+    agencyDigit: agency.digit,
+    account: account.number,
+    accountDigit: account.digit,
+    savings: /poupan|saving/i.test(bankInfo.accountType || '')
+  };
+};
+
+// Company (paying account) fields shared by the file and batch headers
+const companyFields = (company) => [
+  '2',
+  num(company.cnpj, 14),
+  alpha(company.agreement, 20),
+  num(company.agency, 5),
+  alpha(company.agencyDigit, 1),
+  num(company.account, 12),
+  alpha(company.accountDigit, 1),
+  blank(1),
+  alpha(company.name, 30)
+];
+
+// Build a salary payment remittance
+// company: { name, cnpj, agreement, bankCode, agency, agencyDigit, account, accountDigit, address }
+// payments: [{ reference, amount, name, cpf, address, bankAccount (see parseBankAccount) }]
+// options: { sequence, paymentDate, generatedAt, layout (overrides) }
+// Returns { content, batches: [{ launchCode, payments, total }], total, recordCount }
+const buildPaymentRemittance = (company, payments, options = {}) => {
+  const layout = getBankLayout(company.bankCode, options.layout);
+  const generatedAt = moment(options.generatedAt || new Date());
+  const paymentDate = moment.utc(options.paymentDate || new Date()).format('DDMMYYYY');
+  const bank = num(company.bankCode, 3);
+  const address = company.address || {};
+
+  // Payments are grouped in batches by launch code (same-bank credit vs TED)
+  const launchCodeFor = (account) => {
+    if (account.bankCode !== company.bankCode) return layout.launchCodes.otherBank;
+    return account.savings ? layout.launchCodes.sameBankSavings : layout.launchCodes.sameBankChecking;
+  };
+
+  const grouped = new Map();
+  for (const payment of payments) {
+    const launchCode = launchCodeFor(payment.bankAccount);
+    if (!grouped.has(launchCode)) grouped.set(launchCode, []);
+    grouped.get(launchCode).push(payment);
+  }
+
+  const lines = [];
+
+  // File header (record type 0)
+  lines.push(record(
+    bank, '0000', '0', blank(9),
+    ...companyFields(company),
+    alpha(layout.bankName, 30),
+    blank(10),
+    '1',
+    generatedAt.format('DDMMYYYY'),
+    generatedAt.format('HHmmss'),
+    num(options.sequence || 1, 6),
+    num(layout.fileLayoutVersion, 3),
+    num(layout.density, 5),
+    blank(20), blank(20), blank(29)
+  ));
+
+  const batches = [];
+  let batchNumber = 0;
+
+  for (const [launchCode, batchPayments] of grouped) {
+    batchNumber++;
+    const lot = num(batchNumber, 4);
+    const otherBank = launchCode === layout.launchCodes.otherBank;
+    let sequence = 0;
+    let batchTotal = 0;
+
+    // Batch header (record type 1)
+    lines.push(record(
+      bank, lot, '1', 'C',
+      num(layout.serviceType, 2),
+      num(launchCode, 2),
+      num(layout.batchLayoutVersion, 3),
+      blank(1),
+      ...companyFields(company),
+      blank(40),
+      alpha(address.street, 30),
+      num(address.number, 5),
+      alpha(address.complement, 15),
+      alpha(address.city, 20),
+      num(String(address.zipCode || '').replace(/\D/g, '').slice(0, 5), 5),
+      num(String(address.zipCode || '').replace(/\D/g, '').slice(5, 8), 3),
+      alpha(address.state, 2),
+      num(layout.paymentFormIndicator, 2),
+      blank(6),
+      blank(10)
+    ));
+
+    for (const payment of batchPayments) {
+      const account = payment.bankAccount;
+      const employeeAddress = payment.address || {};
+      const zip = String(employeeAddress.zipCode || '').replace(/\D/g, '');
+      batchTotal += Math.round(payment.amount * 100);
+
+      // Segment A: credit details
+      sequence++;
+      lines.push(record(
+        bank, lot, '3', num(sequence, 5), 'A', '0', '00',
+        num(otherBank ? layout.clearingCodes.otherBank : layout.clearingCodes.sameBank, 3),
+        num(account.bankCode, 3),
+        num(account.agency, 5),
+        alpha(account.agencyDigit, 1),
+        num(account.account, 12),
+        alpha(account.accountDigit, 1),
+        blank(1),
+        alpha(payment.name, 30),
+        alpha(payment.reference, 20),
+        paymentDate,
+        'BRL',
+        num(0, 15),
+        money(payment.amount, 15),
+        blank(20),
+        num(0, 8),
+        num(0, 15),
+        blank(40),
+        blank(2),
+        otherBank ? num(layout.tedPurpose, 5) : blank(5),
+        blank(2),
+        blank(3),
+        '0',
+        blank(10)
+      ));
+
+      // Segment B: beneficiary CPF and address
+      sequence++;
+      lines.push(record(
+        bank, lot, '3', num(sequence, 5), 'B', blank(3),
+        '1',
+        num(payment.cpf, 14),
+        alpha(employeeAddress.street, 30),
+        num(employeeAddress.number, 5),
+        alpha(employeeAddress.complement, 15),
+        alpha(employeeAddress.neighborhood, 15),
+        alpha(employeeAddress.city, 20),
+        num(zip.slice(0, 5), 5),
+        num(zip.slice(5, 8), 3),
+        alpha(employeeAddress.state, 2),
+        paymentDate,
+        money(payment.amount, 15),
+        num(0, 15), num(0, 15), num(0, 15), num(0, 15),
+        blank(15),
+        '0',
+        blank(6),
+        blank(8)
+      ));
+    }
+
+    // Batch trailer (record type 5): header + details + trailer
+    lines.push(record(
+      bank, lot, '5', blank(9),
+      num(sequence + 2, 6),
+      num(batchTotal, 18),
+      num(0, 18),
+      num(0, 6),
+      blank(165),
+      blank(10)
+    ));
+
+    batches.push({ lot: batchNumber, launchCode, payments: batchPayments, total: batchTotal / 100 });
+  }
+
+  // File trailer (record type 9)
+  lines.push(record(
+    bank, '9999', '9', blank(9),
+    num(batches.length, 6),
+    num(lines.length + 1, 6),
+    num(0, 6),
+    blank(205)
+  ));
+
+  return {
+    content: lines.join('\r\n') + '\r\n',
+    batches,
+    total: batches.reduce((sum, batch) => sum + Math.round(batch.total * 100), 0) / 100,
+    recordCount: lines.length
+  };
+};
+
+// Return occurrence codes (positions 231-240 of segment A, up to five 2-character codes)
+const RETURN_OCCURRENCES = {
+  '00': 'Crédito ou débito efetivado',
+  '01': 'Insuficiência de fundos - débito não efetuado',
+  '02': 'Crédito ou débito cancelado pelo pagador/credor',
+  '03': 'Débito autorizado pela agência - efetuado',
+  'AA': 'Controle inválido',
+  'AB': 'Tipo de operação inválido',
+  'AC': 'Tipo de serviço inválido',
+  'AD': 'Forma de lançamento inválida',
+  'AE': 'Tipo/número de inscrição inválido',
+  'AF': 'Código de convênio inválido',
+  'AG': 'Agência/conta corrente/DV inválido',
+  'AH': 'Número sequencial do registro no lote inválido',
+  'AI': 'Código de segmento de detalhe inválido',
+  'AJ': 'Tipo de movimento inválido',
+  'AK': 'Código da câmara de compensação do banco favorecido inválido',
+  'AL': 'Código do banco favorecido inválido',
+  'AM': 'Agência mantenedora da conta do favorecido inválida',
+  'AN': 'Conta corrente/DV do favorecido inválido',
+  'AO': 'Nome do favorecido não informado',
+  'AP': 'Data de lançamento inválida',
+  'AQ': 'Tipo/quantidade da moeda inválido',
+  'AR': 'Valor do lançamento inválido',
+  'BD': 'Inclusão efetuada com sucesso (pagamento agendado)',
+  'HA': 'Lote não aceito',
+  'TA': 'Lote não aceito - totais do lote com diferença'
+};
+
+// Occurrences meaning the credit was made; BD means it was only scheduled
+const PAID_OCCURRENCES = ['00', '03'];
+const SCHEDULED_OCCURRENCES = ['BD'];
+
+const parseDate = (value) => {
+  if (!/^\d{8}$/.test(value) || /^0+$/.test(value)) return null;
+  const date = moment.utc(value, 'DDMMYYYY', true);
+  return date.isValid() ? date.toDate() : null;
+};
+
+const parseMoney = (value) => (parseInt(value, 10) || 0) / 100;
+
+// Parse a CNAB 240 payment return file
+// Returns { bankCode, sequence, generatedAt, items: [{ lot, reference, bankReference, paymentDate,
+//   amount, occurrences: [{ code, description }], status: 'Paid' | 'Scheduled' | 'Failed' }] }
+const parseReturnFile = (content) => {
+  // Trailing blanks are sometimes stripped by the bank or by file transfers, so short lines are padded
+  const lines = String(content).split(/\r?\n/)
+    .filter(line => line.trim().length > 0)
+    .map(line => line.padEnd(RECORD_LENGTH, ' '));
+  if (lines.length === 0) {
+    throw new Error('Return file is empty');
+  }
+
+  const invalid = lines.findIndex(line => line.length !== RECORD_LENGTH);
+  if (invalid !== -1) {
+    throw new Error(`Line ${invalid + 1} has ${lines[invalid].length} characters instead of ${RECORD_LENGTH}`);
+  }
+
+  const header = lines[0];
+  if (header[7] !== '0' || header[142] !== '2') {
+    throw new Error('File is not a CNAB 240 return file');
+  }
+
+  const items = [];
+  for (const line of lines) {
+    if (line[7] !== '3' || line[13] !== 'A') continue;
+
+    const codes = line.slice(230, 240).match(/.{2}/g).map(code => code.trim()).filter(Boolean);
+    const occurrences = codes.map(code => ({ code, description: RETURN_OCCURRENCES[code] || 'Ocorrência não catalogada' }));
+
+    let status = 'Failed';
+    if (codes.some(code => PAID_OCCURRENCES.includes(code))) status = 'Paid';
+    else if (codes.length > 0 && codes.every(code => SCHEDULED_OCCURRENCES.includes(code))) status = 'Scheduled';
+
+    items.push({
+      lot: parseInt(line.slice(3, 7), 10),
+      reference: line.slice(73, 93).trim(),
+      bankReference: line.slice(134, 154).trim(),
+      scheduledDate: parseDate(line.slice(93, 101)),
+      paymentDate: parseDate(line.slice(154, 162)),
+      amount: parseMoney(line.slice(119, 134)),
+      paidAmount: parseMoney(line.slice(162, 177)),
+      occurrences,
+      status
+    });
+  }
+
+  return {
+    bankCode: header.slice(0, 3),
+    sequence: parseInt(header.slice(157, 163), 10),
+    generatedAt: parseDate(header.slice(143, 151)),
+    items
+  };
+};
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  BANK_LAYOUTS,
+  RETURN_OCCURRENCES,
+  getBankLayout,
+  parseBankAccount,
+  buildPaymentRemittance,
+  parseReturnFile
+};
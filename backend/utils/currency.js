@@ -0,0 +1,14 @@
+// Round a monetary value to cents (half up), avoiding floating point drift
+const roundCurrency = (value) => {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+};
+
+// Format a monetary value in the Brazilian style (1.234,56)
+const formatCurrency = (value) => {
+  return (Number(value) || 0).toLocaleString('pt-BR', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+};
+
+module.exports = { roundCurrency, formatCurrency };
@@ -0,0 +1,113 @@
+const { DEFAULT_INSS_TABLE } = require('./inssCalculator');
+const { DEFAULT_IRRF_TABLE } = require('./irrfCalculator');
+const { DEFAULT_FGTS_TABLE } = require('./fgtsCalculator');
+
+// Built-in tax and contribution tables, used when no TaxTable record covers a period.
+// Tables that are updated every year end with their year, so later periods need registered tables;
+// validTo: null means the table is still in force (FGTS rates are fixed by law).
+const DEFAULT_TAX_TABLES = [
+  // INSS
+  {
+    type: 'INSS',
+    name: 'INSS 2024',
+    validFrom: '2024-01-01',
+    validTo: '2024-12-31',
+    brackets: [
+      { upTo: 1412.00, rate: 0.075 },
+      { upTo: 2666.68, rate: 0.09 },
+      { upTo: 4000.03, rate: 0.12 },
+      { upTo: 7786.02, rate: 0.14 }
+    ]
+  },
+  {
+    type: 'INSS',
+    name: 'INSS 2025',
+    validFrom: '2025-01-01',
+    validTo: '2025-12-31',
+    brackets: DEFAULT_INSS_TABLE.brackets
+  },
+  {
+    type: 'INSS',
+    name: 'INSS 2026',
+    validFrom: '2026-01-01',
+    validTo: '2026-12-31',
+    brackets: [
+      { upTo: 1621.00, rate: 0.075 },
+      { upTo: 2902.84, rate: 0.09 },
+      { upTo: 4354.27, rate: 0.12 },
+      { upTo: 8475.55, rate: 0.14 }
+    ]
+  },
+
+  // IRRF
+  {
+    type: 'IRRF',
+    name: 'IRRF Feb/2024',
+    validFrom: '2024-02-01',
+    validTo: '2025-04-30',
+    brackets: [
+      { upTo: 2259.20, rate: 0, deduction: 0 },
+      { upTo: 2826.65, rate: 0.075, deduction: 169.44 },
+      { upTo: 3751.05, rate: 0.15, deduction: 381.44 },
+      { upTo: 4664.68, rate: 0.225, deduction: 662.77 },
+      { upTo: null, rate: 0.275, deduction: 896.00 }
+    ],
+    dependentDeduction: 189.59,
+    simplifiedDiscount: 564.80
+  },
+  {
+    type: 'IRRF',
+    name: 'IRRF May/2025',
+    validFrom: '2025-05-01',
+    validTo: '2025-12-31',
+    brackets: DEFAULT_IRRF_TABLE.brackets,
+    dependentDeduction: DEFAULT_IRRF_TABLE.dependentDeduction,
+    simplifiedDiscount: DEFAULT_IRRF_TABLE.simplifiedDiscount
+  },
+  {
+    // Same brackets, with the reduction that exempts income up to R$ 5,000 (Lei 15.270/2025)
+    type: 'IRRF',
+    name: 'IRRF 2026',
+    validFrom: '2026-01-01',
+    validTo: '2026-12-31',
+    brackets: DEFAULT_IRRF_TABLE.brackets,
+    dependentDeduction: DEFAULT_IRRF_TABLE.dependentDeduction,
+    simplifiedDiscount: DEFAULT_IRRF_TABLE.simplifiedDiscount,
+    reduction: { fullUpTo: 5000.00, partialUpTo: 7350.00, fixed: 978.62, rate: 0.133145 }
+  },
+
+  // FGTS
+  {
+    type: 'FGTS',
+    name: 'FGTS',
+    validFrom: '2024-01-01',
+    validTo: null,
+    rate: DEFAULT_FGTS_TABLE.rate,
+    apprenticeRate: DEFAULT_FGTS_TABLE.apprenticeRate
+  },
+
+  // Minimum wage
+  {
+    type: 'MinimumWage',
+    name: 'Salário mínimo 2024',
+    validFrom: '2024-01-01',
+    validTo: '2024-12-31',
+    value: 1412.00
+  },
+  {
+    type: 'MinimumWage',
+    name: 'Salário mínimo 2025',
+    validFrom: '2025-01-01',
+    validTo: '2025-12-31',
+    value: 1518.00
+  },
+  {
+    type: 'MinimumWage',
+    name: 'Salário mínimo 2026',
+    validFrom: '2026-01-01',
+    validTo: '2026-12-31',
+    value: 1621.00
+  }
+];
+
+module.exports = { DEFAULT_TAX_TABLES };
@@ -0,0 +1,58 @@
+const { roundCurrency } = require('./currency');
+
+const TAX_REGIMES = ['Simples Nacional', 'Lucro Presumido', 'Lucro Real'];
+
+// Employer INSS (CPP) over the whole remuneration, with no ceiling (Lei 8.212/91 art. 22 I)
+const EMPLOYER_INSS_RATE = 0.2;
+
+// Used when a legal entity has no regime configured: RAT 2% with a neutral FAP and 5.8% third parties
+const DEFAULT_TAX_REGIME = {
+  taxRegime: 'Lucro Presumido',
+  simplesAnnexIV: false,
+  ratRate: 0.02,
+  fap: 1,
+  thirdPartyRate: 0.058
+};
+
+// Contribution rates due on the payroll for a regime (rat is the RAT adjusted by the FAP)
+// Simples Nacional pays them inside the DAS, except the CPP and RAT of Annex IV companies
+const getEmployerChargeRates = (regime = DEFAULT_TAX_REGIME) => {
+  const simples = regime.taxRegime === 'Simples Nacional';
+  const paysCpp = !simples || regime.simplesAnnexIV;
+
+  return {
+    inss: paysCpp ? EMPLOYER_INSS_RATE : 0,
+    rat: paysCpp ? Math.round(regime.ratRate * regime.fap * 10000) / 10000 : 0,
+    thirdParty: simples ? 0 : regime.thirdPartyRate
+  };
+};
+
+// Calculate the employer charges of a payment
+// params: { base (contribution base), fgtsRate, provisionBase (monthly remuneration to accrue 13th and
+//   vacation on; 0 for payments that are not monthly salary) }
+const calculateEmployerCharges = ({ base, fgtsRate = 0, provisionBase = 0 }, regime = DEFAULT_TAX_REGIME) => {
+  const rates = getEmployerChargeRates(regime);
+  const contributionBase = Math.max(Number(base) || 0, 0);
+
+  // Monthly provisions: 1/12 of the 13th salary and 1/12 of the vacation pay with its 1/3 bonus,
+  // plus the charges that will be due on them when paid
+  const thirteenth = roundCurrency(provisionBase / 12);
+  const vacation = roundCurrency(provisionBase / 12 * 4 / 3);
+  const provisionCharges = roundCurrency((thirteenth + vacation) * (rates.inss + rates.rat + rates.thirdParty + fgtsRate));
+
+  return {
+    taxRegime: regime.taxRegime,
+    inss: { base: roundCurrency(contributionBase), rate: rates.inss, amount: roundCurrency(contributionBase * rates.inss) },
+    rat: { rate: rates.rat, fap: rates.rat ? regime.fap : 0, amount: roundCurrency(contributionBase * rates.rat) },
+    thirdParty: { rate: rates.thirdParty, amount: roundCurrency(contributionBase * rates.thirdParty) },
+    provisions: { thirteenth, vacation, charges: provisionCharges }
+  };
+};
+
+module.exports = {
+  TAX_REGIMES,
+  EMPLOYER_INSS_RATE,
+  DEFAULT_TAX_REGIME,
+  getEmployerChargeRates,
+  calculateEmployerCharges
+};
@@ -0,0 +1,86 @@
+const { roundCurrency } = require('./currency');
+
+const COST_FIELDS = ['grossSalary', 'benefits', 'fgts', 'employerInss', 'rat', 'thirdParty', 'provisions', 'totalCost'];
+
+// Cost components of one payroll
+const payrollCost = (payroll) => {
+  const charges = payroll.employerCharges || {};
+  return {
+    grossSalary: payroll.grossSalary || 0,
+    benefits: (payroll.totalBenefits || 0) - (payroll.deductions?.valeTransporte || 0), // Net of the VT co-payment
+    fgts: charges.fgts?.amount || 0,
+    employerInss: charges.inss?.amount || 0,
+    rat: charges.rat?.amount || 0,
+    thirdParty: charges.thirdParty?.amount || 0,
+    provisions: payroll.totalProvisions || 0,
+    totalCost: payroll.totalEmployerCost || 0
+  };
+};
+
+// Cost over gross pay, e.g. 1.68 when the company spends R$ 1,68 for each R$ 1,00 of salary
+const costRatio = (row) => (row.grossSalary ? Math.round((row.totalCost / row.grossSalary) * 100) / 100 : null);
+
+const addCosts = (target, costs) => {
+  for (const field of COST_FIELDS) {
+    target[field] = (target[field] || 0) + costs[field];
+  }
+  return target;
+};
+
+const roundCosts = (row) => {
+  for (const field of COST_FIELDS) {
+    row[field] = roundCurrency(row[field] || 0);
+  }
+  row.costRatio = costRatio(row);
+  return row;
+};
+
+// Employer cost per employee and per department for a month, on the accrual basis: the monthly payrolls
+// with their charges and 13th/vacation provisions (13th salary and vacation payments draw on the provisions)
+// payrolls: monthly payrolls populated with employee (employeeId, names, department, legalEntity)
+const buildEmployerCostReport = (payrolls, { month, year }) => {
+  const byDepartment = new Map();
+  const totals = { employees: 0 };
+
+  const employees = payrolls.map(payroll => {
+    const employee = payroll.employee || {};
+    const costs = payrollCost(payroll);
+    const department = employee.department || 'Unassigned';
+
+    if (!byDepartment.has(department)) {
+      byDepartment.set(department, { department, employees: 0 });
+    }
+    const group = byDepartment.get(department);
+    group.employees++;
+    addCosts(group, costs);
+
+    totals.employees++;
+    addCosts(totals, costs);
+
+    return roundCosts({
+      payroll: payroll._id,
+      employee: {
+        _id: employee._id,
+        employeeId: employee.employeeId,
+        firstName: employee.firstName,
+        lastName: employee.lastName
+      },
+      department,
+      legalEntity: employee.legalEntity || 'Main',
+      employmentType: payroll.employmentType,
+      taxRegime: payroll.employerCharges?.regime?.taxRegime,
+      ...costs
+    });
+  });
+
+  return {
+    period: { month, year },
+    totals: roundCosts(totals),
+    byDepartment: [...byDepartment.values()].map(roundCosts).sort((a, b) => b.totalCost - a.totalCost),
+    byEmployee: employees.sort((a, b) => b.totalCost - a.totalCost)
+  };
+};
+
+module.exports = {
+  buildEmployerCostReport
+};
@@ -0,0 +1,25 @@
+const { roundCurrency } = require('./currency');
+
+// FGTS deposit rates (Lei 8.036/90): 8% of remuneration, 2% for apprentice contracts
+const DEFAULT_FGTS_TABLE = {
+  rate: 0.08,
+  apprenticeRate: 0.02
+};
+
+// Calculate the employer FGTS deposit for a remuneration base
+// The base includes salary, additions, 13th salary and vacation pay (with the 1/3 bonus).
+const calculateFGTS = (remunerationBase, options = {}, table = DEFAULT_FGTS_TABLE) => {
+  const base = Math.max(Number(remunerationBase) || 0, 0);
+  const rate = options.apprentice ? table.apprenticeRate : table.rate;
+
+  return {
+    base: roundCurrency(base),
+    rate,
+    amount: roundCurrency(base * rate)
+  };
+};
+
+module.exports = {
+  DEFAULT_FGTS_TABLE,
+  calculateFGTS
+};
@@ -0,0 +1,61 @@
+const moment = require('moment');
+
+// Fixed-date national holidays (Lei 662/49, Lei 6.802/80, Lei 14.759/23)
+const FIXED_NATIONAL_HOLIDAYS = [
+  { month: 1, day: 1, name: 'Confraternização Universal' },
+  { month: 4, day: 21, name: 'Tiradentes' },
+  { month: 5, day: 1, name: 'Dia do Trabalho' },
+  { month: 9, day: 7, name: 'Independência do Brasil' },
+  { month: 10, day: 12, name: 'Nossa Senhora Aparecida' },
+  { month: 11, day: 2, name: 'Finados' },
+  { month: 11, day: 15, name: 'Proclamação da República' },
+  { month: 11, day: 20, name: 'Dia Nacional de Zumbi e da Consciência Negra', since: 2024 },
+  { month: 12, day: 25, name: 'Natal' }
+];
+
+// Movable holidays as days from Easter Sunday
+// Carnaval is formally an optional day off, but offices close on it and benefits are not due
+const EASTER_HOLIDAYS = [
+  { offset: -48, name: 'Carnaval (segunda-feira)' },
+  { offset: -47, name: 'Carnaval (terça-feira)' },
+  { offset: -2, name: 'Sexta-feira Santa' },
+  { offset: 60, name: 'Corpus Christi' }
+];
+
+// Easter Sunday of a year (anonymous Gregorian algorithm)
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return moment.utc({ year, month: month - 1, day });
+};
+
+// National holidays of a year, sorted by date
+const getNationalHolidays = (year) => {
+  const easter = getEasterSunday(year);
+
+  const fixed = FIXED_NATIONAL_HOLIDAYS
+    .filter(holiday => !holiday.since || year >= holiday.since)
+    .map(({ month, day, name }) => ({ date: moment.utc({ year, month: month - 1, day }).toDate(), name, scope: 'National' }));
+  const movable = EASTER_HOLIDAYS
+    .map(({ offset, name }) => ({ date: moment(easter).add(offset, 'days').toDate(), name, scope: 'National' }));
+
+  return [...fixed, ...movable].sort((a, b) => a.date - b.date);
+};
+
+module.exports = {
+  getEasterSunday,
+  getNationalHolidays
+};
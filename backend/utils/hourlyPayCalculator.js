@@ -0,0 +1,64 @@
+const { roundCurrency } = require('./currency');
+
+// Contractual monthly hours for a 44-hour week (CLT art. 58 and 64)
+const DEFAULT_MONTHLY_HOURS = 220;
+
+// Overtime premiums: 50% on weekdays (CF art. 7 XVI), 100% on Sundays and holidays (Lei 605/49 art. 9)
+const OVERTIME_RATES = {
+  weekday: 0.5,
+  restDay: 1
+};
+
+// Night-shift premium (22h-5h) and the reduced night hour of 52m30s (CLT art. 73)
+const NIGHT_SHIFT_RATE = 0.2;
+const NIGHT_HOUR_FACTOR = 60 / 52.5;
+
+// Hourly rate from the monthly salary and the contractual monthly hours
+const calculateHourlyRate = (baseSalary, monthlyHours = DEFAULT_MONTHLY_HOURS) => {
+  const hours = monthlyHours > 0 ? monthlyHours : DEFAULT_MONTHLY_HOURS;
+  return Math.round((baseSalary / hours) * 10000) / 10000;
+};
+
+// Overtime for weekday hours (50%) and Sunday/holiday hours (100%)
+const calculateOvertime = ({ hourlyRate, weekdayHours = 0, restDayHours = 0 }) => {
+  const weekday = {
+    hours: weekdayHours,
+    rate: OVERTIME_RATES.weekday,
+    amount: roundCurrency(weekdayHours * hourlyRate * (1 + OVERTIME_RATES.weekday))
+  };
+  const restDay = {
+    hours: restDayHours,
+    rate: OVERTIME_RATES.restDay,
+    amount: roundCurrency(restDayHours * hourlyRate * (1 + OVERTIME_RATES.restDay))
+  };
+
+  return { weekday, restDay, amount: roundCurrency(weekday.amount + restDay.amount) };
+};
+
+// Night-shift premium over clock hours worked between 22h and 5h, converted to reduced night hours
+const calculateNightShift = ({ hourlyRate, hours = 0 }) => {
+  const reducedHours = Math.round(hours * NIGHT_HOUR_FACTOR * 100) / 100;
+  return {
+    hours,
+    reducedHours,
+    rate: NIGHT_SHIFT_RATE,
+    amount: roundCurrency(hours * NIGHT_HOUR_FACTOR * hourlyRate * NIGHT_SHIFT_RATE)
+  };
+};
+
+// DSR (paid weekly rest) reflex: variable pay / business days * Sundays and holidays (Lei 605/49 art. 7)
+const calculateDSR = ({ variablePay = 0, businessDays, restDays }) => {
+  const amount = businessDays > 0 ? roundCurrency(variablePay / businessDays * restDays) : 0;
+  return { base: roundCurrency(variablePay), businessDays, restDays, amount };
+};
+
+module.exports = {
+  DEFAULT_MONTHLY_HOURS,
+  OVERTIME_RATES,
+  NIGHT_SHIFT_RATE,
+  NIGHT_HOUR_FACTOR,
+  calculateHourlyRate,
+  calculateOvertime,
+  calculateNightShift,
+  calculateDSR
+};
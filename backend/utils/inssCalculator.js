@@ -0,0 +1,57 @@
+const { roundCurrency } = require('./currency');
+
+// INSS progressive table for employees (Portaria Interministerial MPS/MF nº 6/2025)
+// Each bracket applies its rate only to the portion of salary that falls inside it.
+// The upper limit of the last bracket is the contribution ceiling (teto).
+const DEFAULT_INSS_TABLE = {
+  brackets: [
+    { upTo: 1518.00, rate: 0.075 },
+    { upTo: 2793.88, rate: 0.09 },
+    { upTo: 4190.83, rate: 0.12 },
+    { upTo: 8157.41, rate: 0.14 }
+  ]
+};
+
+// Calculate the employee INSS contribution for a contribution base (usually the gross salary)
+const calculateINSS = (contributionBase, table = DEFAULT_INSS_TABLE) => {
+  const ceiling = table.brackets[table.brackets.length - 1].upTo;
+  const base = Math.min(Math.max(Number(contributionBase) || 0, 0), ceiling);
+
+  const brackets = [];
+  let lowerLimit = 0;
+  let total = 0;
+
+  for (const bracket of table.brackets) {
+    if (base <= lowerLimit) break;
+
+    const taxableAmount = Math.min(base, bracket.upTo) - lowerLimit;
+    const contribution = taxableAmount * bracket.rate;
+
+    brackets.push({
+      from: lowerLimit,
+      upTo: bracket.upTo,
+      rate: bracket.rate,
+      taxableAmount: roundCurrency(taxableAmount),
+      amount: roundCurrency(contribution)
+    });
+
+    total += contribution;
+    lowerLimit = bracket.upTo;
+  }
+
+  const amount = roundCurrency(total);
+
+  return {
+    amount,
+    base: roundCurrency(base),
+    ceiling,
+    ceilingApplied: Number(contributionBase) > ceiling,
+    effectiveRate: base > 0 ? Math.round((amount / base) * 10000) / 10000 : 0,
+    brackets
+  };
+};
+
+module.exports = {
+  DEFAULT_INSS_TABLE,
+  calculateINSS
+};
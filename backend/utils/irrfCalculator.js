@@ -0,0 +1,84 @@
+const { roundCurrency } = require('./currency');
+
+// IRRF monthly progressive table (Lei 15.191/2025, in force since May 2025)
+// The tax is base * rate - deduction for the bracket the base falls into.
+// The last bracket has no upper limit.
+const DEFAULT_IRRF_TABLE = {
+  brackets: [
+    { upTo: 2428.80, rate: 0, deduction: 0 },
+    { upTo: 2826.65, rate: 0.075, deduction: 182.16 },
+    { upTo: 3751.05, rate: 0.15, deduction: 394.16 },
+    { upTo: 4664.68, rate: 0.225, deduction: 675.49 },
+    { upTo: null, rate: 0.275, deduction: 908.73 }
+  ],
+  dependentDeduction: 189.59,
+  simplifiedDiscount: 607.20
+};
+
+// Find the bracket for a taxable base and apply it
+const applyIRRFTable = (base, table) => {
+  const bracket = table.brackets.find(b => b.upTo === null || b.upTo === undefined || base <= b.upTo) ||
+    table.brackets[table.brackets.length - 1];
+
+  return {
+    rate: bracket.rate,
+    bracketDeduction: bracket.deduction,
+    amount: roundCurrency(Math.max(0, base * bracket.rate - bracket.deduction))
+  };
+};
+
+// Monthly reduction of the tax (Lei 15.270/2025, from 2026), based on the gross taxable income:
+// the whole tax up to fullUpTo, fixed - rate * income up to partialUpTo, nothing above it
+const calculateReduction = (income, tax, reduction) => {
+  if (!reduction || tax <= 0) return 0;
+  if (income <= reduction.fullUpTo) return tax;
+  if (income <= reduction.partialUpTo) {
+    return roundCurrency(Math.min(tax, Math.max(0, reduction.fixed - reduction.rate * income)));
+  }
+  return 0;
+};
+
+// Calculate IRRF withholding, choosing the more favorable of legal deductions and the simplified discount
+// options: { inss, dependents, alimony, allowSimplified }
+// allowSimplified: false for exclusive taxation (13th salary), where only legal deductions apply
+const calculateIRRF = (grossIncome, options = {}, table = DEFAULT_IRRF_TABLE) => {
+  const gross = Math.max(Number(grossIncome) || 0, 0);
+  const inss = Number(options.inss) || 0;
+  const dependents = Math.max(parseInt(options.dependents) || 0, 0);
+  const alimony = Number(options.alimony) || 0;
+
+  // Legal deductions: INSS, dependents and court-ordered alimony
+  const dependentDeduction = roundCurrency(dependents * table.dependentDeduction);
+  const legalBase = roundCurrency(Math.max(0, gross - inss - dependentDeduction - alimony));
+  const legal = applyIRRFTable(legalBase, table);
+
+  // Simplified monthly discount replaces all legal deductions
+  const simplifiedBase = roundCurrency(Math.max(0, gross - table.simplifiedDiscount));
+  const simplified = applyIRRFTable(simplifiedBase, table);
+
+  const useSimplified = options.allowSimplified !== false && simplified.amount < legal.amount;
+  const chosen = useSimplified ? simplified : legal;
+  const reduction = calculateReduction(gross, chosen.amount, table.reduction);
+
+  return {
+    amount: roundCurrency(chosen.amount - reduction),
+    method: useSimplified ? 'Simplified' : 'Legal',
+    grossIncome: roundCurrency(gross),
+    inssDeduction: useSimplified ? 0 : roundCurrency(inss),
+    dependents,
+    dependentDeduction: useSimplified ? 0 : dependentDeduction,
+    alimonyDeduction: useSimplified ? 0 : roundCurrency(alimony),
+    simplifiedDiscount: useSimplified ? table.simplifiedDiscount : 0,
+    base: useSimplified ? simplifiedBase : legalBase,
+    rate: chosen.rate,
+    bracketDeduction: chosen.bracketDeduction,
+    reduction,
+    legalAmount: legal.amount,
+    simplifiedAmount: simplified.amount
+  };
+};
+
+module.exports = {
+  DEFAULT_IRRF_TABLE,
+  calculateIRRF
+};
@@ -0,0 +1,84 @@
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { formatCurrency } = require('./currency');
+
+const MONTH_NAMES = [
+  'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
+  'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'
+];
+
+// Check whether a user can decide the given approval step (Admins can act on any step)
+// department: for Department steps, the department being approved
+const canApproveStep = (user, step, department) => {
+  if (user.role === 'Admin') return true;
+  if (user.role !== step.role) return false;
+  return step.scope !== 'Department' || user.department === department;
+};
+
+// Active users who must act on the current step of a run
+const findStepApprovers = async (run) => {
+  const step = run.currentApprovalStep;
+  if (!step) return [];
+
+  const filter = { role: step.role, status: 'Active' };
+  if (step.scope === 'Department') {
+    filter.department = { $in: run.pendingDepartments(step) };
+  }
+
+  return User.find(filter).select('firstName lastName email department');
+};
+
+// E-mail the approvers of the run's current step
+// Failures are logged and reported, never thrown: the decision itself is already saved
+const notifyNextApprovers = async (run) => {
+  const step = run.currentApprovalStep;
+  if (!step) return { notified: [], failed: [] };
+
+  if (!emailService.isConfigured) {
+    emailService.configure({});
+  }
+
+  const approvers = await findStepApprovers(run);
+  const period = `${MONTH_NAMES[run.month - 1]}/${run.year}`;
+  const notified = [];
+  const failed = [];
+
+  for (const approver of approvers) {
+    const departments = step.scope === 'Department' ? ` (${approver.department})` : '';
+    try {
+      await emailService.sendEmail({
+        to: approver.email,
+        subject: `Aprovação da folha de pagamento - ${period} - ${run.legalEntity}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #333;">Folha de pagamento aguardando aprovação</h2>
+            <p>Olá <strong>${approver.firstName}</strong>,</p>
+            <p>A folha de <strong>${period}</strong> da empresa <strong>${run.legalEntity}</strong> aguarda a etapa <strong>${step.name}</strong>${departments}.</p>
+            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Colaboradores:</strong> ${run.totals?.payrolls || 0}</p>
+              <p><strong>Total bruto:</strong> R$ ${formatCurrency(run.totals?.grossSalary)}</p>
+              <p><strong>Total líquido:</strong> R$ ${formatCurrency(run.totals?.netSalary)}</p>
+            </div>
+            <p>Acesse o sistema de RH para aprovar ou rejeitar a folha.</p>
+            <hr style="margin: 30px 0;">
+            <p style="font-size: 12px; color: #666;">
+              Esta é uma mensagem automática do sistema de RH.
+            </p>
+          </div>
+        `
+      });
+      notified.push(approver.email);
+    } catch (error) {
+      console.error('Approval notification error:', error.message);
+      failed.push(approver.email);
+    }
+  }
+
+  return { notified, failed };
+};
+
+module.exports = {
+  canApproveStep,
+  findStepApprovers,
+  notifyNextApprovers
+};
@@ -0,0 +1,403 @@
+const moment = require('moment');
+const Employee = require('../models/Employee');
+const Payroll = require('../models/Payroll');
+const Vacation = require('../models/Vacation');
+const PayrollRun = require('../models/PayrollRun');
+const TaxTable = require('../models/TaxTable');
+const ConsignedLoan = require('../models/ConsignedLoan');
+const CompanyTaxRegime = require('../models/CompanyTaxRegime');
+const Holiday = require('../models/Holiday');
+const { countMonthsWorked, getInstallmentDueDate } = require('./thirteenthSalaryCalculator');
+const { calculatePaidDays } = require('./salaryProration');
+const { VT_COPAYMENT_RATE } = require('./valeTransporte');
+
+// Payroll statuses a run still calculates; approved, paid and cancelled payrolls are left as they are
+const OPEN_PAYROLL_STATUSES = ['Draft', 'Pending Approval'];
+
+// Employee filter for a legal entity (employees created before entities existed belong to "Main")
+const legalEntityFilter = (legalEntity) => (
+  legalEntity === 'Main' ? { legalEntity: { $in: ['Main', null] } } : { legalEntity }
+);
+
+// Payment method and destination copied from the employee's registration
+const paymentFromEmployee = (employee) => ({
+  method: employee.paymentMethod === 'PIX' ? 'PIX' : 'Bank Transfer',
+  bankInfo: employee.bankInfo,
+  pixKeyType: employee.pixKey?.keyType,
+  pixKey: employee.pixKey?.key
+});
+
+// Snapshot of the employee's alimony orders in force in month/year for a payroll period
+// 13th salary and vacation payments only take the orders that apply to them
+const alimonyOrdersFor = (employee, month, year, period = 'Monthly') => {
+  const monthStart = moment.utc({ year, month: month - 1, day: 1 });
+  const monthEnd = moment(monthStart).endOf('month');
+
+  return (employee.alimonyOrders || [])
+    .filter(order => (
+      order.active &&
+      !moment.utc(order.startDate).isAfter(monthEnd) &&
+      (!order.endDate || !moment.utc(order.endDate).isBefore(monthStart)) &&
+      (!Payroll.THIRTEENTH_SALARY_PERIODS.includes(period) || order.appliesToThirteenth) &&
+      (period !== Payroll.VACATION_PERIOD || order.appliesToVacation)
+    ))
+    .map(order => ({
+      order: order._id,
+      courtCase: order.courtCase,
+      beneficiary: order.toObject().beneficiary,
+      basis: order.basis,
+      value: order.value
+    }));
+};
+
+// Snapshot of the employee's recurring items due in month/year (amounts are set by the calculation)
+const recurringItemsFor = (employee, month, year) => {
+  const period = `${year}-${String(month).padStart(2, '0')}`;
+
+  return (employee.recurringItems || [])
+    .filter(item => item.active && item.startMonth <= period && (!item.endMonth || item.endMonth >= period))
+    .map(item => ({
+      item: item._id,
+      code: item.code,
+      description: item.description,
+      type: item.type,
+      mode: item.mode,
+      value: item.value,
+      incidence: {
+        inss: item.incidence?.inss,
+        irrf: item.incidence?.irrf,
+        fgts: item.incidence?.fgts
+      }
+    }));
+};
+
+// Days of an employee's monthly payroll for a business days calendar (see Holiday.getBusinessDaysFor):
+// working days (with Saturdays for Monday-Saturday schedules), commercial days paid and on INSS leave,
+// calendar days on vacation and the VR/VT days. Vacation days are paid by the vacation record, and VR/VT
+// are not due for them nor for unpaid days.
+const calculateMonthlyDays = async (employee, month, year, calendar) => {
+  const holidays = calendar.holidays.map(holiday => holiday.date);
+  const worksSaturdays = employee.workSchedule === 'Monday-Saturday';
+  const workingDays = calendar.businessDays + (worksSaturdays ? calendar.saturdays : 0);
+
+  const { daysPaid, leaveDays } = calculatePaidDays({
+    month,
+    year,
+    hireDate: employee.hireDate,
+    terminationDate: employee.terminationDate,
+    leaves: employee.leaves
+  });
+
+  const vacation = await Vacation.getDaysInMonth(employee._id, month, year, holidays);
+  const vacationWorkingDays = vacation.businessDays + (worksSaturdays ? vacation.saturdays : 0);
+
+  return {
+    workingDays,
+    holidays,
+    saturdayDays: worksSaturdays ? calendar.saturdays : 0,
+    daysPaid,
+    leaveDays,
+    vacationDays: vacation.days,
+    benefitDays: Math.max(Math.round(workingDays * daysPaid / 30) - vacationWorkingDays, 0)
+  };
+};
+
+// Generate the monthly payroll for every active (or on leave) employee that doesn't have one yet
+// legalEntity: only generate for that entity's employees (all entities when omitted)
+// Payrolls are attached to the entity's run for the month; employees of a closed run are skipped
+// Salary is prorated for hires and scheduled terminations inside the month and for INSS leave days
+// The employee's recurring earnings and deductions, alimony orders and consigned loan installments due in the
+// month are applied
+const generateMonthlyPayrolls = async ({ month, year, createdBy, legalEntity }) => {
+  const monthStart = moment.utc({ year, month: month - 1, day: 1 });
+  const employees = await Employee.find({
+    status: { $in: ['Active', 'On Leave'] },
+    hireDate: { $lte: moment(monthStart).endOf('month').toDate() },
+    $or: [{ terminationDate: null }, { terminationDate: { $gte: monthStart.toDate() } }],
+    ...(legalEntity ? legalEntityFilter(legalEntity) : {})
+  });
+
+  const runs = await PayrollRun.find({ month, year });
+  const runsByEntity = new Map(runs.map(run => [run.legalEntity, run]));
+
+  // Business days of the month per work location (national, state and municipal holidays)
+  const calendars = new Map();
+  const getCalendar = async (location = {}) => {
+    const key = `${location.state || ''}/${(location.city || '').toLowerCase()}`;
+    if (!calendars.has(key)) calendars.set(key, await Holiday.getBusinessDaysFor(month, year, location));
+    return calendars.get(key);
+  };
+
+  const generated = [];
+  for (const employee of employees) {
+    const run = runsByEntity.get(employee.legalEntity || 'Main');
+    if (run && run.isClosed) continue;
+
+    const existing = await Payroll.findOne({ employee: employee._id, month, year, period: 'Monthly' });
+    if (existing) continue;
+
+    const calendar = await getCalendar(employee.workLocation);
+    const {
+      workingDays, holidays, saturdayDays, daysPaid, leaveDays, vacationDays, benefitDays
+    } = await calculateMonthlyDays(employee, month, year, calendar);
+    if (daysPaid === 0) continue;
+
+    const { valeTransporte, valeRefeicao, mobilidade } = employee.benefits;
+
+    const payroll = new Payroll({
+      employee: employee._id,
+      month,
+      year,
+      period: 'Monthly',
+      payrollRun: run ? run._id : undefined,
+      baseSalary: employee.baseSalary,
+      grossSalary: 0,
+      netSalary: 0,
+      employmentType: employee.employmentType,
+      apprentice: employee.apprentice,
+      irrfDependents: employee.taxInfo?.irrfDependents || 0,
+      monthlyHours: employee.monthlyHours,
+      benefits: {
+        valeTransporte: {
+          dailyValue: valeTransporte.enabled && !valeTransporte.optedOut ? employee.getVTDailyValue(month, year) : 0,
+          monthlyDays: benefitDays,
+          coPaymentRate: valeTransporte.enabled && !valeTransporte.optedOut && employee.employmentType === 'CLT'
+            ? (valeTransporte.coPaymentRate ?? VT_COPAYMENT_RATE)
+            : 0
+        },
+        valeRefeicao: {
+          dailyValue: valeRefeicao.enabled ? valeRefeicao.dailyValue : 0,
+          monthlyDays: benefitDays
+        },
+        mobilidade: {
+          monthlyValue: mobilidade.enabled ? mobilidade.monthlyValue : 0
+        }
+      },
+      workingDays: {
+        totalDays: workingDays,
+        workedDays: benefitDays,
+        vacationDays,
+        daysPaid,
+        leaveDays,
+        saturdayDays,
+        holidays
+      },
+      deductions: {
+        advance: await Payroll.getAdvancesPaid(employee._id, month, year)
+      },
+      vacationINSS: await Payroll.getVacationINSS(employee._id, month, year),
+      recurringItems: recurringItemsFor(employee, month, year),
+      alimonyOrders: alimonyOrdersFor(employee, month, year),
+      consignedLoans: await ConsignedLoan.getInstallmentsDue(employee._id, month, year),
+      payment: paymentFromEmployee(employee),
+      status: 'Draft',
+      createdBy
+    });
+
+    await payroll.save();
+    generated.push(payroll);
+  }
+
+  return { generated };
+};
+
+// Generate the mid-month salary advance for every employee with the advance enabled
+// The advance is a payment of its own (period Bi-weekly, due on ADVANCE_PAYMENT_DAY or the 20th),
+// kept out of the payroll runs and deducted by the monthly payroll
+const generateSalaryAdvances = async ({ month, year, createdBy, legalEntity }) => {
+  const monthStart = moment.utc({ year, month: month - 1, day: 1 });
+  const paymentDay = parseInt(process.env.ADVANCE_PAYMENT_DAY) || 20;
+  const employees = await Employee.find({
+    'salaryAdvance.enabled': true,
+    status: { $in: ['Active', 'On Leave'] },
+    hireDate: { $lte: moment(monthStart).endOf('month').toDate() },
+    $or: [{ terminationDate: null }, { terminationDate: { $gte: monthStart.toDate() } }],
+    ...(legalEntity ? legalEntityFilter(legalEntity) : {})
+  });
+
+  const generated = [];
+  const skipped = [];
+  for (const employee of employees) {
+    const existing = await Payroll.findOne({
+      employee: employee._id,
+      month,
+      year,
+      period: Payroll.ADVANCE_PERIOD,
+      status: { $ne: 'Cancelled' }
+    });
+    if (existing) continue;
+
+    const { daysPaid, leaveDays } = calculatePaidDays({
+      month,
+      year,
+      hireDate: employee.hireDate,
+      terminationDate: employee.terminationDate,
+      leaves: employee.leaves
+    });
+    if (daysPaid === 0) {
+      skipped.push({ employee: employee._id, reason: 'No salary days in the month' });
+      continue;
+    }
+
+    const { mode, percentage, fixedAmount } = employee.salaryAdvance;
+    const payroll = new Payroll({
+      employee: employee._id,
+      month,
+      year,
+      period: Payroll.ADVANCE_PERIOD,
+      dueDate: moment(monthStart).date(Math.min(paymentDay, monthStart.daysInMonth())).toDate(),
+      baseSalary: employee.baseSalary,
+      grossSalary: 0,
+      netSalary: 0,
+      employmentType: employee.employmentType,
+      apprentice: employee.apprentice,
+      irrfDependents: employee.taxInfo?.irrfDependents || 0,
+      monthlyHours: employee.monthlyHours,
+      salaryAdvance: { mode, percentage, fixedAmount },
+      workingDays: { daysPaid, leaveDays },
+      payment: paymentFromEmployee(employee),
+      status: 'Draft',
+      createdBy
+    });
+
+    await payroll.save();
+    if (payroll.netSalary <= 0) {
+      await payroll.deleteOne();
+      skipped.push({ employee: employee._id, reason: 'Advance amount is zero' });
+      continue;
+    }
+    generated.push(payroll);
+  }
+
+  return { generated, skipped };
+};
+
+// Generate 13th salary installment payrolls for every CLT employee employed during the year
+// installment: 1 (paid by Nov 30, no deductions) or 2 (paid by Dec 20, with INSS/IRRF)
+const generateThirteenthSalaryPayrolls = async ({ year, installment, createdBy }) => {
+  const [firstPeriod, secondPeriod] = Payroll.THIRTEENTH_SALARY_PERIODS;
+  const period = installment === 1 ? firstPeriod : secondPeriod;
+  const month = installment === 1 ? 11 : 12;
+  const yearStart = moment.utc({ year, month: 0, day: 1 }).toDate();
+  const yearEnd = moment.utc({ year, month: 11, day: 31 }).toDate();
+
+  // Employees terminated before the run receive their proportional 13th in the settlement
+  const employees = await Employee.find({
+    employmentType: 'CLT',
+    status: { $in: ['Active', 'On Leave', 'KPI_Warning'] },
+    hireDate: { $lte: yearEnd },
+    $or: [{ terminationDate: null }, { terminationDate: { $gte: yearStart } }]
+  });
+
+  const generated = [];
+  const skipped = [];
+
+  for (const employee of employees) {
+    const existing = await Payroll.findOne({ employee: employee._id, year, period });
+    if (existing) {
+      skipped.push({ employee: employee._id, reason: 'Installment already generated' });
+      continue;
+    }
+
+    // The 1st installment counts the months worked until November, the 2nd the whole year
+    const monthsWorked = countMonthsWorked(employee.hireDate, employee.terminationDate, year, month);
+    if (monthsWorked === 0) {
+      skipped.push({ employee: employee._id, reason: 'No months worked in the year' });
+      continue;
+    }
+
+    let firstInstallmentPaid = 0;
+    if (installment === 2) {
+      const first = await Payroll.findOne({
+        employee: employee._id,
+        year,
+        period: firstPeriod,
+        status: { $ne: 'Cancelled' }
+      });
+      firstInstallmentPaid = first ? first.grossSalary : 0;
+    }
+
+    const averageVariablePay = await Payroll.getAverageVariablePay(employee._id, month, year, month);
+
+    const payroll = new Payroll({
+      employee: employee._id,
+      month,
+      year,
+      period,
+      dueDate: getInstallmentDueDate(installment, year),
+      baseSalary: employee.baseSalary,
+      grossSalary: 0,
+      netSalary: 0,
+      employmentType: employee.employmentType,
+      apprentice: employee.apprentice,
+      irrfDependents: employee.taxInfo?.irrfDependents || 0,
+      thirteenthSalary: { monthsWorked, averageVariablePay },
+      deductions: { advance: firstInstallmentPaid },
+      alimonyOrders: alimonyOrdersFor(employee, month, year, period),
+      payment: paymentFromEmployee(employee),
+      status: 'Draft',
+      createdBy
+    });
+
+    await payroll.save();
+    generated.push(payroll);
+  }
+
+  return { generated, skipped };
+};
+
+// Calculate a payroll run: generate the missing monthly payrolls of the entity, attach every payroll
+// of the month to the run, recalculate them with the month's tax tables and refresh the run totals
+const calculatePayrollRun = async (run, userId) => {
+  const { month, year, legalEntity } = run;
+
+  const { generated } = await generateMonthlyPayrolls({ month, year, createdBy: userId, legalEntity });
+
+  const employeeIds = await Employee.find(legalEntityFilter(legalEntity)).distinct('_id');
+  // Salary advances are paid mid-month on their own and stay out of the run, as do payrolls already
+  // approved or paid outside it (vacation, 13th salary, termination)
+  await Payroll.updateMany(
+    { month, year, employee: { $in: employeeIds }, payrollRun: null, status: { $in: OPEN_PAYROLL_STATUSES }, period: { $ne: Payroll.ADVANCE_PERIOD } },
+    { $set: { payrollRun: run._id } }
+  );
+
+  const payrolls = await Payroll.find({ payrollRun: run._id });
+  const tables = await TaxTable.getTablesFor(month, year);
+  const regime = await CompanyTaxRegime.getFor(legalEntity);
+
+  for (const payroll of payrolls) {
+    if (!OPEN_PAYROLL_STATUSES.includes(payroll.status)) continue;
+
+    // Employer charges follow the entity's current tax regime
+    payroll.employerCharges.regime = regime;
+
+    // Advances paid (or generated), vacations and loans registered since the monthly payroll was created
+    if (payroll.period === 'Monthly') {
+      payroll.deductions.advance = await Payroll.getAdvancesPaid(payroll.employee, month, year);
+      payroll.vacationINSS = await Payroll.getVacationINSS(payroll.employee, month, year);
+      payroll.consignedLoans = await ConsignedLoan.getInstallmentsDue(payroll.employee, month, year);
+    }
+
+    // Recalculated even when no input changed, so tables registered since the last calculation apply
+    payroll.calculatePayroll({ ...tables, holidays: payroll.workingDays.holidays });
+    payroll.updatedBy = userId;
+    await payroll.save();
+  }
+
+  run.summarize(payrolls);
+  run.calculatedAt = new Date();
+
+  return { generated, payrolls };
+};
+
+module.exports = {
+  OPEN_PAYROLL_STATUSES,
+  legalEntityFilter,
+  paymentFromEmployee,
+  alimonyOrdersFor,
+  calculateMonthlyDays,
+  generateMonthlyPayrolls,
+  generateSalaryAdvances,
+  generateThirteenthSalaryPayrolls,
+  calculatePayrollRun
+};
@@ -0,0 +1,150 @@
+const moment = require('moment');
+const { roundCurrency } = require('./currency');
+
+const DEFAULT_VARIANCE_THRESHOLD = 10; // Net pay change (%) flagged for review
+
+const FLAG_DESCRIPTIONS = {
+  NET_VARIANCE: 'Net pay changed above the threshold',
+  NEW_EMPLOYEE: 'Employee not in the previous payroll',
+  MISSING_EMPLOYEE: 'Employee missing from this payroll',
+  SALARY_CHANGE_WITHOUT_HISTORY: 'Base salary changed with no salary history entry',
+  NON_POSITIVE_NET: 'Zero or negative net pay'
+};
+
+const percentChange = (previous, current) => (
+  previous ? roundCurrency(((current - previous) / Math.abs(previous)) * 100) : null
+);
+
+const snapshot = (payroll) => payroll && {
+  payroll: payroll._id,
+  status: payroll.status,
+  baseSalary: payroll.baseSalary || 0,
+  grossSalary: payroll.grossSalary || 0,
+  totalDeductions: payroll.totalDeductions || 0,
+  netSalary: payroll.netSalary || 0
+};
+
+// Group rows by a key and add up both periods
+const totalsBy = (rows, key) => {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const name = row[key] || 'Unassigned';
+    if (!groups.has(name)) {
+      groups.set(name, { [key]: name, previousCount: 0, currentCount: 0, previousGross: 0, currentGross: 0, previousNet: 0, currentNet: 0 });
+    }
+    const group = groups.get(name);
+    if (row.previous) {
+      group.previousCount++;
+      group.previousGross += row.previous.grossSalary;
+      group.previousNet += row.previous.netSalary;
+    }
+    if (row.current) {
+      group.currentCount++;
+      group.currentGross += row.current.grossSalary;
+      group.currentNet += row.current.netSalary;
+    }
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      previousGross: roundCurrency(group.previousGross),
+      currentGross: roundCurrency(group.currentGross),
+      previousNet: roundCurrency(group.previousNet),
+      currentNet: roundCurrency(group.currentNet),
+      netChange: roundCurrency(group.currentNet - group.previousNet),
+      netChangePercent: percentChange(group.previousNet, group.currentNet)
+    }))
+    .sort((a, b) => b.currentNet - a.currentNet);
+};
+
+// Compare each employee's payroll with the previous period's
+// current/previous: payrolls populated with employee (department, employmentType, salaryHistory)
+// Salary changes need a salary history entry effective after the previous period started
+const buildVarianceReport = (current, previous, { month, year, threshold = DEFAULT_VARIANCE_THRESHOLD }) => {
+  const previousPeriod = moment.utc({ year, month: month - 1, day: 1 }).subtract(1, 'month');
+  const periodEnd = moment.utc({ year, month: month - 1, day: 1 }).endOf('month');
+
+  const byEmployee = new Map();
+  const employeeKey = (payroll) => String(payroll.employee?._id || payroll.employee);
+
+  for (const payroll of previous) {
+    byEmployee.set(employeeKey(payroll), { employee: payroll.employee, previous: payroll });
+  }
+  for (const payroll of current) {
+    const entry = byEmployee.get(employeeKey(payroll)) || {};
+    byEmployee.set(employeeKey(payroll), { ...entry, employee: payroll.employee, current: payroll });
+  }
+
+  const rows = [...byEmployee.values()].map(({ employee, previous: before, current: after }) => {
+    const row = {
+      employee: employee && {
+        _id: employee._id,
+        employeeId: employee.employeeId,
+        firstName: employee.firstName,
+        lastName: employee.lastName
+      },
+      department: employee?.department,
+      employmentType: employee?.employmentType,
+      previous: snapshot(before),
+      current: snapshot(after),
+      netChange: null,
+      netChangePercent: null,
+      flags: []
+    };
+
+    if (!before) row.flags.push('NEW_EMPLOYEE');
+    if (!after) row.flags.push('MISSING_EMPLOYEE');
+
+    if (after && row.current.netSalary <= 0) row.flags.push('NON_POSITIVE_NET');
+
+    if (before && after) {
+      row.netChange = roundCurrency(row.current.netSalary - row.previous.netSalary);
+      row.netChangePercent = percentChange(row.previous.netSalary, row.current.netSalary);
+      if (row.netChangePercent !== null && Math.abs(row.netChangePercent) > threshold) {
+        row.flags.push('NET_VARIANCE');
+      }
+
+      if (roundCurrency(row.current.baseSalary) !== roundCurrency(row.previous.baseSalary)) {
+        const documented = (employee?.salaryHistory || []).some(entry => (
+          roundCurrency(entry.salary) === roundCurrency(row.current.baseSalary) &&
+          moment.utc(entry.effectiveDate).isAfter(previousPeriod) &&
+          !moment.utc(entry.effectiveDate).isAfter(periodEnd)
+        ));
+        if (!documented) row.flags.push('SALARY_CHANGE_WITHOUT_HISTORY');
+      }
+    }
+
+    return row;
+  });
+
+  rows.sort((a, b) => b.flags.length - a.flags.length || Math.abs(b.netChange || 0) - Math.abs(a.netChange || 0));
+
+  const flagCounts = Object.fromEntries(Object.keys(FLAG_DESCRIPTIONS).map(flag => [
+    flag,
+    rows.filter(row => row.flags.includes(flag)).length
+  ]));
+
+  const [{ scope, ...overall } = {}] = totalsBy(rows.map(row => ({ ...row, scope: 'All' })), 'scope');
+
+  return {
+    period: { month, year },
+    previousPeriod: { month: previousPeriod.month() + 1, year: previousPeriod.year() },
+    threshold,
+    flags: FLAG_DESCRIPTIONS,
+    flagCounts,
+    totals: {
+      overall: scope ? overall : null,
+      byDepartment: totalsBy(rows, 'department'),
+      byEmploymentType: totalsBy(rows, 'employmentType')
+    },
+    rows
+  };
+};
+
+module.exports = {
+  DEFAULT_VARIANCE_THRESHOLD,
+  FLAG_DESCRIPTIONS,
+  buildVarianceReport
+};
@@ -0,0 +1,252 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const moment = require('moment');
+const { formatCurrency } = require('./currency');
+
+const PAGE_WIDTH = 595.28; // A4
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 40;
+
+const MONTH_NAMES = [
+  'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
+  'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'
+];
+
+const PERIOD_LABELS = {
+  'Monthly': 'Folha mensal',
+  'Bi-weekly': 'Adiantamento quinzenal',
+  'Weekly': 'Folha semanal',
+  '13th Salary (1st Installment)': '13º salário - 1ª parcela',
+  '13th Salary (2nd Installment)': '13º salário - 2ª parcela',
+  'Vacation': 'Férias',
+  'Termination': 'Rescisão'
+};
+
+const formatPercent = (rate, digits = 2) => `${((rate || 0) * 100).toFixed(digits).replace('.', ',')}%`;
+const formatHours = (hours) => `${(hours || 0).toFixed(2).replace('.', ',')}h`;
+
+// Earnings and deductions of a payroll as payslip lines ({ code, description, reference, type, amount })
+const getPayslipLines = (payroll) => {
+  const lines = [];
+  const add = (code, description, reference, type, amount) => {
+    if (amount > 0) lines.push({ code, description, reference: reference || '', type, amount });
+  };
+
+  if (payroll.period === '13th Salary (1st Installment)' || payroll.period === '13th Salary (2nd Installment)') {
+    const months = payroll.thirteenthSalary?.monthsWorked || 0;
+    if (payroll.period === '13th Salary (1st Installment)') {
+      add('1301', '13º salário - 1ª parcela', `${months}/12`, 'Earning', payroll.grossSalary);
+    } else {
+      add('1302', '13º salário integral', `${months}/12`, 'Earning', payroll.thirteenthSalary?.fullAmount || payroll.grossSalary);
+    }
+  } else if (payroll.period === 'Vacation') {
+    const vacation = payroll.vacation || {};
+    add('0401', 'Férias', `${vacation.days || 0} dias`, 'Earning', vacation.vacationPay);
+    add('0402', '1/3 constitucional de férias', '', 'Earning', vacation.oneThirdBonus);
+    add('0403', 'Abono pecuniário', `${vacation.soldDays || 0} dias`, 'Earning', vacation.abono);
+    add('0404', '1/3 sobre abono pecuniário', '', 'Earning', vacation.abonoOneThird);
+  } else if (payroll.period === 'Bi-weekly') {
+    const advance = payroll.salaryAdvance || {};
+    const reference = advance.mode === 'Fixed' ? 'Valor fixo' : formatPercent((advance.percentage ?? 40) / 100, 0);
+    add('0601', 'Adiantamento salarial', reference, 'Earning', payroll.grossSalary);
+  } else if (payroll.period === 'Termination') {
+    add('0501', 'Verbas rescisórias (ver termo de rescisão)', '', 'Earning', payroll.grossSalary);
+  } else {
+    const hourlyPay = payroll.hourlyPay || {};
+    add('0001', 'Salário', `${payroll.salaryDays ?? 30} dias`, 'Earning', payroll.salaryAmount ?? payroll.baseSalary);
+    add('0002', 'Horas extras 50%', formatHours(hourlyPay.overtime?.weekday?.hours), 'Earning', hourlyPay.overtime?.weekday?.amount);
+    add('0003', 'Horas extras 100%', formatHours(hourlyPay.overtime?.restDay?.hours), 'Earning', hourlyPay.overtime?.restDay?.amount);
+    add('0004', 'Adicional noturno 20%', formatHours(hourlyPay.nightShift?.reducedHours), 'Earning', payroll.additions?.nightShift);
+    add('0005', 'DSR sobre variáveis', hourlyPay.dsr ? `${hourlyPay.dsr.restDays}/${hourlyPay.dsr.businessDays}` : '', 'Earning', payroll.additions?.dsr);
+    add('0006', 'Comissões', '', 'Earning', payroll.additions?.commission);
+    add('0007', 'Gratificação / bônus', '', 'Earning', payroll.additions?.bonus);
+    add('0008', 'Outros proventos', '', 'Earning', payroll.additions?.other);
+
+    // Overtime typed in without hours (payrolls calculated before hour-based overtime)
+    const hourlyOvertime = (hourlyPay.overtime?.weekday?.amount || 0) + (hourlyPay.overtime?.restDay?.amount || 0);
+    if (!hourlyOvertime) {
+      add('0009', 'Horas extras', '', 'Earning', payroll.additions?.overtime);
+    }
+  }
+
+  // Employee recurring items (07xx earnings, 08xx deductions unless the item has its own code)
+  const addRecurringItems = (type, prefix) => {
+    (payroll.recurringItems || []).filter(item => item.type === type).forEach((item, index) => {
+      const reference = item.mode === 'Percentage' ? formatPercent(item.value / 100, 1) : '';
+      add(item.code || `${prefix}${String(index + 1).padStart(2, '0')}`, item.description, reference, type, item.amount);
+    });
+  };
+  addRecurringItems('Earning', '07');
+
+  const taxBreakdown = payroll.taxBreakdown || {};
+  add('0901', 'INSS', formatPercent(taxBreakdown.inss?.effectiveRate), 'Deduction', payroll.deductions?.inss);
+  add('0902', 'IRRF', formatPercent(taxBreakdown.irrf?.rate, 1), 'Deduction', payroll.deductions?.irrf);
+  add('0903', 'Pensão alimentícia', '', 'Deduction', payroll.deductions?.alimony);
+  add('0904', payroll.isThirteenthSalary ? 'Adiantamento 13º salário' : 'Adiantamento', '', 'Deduction', payroll.deductions?.advance);
+  add('0905', 'Outros descontos', '', 'Deduction', payroll.deductions?.other);
+  add('0907', 'Vale-transporte', formatPercent(payroll.benefits?.valeTransporte?.coPaymentRate, 0), 'Deduction', payroll.deductions?.valeTransporte);
+  if (payroll.consignedLoans?.length) {
+    payroll.consignedLoans.forEach(entry => {
+      add('0906', `Empréstimo consignado - ${entry.lender}`, `Parcela ${entry.installment}`, 'Deduction', entry.amount);
+    });
+  } else {
+    add('0906', 'Empréstimo consignado', '', 'Deduction', payroll.deductions?.consignedLoan);
+  }
+  addRecurringItems('Deduction', '08');
+
+  return lines;
+};
+
+// File name for a payslip inside downloads and ZIP archives
+const getPayslipFileName = (payroll) => {
+  const employee = payroll.employee || {};
+  const period = `${payroll.year}-${String(payroll.month).padStart(2, '0')}`;
+  const suffix = payroll.period === 'Monthly' ? '' : `-${payroll.period.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-$/, '')}`;
+  return `holerite-${employee.employeeId || employee._id || payroll._id}-${period}${suffix}.pdf`;
+};
+
+// Build the payslip (holerite) for a payroll populated with its employee
+// Returns the PDF bytes (Uint8Array)
+const generatePayslipPdf = async (payroll, { companyName = process.env.COMPANY_NAME || 'HR System' } = {}) => {
+  const employee = payroll.employee || {};
+  const pdf = await PDFDocument.create();
+  const page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const text = (value, x, options = {}) => {
+    const size = options.size || 9;
+    const usedFont = options.bold ? bold : font;
+    let drawX = x;
+    if (options.alignRight) {
+      drawX = x - usedFont.widthOfTextAtSize(String(value), size);
+    }
+    page.drawText(String(value), { x: drawX, y, size, font: usedFont, color: rgb(0, 0, 0) });
+  };
+
+  const line = () => {
+    page.drawLine({
+      start: { x: MARGIN, y: y + 4 },
+      end: { x: PAGE_WIDTH - MARGIN, y: y + 4 },
+      thickness: 0.5,
+      color: rgb(0.6, 0.6, 0.6)
+    });
+  };
+
+  // Header
+  text(companyName, MARGIN, { size: 12, bold: true });
+  text('RECIBO DE PAGAMENTO DE SALÁRIO', PAGE_WIDTH - MARGIN, { size: 11, bold: true, alignRight: true });
+  y -= 16;
+  text(`${PERIOD_LABELS[payroll.period] || payroll.period} - ${MONTH_NAMES[payroll.month - 1]}/${payroll.year}`, PAGE_WIDTH - MARGIN, { alignRight: true });
+  y -= 22;
+
+  // Employee data
+  const details = [
+    ['Empregado', `${employee.firstName || ''} ${employee.lastName || ''}`.trim() || '-'],
+    ['Matrícula', employee.employeeId || '-'],
+    ['CPF', employee.cpf || '-'],
+    ['Cargo', employee.position || '-'],
+    ['Departamento', employee.department || '-'],
+    ['Admissão', employee.hireDate ? moment.utc(employee.hireDate).format('DD/MM/YYYY') : '-']
+  ];
+  for (let i = 0; i < details.length; i += 2) {
+    for (const [column, [label, value]] of details.slice(i, i + 2).entries()) {
+      const x = MARGIN + column * 260;
+      text(`${label}:`, x, { bold: true });
+      text(value, x + 75);
+    }
+    y -= 14;
+  }
+  y -= 10;
+
+  // Earnings and deductions columns
+  const referenceX = 360;
+  const earningX = 460;
+  const deductionX = PAGE_WIDTH - MARGIN;
+
+  line();
+  y -= 10;
+  text('Cód.', MARGIN, { bold: true });
+  text('Descrição', MARGIN + 40, { bold: true });
+  text('Referência', referenceX, { bold: true, alignRight: true });
+  text('Vencimentos', earningX, { bold: true, alignRight: true });
+  text('Descontos', deductionX, { bold: true, alignRight: true });
+  y -= 6;
+  line();
+  y -= 10;
+
+  for (const item of getPayslipLines(payroll)) {
+    text(item.code, MARGIN);
+    text(item.description, MARGIN + 40);
+    text(item.reference, referenceX, { alignRight: true });
+    text(formatCurrency(item.amount), item.type === 'Earning' ? earningX : deductionX, { alignRight: true });
+    y -= 14;
+  }
+
+  // Totals
+  y -= 4;
+  line();
+  y -= 10;
+  text('Totais', MARGIN + 40, { bold: true });
+  text(formatCurrency(payroll.grossSalary), earningX, { bold: true, alignRight: true });
+  text(formatCurrency(payroll.totalDeductions), deductionX, { bold: true, alignRight: true });
+  y -= 14;
+
+  if (payroll.totalBenefits > 0) {
+    text('Benefícios (VT, VR e mobilidade)', MARGIN + 40);
+    text(formatCurrency(payroll.totalBenefits), earningX, { alignRight: true });
+    y -= 14;
+  }
+
+  text('Valor líquido', MARGIN + 40, { size: 11, bold: true });
+  text(formatCurrency(payroll.netSalary), deductionX, { size: 11, bold: true, alignRight: true });
+  y -= 10;
+  line();
+  y -= 14;
+
+  // Calculation bases
+  const bases = [
+    ['Salário base', formatCurrency(payroll.baseSalary)],
+    ['Base INSS', formatCurrency(payroll.taxBreakdown?.inss?.base)],
+    ['Base FGTS', formatCurrency(payroll.employerCharges?.fgts?.base)],
+    ['FGTS do mês', formatCurrency(payroll.employerCharges?.fgts?.amount)],
+    ['Base IRRF', formatCurrency(payroll.taxBreakdown?.irrf?.base)],
+    ['Faixa IRRF', formatPercent(payroll.taxBreakdown?.irrf?.rate, 1)]
+  ];
+  const columnWidth = (PAGE_WIDTH - 2 * MARGIN) / bases.length;
+  bases.forEach(([label], index) => {
+    text(label, MARGIN + index * columnWidth, { size: 8, bold: true });
+  });
+  y -= 12;
+  bases.forEach(([, value], index) => {
+    text(value, MARGIN + index * columnWidth);
+  });
+  y -= 40;
+
+  // Receipt
+  text('Declaro ter recebido a importância líquida discriminada neste recibo.', MARGIN, { size: 8 });
+  y -= 36;
+  page.drawLine({
+    start: { x: MARGIN, y: y + 12 },
+    end: { x: MARGIN + 160, y: y + 12 },
+    thickness: 0.5,
+    color: rgb(0, 0, 0)
+  });
+  page.drawLine({
+    start: { x: MARGIN + 200, y: y + 12 },
+    end: { x: PAGE_WIDTH - MARGIN, y: y + 12 },
+    thickness: 0.5,
+    color: rgb(0, 0, 0)
+  });
+  text('Data', MARGIN, { size: 8 });
+  text('Assinatura do empregado', MARGIN + 200, { size: 8 });
+
+  return pdf.save();
+};
+
+module.exports = {
+  getPayslipLines,
+  getPayslipFileName,
+  generatePayslipPdf
+};
@@ -0,0 +1,127 @@
+// PIX key types, as registered in the central bank's key directory (DICT)
+const PIX_KEY_TYPES = ['CPF', 'CNPJ', 'Email', 'Phone', 'EVP'];
+
+// Key type codes used by bank PIX APIs
+const PIX_API_KEY_TYPES = {
+  CPF: 'CPF',
+  CNPJ: 'CNPJ',
+  Email: 'EMAIL',
+  Phone: 'PHONE',
+  EVP: 'EVP'
+};
+
+const onlyDigits = (value) => String(value || '').replace(/\D/g, '');
+
+// Modulo 11 check digit over the given weights
+const checkDigit = (digits, weights) => {
+  const sum = weights.reduce((total, weight, index) => total + Number(digits[index]) * weight, 0);
+  const rest = sum % 11;
+  return rest < 2 ? 0 : 11 - rest;
+};
+
+const isValidCPF = (value) => {
+  const cpf = onlyDigits(value);
+  if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) return false;
+
+  const first = checkDigit(cpf, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = checkDigit(cpf, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  return first === Number(cpf[9]) && second === Number(cpf[10]);
+};
+
+const isValidCNPJ = (value) => {
+  const cnpj = onlyDigits(value);
+  if (cnpj.length !== 14 || /^(\d)\1{13}$/.test(cnpj)) return false;
+
+  const first = checkDigit(cnpj, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = checkDigit(cnpj, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  return first === Number(cnpj[12]) && second === Number(cnpj[13]);
+};
+
+// Key as stored in DICT: digits for CPF/CNPJ, lowercase e-mail, +55 phone, lowercase EVP
+const normalizePixKey = (type, key) => {
+  const value = String(key || '').trim();
+
+  switch (type) {
+    case 'CPF':
+    case 'CNPJ':
+      return onlyDigits(value);
+    case 'Email':
+      return value.toLowerCase();
+    case 'Phone': {
+      const digits = onlyDigits(value);
+      // Local numbers (DDD + number) get the Brazilian country code
+      return `+${digits.length <= 11 ? `55${digits}` : digits}`;
+    }
+    case 'EVP':
+      return value.toLowerCase();
+    default:
+      return value;
+  }
+};
+
+// Guess the type of an untyped key
+const detectPixKeyType = (key) => {
+  const value = String(key || '').trim();
+
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) return 'EVP';
+  if (value.includes('@')) return 'Email';
+  if (value.startsWith('+')) return 'Phone';
+  if (isValidCPF(value)) return 'CPF';
+  if (isValidCNPJ(value)) return 'CNPJ';
+  if (/^\(?\d{2}\)?\s?9?\d{4}-?\d{4}$/.test(value)) return 'Phone';
+  return null;
+};
+
+// Validate a PIX key of the given type (detected when omitted)
+// cpf: the owner's CPF; a CPF key must be the employee's own CPF
+// Returns { valid, type, key (normalized), error }
+const validatePixKey = (type, key, { cpf } = {}) => {
+  const keyType = type || detectPixKeyType(key);
+  if (!String(key || '').trim()) {
+    return { valid: false, type: keyType, key: '', error: 'PIX key is required' };
+  }
+  if (!PIX_KEY_TYPES.includes(keyType)) {
+    return { valid: false, type: keyType, key: String(key).trim(), error: 'Unknown PIX key type' };
+  }
+
+  const normalized = normalizePixKey(keyType, key);
+  const result = (error) => ({ valid: !error, type: keyType, key: normalized, error: error || null });
+
+  switch (keyType) {
+    case 'CPF':
+      if (!isValidCPF(normalized)) return result('Invalid CPF PIX key');
+      if (cpf !== undefined && normalized !== onlyDigits(cpf)) {
+        return result('CPF PIX key must be the employee\'s own CPF');
+      }
+      return result();
+    case 'CNPJ':
+      return result(isValidCNPJ(normalized) ? null : 'Invalid CNPJ PIX key');
+    case 'Email':
+      return result(normalized.length <= 77 && /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalized)
+        ? null
+        : 'Invalid e-mail PIX key');
+    case 'Phone':
+      // E.164; Brazilian mobile numbers are +55, a two-digit area code and nine digits starting with 9
+      if (!/^\+[1-9]\d{1,14}$/.test(normalized)) return result('Invalid phone PIX key');
+      if (normalized.startsWith('+55') && !/^\+55[1-9]{2}9\d{8}$/.test(normalized)) {
+        return result('Invalid phone PIX key');
+      }
+      return result();
+    case 'EVP':
+      return result(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(normalized)
+        ? null
+        : 'Invalid random (EVP) PIX key');
+    default:
+      return result('Unknown PIX key type');
+  }
+};
+
+module.exports = {
+  PIX_KEY_TYPES,
+  PIX_API_KEY_TYPES,
+  isValidCPF,
+  isValidCNPJ,
+  normalizePixKey,
+  detectPixKeyType,
+  validatePixKey
+};
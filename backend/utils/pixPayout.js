@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { PIX_API_KEY_TYPES, PIX_KEY_TYPES, validatePixKey } = require('./pixKey');
+const { roundCurrency } = require('./currency');
+
+const formatAmount = (value) => roundCurrency(value).toFixed(2);
+
+// Batch payout request, in the JSON shape bank PIX APIs take for bulk transfers
+// payer: { name, cnpj, ispb, bankCode, agency, account }
+// payout: PixPayout document (or plain object with the same fields)
+const buildPixPayoutBatch = (payer, payout) => {
+  const description = `Salario ${String(payout.month).padStart(2, '0')}/${payout.year}`;
+
+  return {
+    batchId: payout.batchId,
+    createdAt: moment.utc(payout.createdAt || new Date()).toISOString(),
+    paymentDate: moment.utc(payout.paymentDate).format('YYYY-MM-DD'),
+    payer: {
+      name: payer.name,
+      document: String(payer.cnpj || '').replace(/\D/g, ''),
+      ispb: payer.ispb,
+      bankCode: payer.bankCode,
+      agency: payer.agency,
+      account: payer.account
+    },
+    count: payout.items.length,
+    totalAmount: formatAmount(payout.items.reduce((sum, item) => sum + item.amount, 0)),
+    payments: payout.items.map(item => ({
+      id: item.reference,
+      amount: formatAmount(item.amount),
+      description,
+      creditor: {
+        name: item.name,
+        document: String(item.cpf || '').replace(/\D/g, ''),
+        key: {
+          type: PIX_API_KEY_TYPES[item.pixKeyType],
+          value: item.pixKey
+        }
+      }
+    }))
+  };
+};
+
+// PIX end-to-end id: "E" + payer ISPB + yyyyMMddHHmm + 11 alphanumeric characters
+const generateEndToEndId = (ispb, date = new Date()) => {
+  const suffix = crypto.randomBytes(8).toString('hex').toUpperCase().slice(0, 11);
+  return `E${String(ispb || '').padStart(8, '0').slice(0, 8)}${moment.utc(date).format('YYYYMMDDHHmm')}${suffix}`;
+};
+
+// Settle a batch the way a bank sandbox would: valid keys are paid, the rest rejected
+// Used by the local mock payout endpoint
+const simulatePixPayouts = (batch) => {
+  const keyTypes = Object.fromEntries(PIX_KEY_TYPES.map(type => [PIX_API_KEY_TYPES[type], type]));
+  const settledAt = new Date();
+
+  return {
+    batchId: batch.batchId,
+    status: 'PROCESSED',
+    payments: (batch.payments || []).map(payment => {
+      const amount = Number(payment.amount);
+      const key = validatePixKey(keyTypes[payment.creditor?.key?.type], payment.creditor?.key?.value);
+
+      let reason = null;
+      if (!(amount > 0)) reason = 'Invalid amount';
+      else if (!key.valid) reason = key.error;
+
+      return reason
+        ? { id: payment.id, status: 'REJECTED', reason }
+        : {
+          id: payment.id,
+          status: 'CONCLUDED',
+          endToEndId: generateEndToEndId(batch.payer?.ispb, settledAt),
+          settledAt: settledAt.toISOString()
+        };
+    })
+  };
+};
+
+module.exports = {
+  buildPixPayoutBatch,
+  generateEndToEndId,
+  simulatePixPayouts
+};
@@ -0,0 +1,53 @@
+const moment = require('moment');
+const { countCommercialDays } = require('./businessDays');
+
+const COMMERCIAL_MONTH_DAYS = 30;
+
+// Days the company pays before the INSS benefit starts, by leave reason
+const COMPANY_PAID_LEAVE_DAYS = {
+  'Sickness': 15,
+  'Work Accident': 15,
+  'Maternity': 0,
+  'Other': 0
+};
+
+const FAR_FUTURE = moment.utc({ year: 9999, month: 11, day: 31 }).toDate();
+
+// First day of a leave paid by the INSS instead of the company
+const getInssStartDate = (leave) => {
+  if (leave.inssStartDate) return leave.inssStartDate;
+  const companyDays = COMPANY_PAID_LEAVE_DAYS[leave.reason] || 0;
+  return moment.utc(leave.startDate).add(companyDays, 'days').toDate();
+};
+
+// Salary days due for a month on the commercial 30-day month
+// Days before hireDate, after terminationDate and on INSS leave are not paid
+// Returns { daysPaid, employedDays, leaveDays }
+const calculatePaidDays = ({ month, year, hireDate, terminationDate, leaves = [] }) => {
+  const employmentStart = hireDate || moment.utc({ year, month: month - 1, day: 1 }).toDate();
+  const employmentEnd = terminationDate || FAR_FUTURE;
+
+  const employedDays = countCommercialDays(employmentStart, employmentEnd, month, year);
+
+  let leaveDays = 0;
+  for (const leave of leaves) {
+    const from = moment.max(moment.utc(getInssStartDate(leave)), moment.utc(employmentStart));
+    const to = moment.min(moment.utc(leave.endDate || FAR_FUTURE), moment.utc(employmentEnd));
+    if (to.isBefore(from)) continue;
+
+    leaveDays += countCommercialDays(from.toDate(), to.toDate(), month, year);
+  }
+
+  return {
+    daysPaid: Math.max(Math.min(employedDays, COMMERCIAL_MONTH_DAYS) - leaveDays, 0),
+    employedDays,
+    leaveDays: Math.min(leaveDays, employedDays)
+  };
+};
+
+module.exports = {
+  COMMERCIAL_MONTH_DAYS,
+  COMPANY_PAID_LEAVE_DAYS,
+  getInssStartDate,
+  calculatePaidDays
+};
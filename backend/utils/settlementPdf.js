@@ -0,0 +1,157 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const moment = require('moment');
+const { formatCurrency } = require('./currency');
+
+const PAGE_WIDTH = 595.28; // A4
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 40;
+
+const TERMINATION_TYPE_LABELS = {
+  'Without Cause': 'Dispensa sem justa causa',
+  'With Cause': 'Dispensa por justa causa',
+  'Resignation': 'Pedido de demissão',
+  'Mutual Agreement': 'Acordo entre as partes (art. 484-A CLT)'
+};
+
+const NOTICE_TYPE_LABELS = {
+  'Indemnified': 'Indenizado',
+  'Worked': 'Trabalhado',
+  'Not Worked': 'Não cumprido',
+  'Waived': 'Dispensado'
+};
+
+const formatDate = (date) => (date ? moment.utc(date).format('DD/MM/YYYY') : '-');
+
+// Build the settlement statement (termo de rescisão) for a populated Termination
+// Returns the PDF bytes (Uint8Array)
+const generateSettlementPdf = async (termination, { companyName = process.env.COMPANY_NAME || 'HR System' } = {}) => {
+  const employee = termination.employee;
+  const pdf = await PDFDocument.create();
+  const page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const text = (value, x, options = {}) => {
+    const size = options.size || 9;
+    const usedFont = options.bold ? bold : font;
+    let drawX = x;
+    if (options.alignRight) {
+      drawX = x - usedFont.widthOfTextAtSize(String(value), size);
+    }
+    page.drawText(String(value), { x: drawX, y, size, font: usedFont, color: rgb(0, 0, 0) });
+  };
+
+  const line = () => {
+    page.drawLine({
+      start: { x: MARGIN, y: y + 4 },
+      end: { x: PAGE_WIDTH - MARGIN, y: y + 4 },
+      thickness: 0.5,
+      color: rgb(0.6, 0.6, 0.6)
+    });
+  };
+
+  // Header
+  text('TERMO DE RESCISÃO DO CONTRATO DE TRABALHO', MARGIN, { size: 13, bold: true });
+  y -= 18;
+  text(companyName, MARGIN, { size: 10 });
+  y -= 22;
+
+  // Employee and contract data
+  const details = [
+    ['Empregado', `${employee.firstName} ${employee.lastName}`],
+    ['Matrícula', employee.employeeId || '-'],
+    ['CPF', employee.cpf || '-'],
+    ['Cargo', employee.position || '-'],
+    ['Admissão', formatDate(employee.hireDate)],
+    ['Afastamento', formatDate(termination.terminationDate)],
+    ['Causa', TERMINATION_TYPE_LABELS[termination.type] || termination.type],
+    ['Aviso prévio', `${NOTICE_TYPE_LABELS[termination.noticeType] || termination.noticeType} (${termination.noticeDays} dias)`],
+    ['Data projetada', formatDate(termination.projectedEndDate)],
+    ['Remuneração', formatCurrency(termination.baseSalary + termination.averageVariablePay)]
+  ];
+  for (const [label, value] of details) {
+    text(`${label}:`, MARGIN, { bold: true });
+    text(value, MARGIN + 100);
+    y -= 14;
+  }
+  y -= 10;
+
+  // Settlement lines
+  const amountX = PAGE_WIDTH - MARGIN;
+  const referenceX = PAGE_WIDTH - MARGIN - 120;
+
+  const section = (title, lines) => {
+    text(title, MARGIN, { size: 10, bold: true });
+    text('Referência', referenceX, { bold: true, alignRight: true });
+    text('Valor (R$)', amountX, { bold: true, alignRight: true });
+    y -= 6;
+    line();
+    y -= 10;
+    for (const item of lines) {
+      text(item.description, MARGIN);
+      text(item.reference || '', referenceX, { alignRight: true });
+      text(formatCurrency(item.amount), amountX, { alignRight: true });
+      y -= 14;
+    }
+    if (lines.length === 0) {
+      text('-', MARGIN);
+      y -= 14;
+    }
+    y -= 8;
+  };
+
+  section('VERBAS RESCISÓRIAS', termination.lines.filter(l => l.type === 'Earning'));
+  section('DEDUÇÕES', termination.lines.filter(l => l.type === 'Deduction'));
+
+  // Totals
+  line();
+  y -= 10;
+  text('Total bruto', MARGIN, { bold: true });
+  text(formatCurrency(termination.totals.earnings), amountX, { alignRight: true });
+  y -= 14;
+  text('Total de deduções', MARGIN, { bold: true });
+  text(formatCurrency(termination.totals.deductions), amountX, { alignRight: true });
+  y -= 14;
+  text('Valor líquido', MARGIN, { size: 11, bold: true });
+  text(formatCurrency(termination.totals.net), amountX, { size: 11, bold: true, alignRight: true });
+  y -= 24;
+
+  // FGTS (paid into the employee's FGTS account, not part of the net amount)
+  text('FGTS', MARGIN, { size: 10, bold: true });
+  y -= 6;
+  line();
+  y -= 10;
+  text('Depósito do mês da rescisão', MARGIN);
+  text(formatCurrency(termination.fgts.deposit), amountX, { alignRight: true });
+  y -= 14;
+  text('Saldo para fins rescisórios', MARGIN);
+  text(formatCurrency(termination.fgts.balance), amountX, { alignRight: true });
+  y -= 14;
+  text(`Multa rescisória (${Math.round(termination.fgts.fineRate * 100)}%)`, MARGIN);
+  text(formatCurrency(termination.fgts.fine), amountX, { alignRight: true });
+  y -= 24;
+
+  if (termination.paymentDueDate) {
+    text(`Prazo para pagamento: ${formatDate(termination.paymentDueDate)}`, MARGIN);
+    y -= 14;
+  }
+
+  // Signatures
+  y = Math.min(y - 50, MARGIN + 60);
+  const signatureWidth = 220;
+  for (const [x, label] of [[MARGIN, companyName], [PAGE_WIDTH - MARGIN - signatureWidth, 'Empregado']]) {
+    page.drawLine({
+      start: { x, y: y + 12 },
+      end: { x: x + signatureWidth, y: y + 12 },
+      thickness: 0.5,
+      color: rgb(0, 0, 0)
+    });
+    text(label, x);
+  }
+
+  return pdf.save();
+};
+
+module.exports = { generateSettlementPdf };
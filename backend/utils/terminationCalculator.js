@@ -0,0 +1,278 @@
+const moment = require('moment');
+const { roundCurrency } = require('./currency');
+const { calculateINSS } = require('./inssCalculator');
+const { calculateIRRF } = require('./irrfCalculator');
+const { calculateFGTS } = require('./fgtsCalculator');
+const { countMonthsWorked } = require('./thirteenthSalaryCalculator');
+const { calculatePaidDays } = require('./salaryProration');
+
+const TERMINATION_TYPES = ['Without Cause', 'With Cause', 'Resignation', 'Mutual Agreement'];
+const NOTICE_TYPES = ['Indemnified', 'Worked', 'Not Worked', 'Waived'];
+
+// FGTS fine over the account balance (Lei 8.036/90 art. 18 and CLT art. 484-A)
+const FGTS_FINE_RATES = {
+  'Without Cause': 0.4,
+  'Mutual Agreement': 0.2,
+  'With Cause': 0,
+  'Resignation': 0
+};
+
+// Notice period: 30 days plus 3 days per complete year of service, up to 90 days (Lei 12.506/11)
+const calculateNoticeDays = (hireDate, terminationDate) => {
+  const years = moment.utc(terminationDate).diff(moment.utc(hireDate), 'years');
+  return Math.min(30 + 3 * years, 90);
+};
+
+// Months (avos) of the current acquisition period, counting a month from 15 days
+const countAcquisitionMonths = (periodStart, endDate) => {
+  const start = moment.utc(periodStart).startOf('day');
+  const end = moment.utc(endDate).startOf('day');
+  if (end.isBefore(start)) return 0;
+
+  let months = end.diff(start, 'months');
+  const remainingDays = end.diff(moment(start).add(months, 'months'), 'days') + 1;
+  if (remainingDays >= 15) months++;
+
+  return Math.min(months, 12);
+};
+
+// Calculate every line of a CLT termination settlement (rescisão)
+// params: {
+//   hireDate, terminationDate, leaves, type, noticeType, baseSalary, averageVariablePay,
+//   apprentice, dependents, vacationsTaken ([{ startDate, days, soldDays }]), vacationBalance ({ days, asOf }),
+//   thirteenthAdvancePaid, salaryAdvancePaid, fgtsBalance, consignedLoanBalance, consignedLoanMargin (share of
+//   the net the loan balance may take),
+//   monthItems ([{ description, type: Earning/Deduction, amount, incidence: { inss, irrf, fgts } }]: variable
+//   earnings and deductions of the termination month's payroll, which the settlement replaces),
+//   alimonyOrders ([{ basis, value, ... }] in force, see utils/payrollRuns alimonyOrdersFor)
+// }
+// tables: { inss, irrf, fgts, minimumWage } valid for the termination month
+const calculateTermination = (params, tables = {}) => {
+  const {
+    hireDate,
+    terminationDate,
+    leaves = [],
+    type,
+    baseSalary,
+    averageVariablePay = 0,
+    apprentice = false,
+    dependents = 0,
+    vacationsTaken = [],
+    vacationBalance,
+    thirteenthAdvancePaid = 0,
+    salaryAdvancePaid = 0,
+    monthItems = [],
+    alimonyOrders = [],
+    consignedLoanBalance = 0,
+    consignedLoanMargin = 1
+  } = params;
+
+  if (!TERMINATION_TYPES.includes(type)) {
+    throw new Error(`Invalid termination type: ${type}`);
+  }
+
+  const noticeType = params.noticeType || (type === 'Without Cause' || type === 'Mutual Agreement' ? 'Indemnified' : 'Waived');
+  if (!NOTICE_TYPES.includes(noticeType)) {
+    throw new Error(`Invalid notice type: ${noticeType}`);
+  }
+
+  const end = moment.utc(terminationDate).startOf('day');
+  const remuneration = baseSalary + averageVariablePay;
+  const dailyRate = remuneration / 30;
+  const lines = [];
+
+  const addLine = (code, description, reference, kind, amount) => {
+    const value = roundCurrency(amount);
+    if (value > 0) lines.push({ code, description, reference, type: kind, amount: value });
+    return value;
+  };
+
+  // Salary balance for the days worked in the termination month (commercial 30-day month), from the hire date
+  // when hired in the same month and without INSS leave days, as the monthly payroll prorates them
+  const { daysPaid: balanceDays } = calculatePaidDays({
+    month: end.month() + 1,
+    year: end.year(),
+    hireDate,
+    terminationDate: end.toDate(),
+    leaves
+  });
+  const salaryBalance = addLine('SALARY_BALANCE', 'Saldo de salário', `${balanceDays} dias`, 'Earning', baseSalary / 30 * balanceDays);
+
+  // Variable earnings and deductions of the month (overtime, recurring items...), taxed with the salary balance
+  // when they have the tax's incidence
+  const taxAdjustments = { inss: 0, irrf: 0, fgts: 0 };
+  for (const item of monthItems) {
+    const earning = item.type === 'Earning';
+    const amount = addLine(earning ? 'MONTH_EARNING' : 'MONTH_DEDUCTION', item.description, '', item.type, item.amount);
+    for (const tax of Object.keys(taxAdjustments)) {
+      if (item.incidence?.[tax]) taxAdjustments[tax] += earning ? amount : -amount;
+    }
+  }
+  const salaryTaxBase = (tax) => Math.max(roundCurrency(salaryBalance + taxAdjustments[tax]), 0);
+
+  // Notice period; an indemnified notice also projects the contract end date
+  const noticeDays = calculateNoticeDays(hireDate, end);
+  let projectedEndDate = end.clone();
+  let noticeIndemnified = 0;
+
+  if (noticeType === 'Indemnified' && (type === 'Without Cause' || type === 'Mutual Agreement')) {
+    const factor = type === 'Mutual Agreement' ? 0.5 : 1;
+    noticeIndemnified = addLine(
+      'NOTICE_INDEMNIFIED',
+      type === 'Mutual Agreement' ? 'Aviso prévio indenizado (50%)' : 'Aviso prévio indenizado',
+      `${noticeDays} dias`,
+      'Earning',
+      dailyRate * noticeDays * factor
+    );
+    projectedEndDate = end.clone().add(noticeDays, 'days');
+  }
+
+  // Proportional 13th salary (not due on dismissal with cause)
+  let thirteenth = 0;
+  let thirteenthMonths = 0;
+  if (type !== 'With Cause') {
+    thirteenthMonths = countMonthsWorked(hireDate, projectedEndDate.toDate(), end.year());
+    thirteenth = addLine('THIRTEENTH_PROPORTIONAL', '13º salário proporcional', `${thirteenthMonths}/12`, 'Earning',
+      remuneration * thirteenthMonths / 12);
+  }
+
+  // Accrued vacation from complete acquisition periods that were not taken. Without a balance entered by HR,
+  // only the last two periods can still be owed (older ones had to be granted within their concession period);
+  // vacations taken from the end of the oldest of them are counted against them.
+  const completedPeriods = projectedEndDate.diff(moment.utc(hireDate), 'years');
+  const daysTakenSince = (date) => vacationsTaken
+    .filter(v => !moment.utc(v.startDate).isBefore(date, 'day'))
+    .reduce((sum, v) => sum + v.days + (v.soldDays || 0), 0);
+
+  let accruedDays;
+  if (vacationBalance && vacationBalance.asOf) {
+    const periodsAtBalance = Math.min(moment.utc(vacationBalance.asOf).diff(moment.utc(hireDate), 'years'), completedPeriods);
+    accruedDays = (vacationBalance.days || 0) + (completedPeriods - periodsAtBalance) * 30 -
+      daysTakenSince(moment.utc(vacationBalance.asOf));
+  } else {
+    const outstandingPeriods = Math.min(completedPeriods, 2);
+    accruedDays = outstandingPeriods * 30 -
+      daysTakenSince(moment.utc(hireDate).add(completedPeriods - outstandingPeriods + 1, 'years'));
+  }
+  accruedDays = Math.max(accruedDays, 0);
+  const accruedVacation = addLine('VACATION_ACCRUED', 'Férias vencidas', `${accruedDays} dias`, 'Earning', dailyRate * accruedDays);
+  addLine('VACATION_ACCRUED_ONE_THIRD', '1/3 constitucional sobre férias vencidas', '', 'Earning', accruedVacation / 3);
+
+  // Proportional vacation for the current acquisition period (not due on dismissal with cause)
+  let vacationMonths = 0;
+  if (type !== 'With Cause') {
+    const periodStart = moment.utc(hireDate).add(completedPeriods, 'years');
+    vacationMonths = countAcquisitionMonths(periodStart, projectedEndDate);
+    const proportionalVacation = addLine('VACATION_PROPORTIONAL', 'Férias proporcionais', `${vacationMonths}/12`, 'Earning',
+      remuneration * vacationMonths / 12);
+    addLine('VACATION_PROPORTIONAL_ONE_THIRD', '1/3 constitucional sobre férias proporcionais', '', 'Earning',
+      proportionalVacation / 3);
+  }
+
+  // Statutory deductions. Indemnified notice and indemnified vacations are exempt from INSS and IRRF;
+  // the 13th salary is taxed separately from the salary balance.
+  const inssSalary = calculateINSS(salaryTaxBase('inss'), tables.inss || undefined);
+  const inssThirteenth = calculateINSS(thirteenth, tables.inss || undefined);
+  const irrfThirteenth = calculateIRRF(thirteenth, { inss: inssThirteenth.amount, dependents, allowSimplified: false }, tables.irrf || undefined);
+
+  // Court-ordered alimony over the settlement; it reduces the IRRF base of the salary balance, so net-based
+  // orders are recalculated until the amounts settle (as in Payroll.calculateAlimony)
+  const grossEarnings = lines.filter(l => l.type === 'Earning').reduce((sum, l) => sum + l.amount, 0);
+  const minimumWage = tables.minimumWage?.value || 0;
+  let alimony = 0;
+  let alimonyAmounts = alimonyOrders.map(() => 0);
+  let irrfSalary = calculateIRRF(salaryTaxBase('irrf'), { inss: inssSalary.amount, dependents }, tables.irrf || undefined);
+
+  const alimonyFor = (order) => {
+    switch (order.basis) {
+      case 'Gross': return grossEarnings * order.value / 100;
+      case 'Net': return (grossEarnings - inssSalary.amount - inssThirteenth.amount - irrfSalary.amount - irrfThirteenth.amount) * order.value / 100;
+      case 'Minimum Wage': return minimumWage * order.value / 100;
+      default: return order.value;
+    }
+  };
+  for (let i = 0; i < 10 && alimonyOrders.length > 0; i++) {
+    alimonyAmounts = alimonyOrders.map(order => roundCurrency(Math.max(alimonyFor(order), 0)));
+    const total = roundCurrency(alimonyAmounts.reduce((sum, amount) => sum + amount, 0));
+    if (total === alimony) break;
+
+    alimony = total;
+    irrfSalary = calculateIRRF(salaryTaxBase('irrf'), { inss: inssSalary.amount, dependents, alimony }, tables.irrf || undefined);
+  }
+
+  addLine('INSS_SALARY', 'INSS sobre saldo de salário', `${(inssSalary.effectiveRate * 100).toFixed(2)}%`, 'Deduction', inssSalary.amount);
+  addLine('IRRF_SALARY', 'IRRF sobre saldo de salário', `${(irrfSalary.rate * 100).toFixed(1)}%`, 'Deduction', irrfSalary.amount);
+  addLine('INSS_THIRTEENTH', 'INSS sobre 13º salário', `${(inssThirteenth.effectiveRate * 100).toFixed(2)}%`, 'Deduction', inssThirteenth.amount);
+  addLine('IRRF_THIRTEENTH', 'IRRF sobre 13º salário', `${(irrfThirteenth.rate * 100).toFixed(1)}%`, 'Deduction', irrfThirteenth.amount);
+  alimonyOrders.forEach((order, index) => {
+    addLine('ALIMONY', `Pensão alimentícia${order.courtCase ? ` (${order.courtCase})` : ''}`, '', 'Deduction', alimonyAmounts[index]);
+  });
+
+  addLine('THIRTEENTH_ADVANCE', 'Adiantamento de 13º salário', '', 'Deduction', Math.min(thirteenthAdvancePaid, thirteenth));
+  addLine('SALARY_ADVANCE', 'Adiantamento salarial', '', 'Deduction', salaryAdvancePaid);
+
+  // Resignation without working the notice: the employer may deduct the notice period (CLT art. 487 §2)
+  if (type === 'Resignation' && noticeType === 'Not Worked') {
+    addLine('NOTICE_NOT_WORKED', 'Aviso prévio não cumprido', '30 dias', 'Deduction', baseSalary);
+  }
+
+  // Outstanding consigned loan balance, limited to the margin of the settlement net (Lei 10.820/03 art. 1 §1)
+  const netBeforeLoans = lines.reduce((sum, l) => sum + (l.type === 'Earning' ? l.amount : -l.amount), 0);
+  const consignedLoanDeducted = addLine('CONSIGNED_LOAN', 'Empréstimo consignado (saldo devedor)', '', 'Deduction',
+    Math.min(consignedLoanBalance, Math.max(netBeforeLoans, 0) * consignedLoanMargin));
+
+  // FGTS on this settlement (salary balance, indemnified notice and 13th) and the termination fine
+  const fgtsDeposit = calculateFGTS(salaryTaxBase('fgts') + noticeIndemnified + thirteenth, { apprentice }, tables.fgts || undefined);
+  const fgtsBalance = roundCurrency((Number(params.fgtsBalance) || 0) + fgtsDeposit.amount);
+  const fineRate = FGTS_FINE_RATES[type];
+  const fgtsFine = roundCurrency(fgtsBalance * fineRate);
+
+  addLine('FGTS_DEPOSIT', 'FGTS do mês da rescisão', `${(fgtsDeposit.rate * 100).toFixed(0)}%`, 'Information', fgtsDeposit.amount);
+  addLine('FGTS_FINE', `Multa rescisória do FGTS (${fineRate * 100}%)`, `Saldo ${fgtsBalance.toFixed(2)}`, 'Information', fgtsFine);
+
+  const totalEarnings = roundCurrency(lines.filter(l => l.type === 'Earning').reduce((sum, l) => sum + l.amount, 0));
+  const totalDeductions = roundCurrency(lines.filter(l => l.type === 'Deduction').reduce((sum, l) => sum + l.amount, 0));
+
+  return {
+    type,
+    noticeType,
+    noticeDays,
+    projectedEndDate: projectedEndDate.toDate(),
+    thirteenthMonths,
+    vacationMonths,
+    accruedVacationDays: accruedDays,
+    lines,
+    alimonyOrders: alimonyOrders.map((order, index) => ({ ...order, amount: alimonyAmounts[index] })),
+    taxes: {
+      inss: roundCurrency(inssSalary.amount + inssThirteenth.amount),
+      irrf: roundCurrency(irrfSalary.amount + irrfThirteenth.amount),
+      inssBase: roundCurrency(salaryTaxBase('inss') + thirteenth),
+      irrfBase: roundCurrency(irrfSalary.base + irrfThirteenth.base)
+    },
+    fgts: {
+      base: fgtsDeposit.base,
+      rate: fgtsDeposit.rate,
+      deposit: fgtsDeposit.amount,
+      balance: fgtsBalance,
+      fineRate,
+      fine: fgtsFine
+    },
+    consignedLoan: {
+      balance: roundCurrency(consignedLoanBalance),
+      deducted: consignedLoanDeducted,
+      outstanding: roundCurrency(consignedLoanBalance - consignedLoanDeducted)
+    },
+    totals: {
+      earnings: totalEarnings,
+      deductions: totalDeductions,
+      net: roundCurrency(totalEarnings - totalDeductions)
+    }
+  };
+};
+
+module.exports = {
+  TERMINATION_TYPES,
+  NOTICE_TYPES,
+  calculateNoticeDays,
+  calculateTermination
+};
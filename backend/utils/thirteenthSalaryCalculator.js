@@ -0,0 +1,44 @@
+const moment = require('moment');
+const { roundCurrency } = require('./currency');
+
+// Legal deadlines for the two 13th salary installments (Lei 4.749/65)
+const FIRST_INSTALLMENT_DUE = { month: 11, day: 30 };
+const SECOND_INSTALLMENT_DUE = { month: 12, day: 20 };
+
+// Count the months (avos) worked in a year up to a given month
+// A month counts when the employee worked 15 days or more in it.
+const countMonthsWorked = (hireDate, terminationDate, year, untilMonth = 12) => {
+  const start = moment.utc(hireDate).startOf('day');
+  const end = terminationDate ? moment.utc(terminationDate).startOf('day') : null;
+
+  let months = 0;
+  for (let month = 1; month <= untilMonth; month++) {
+    const monthStart = moment.utc({ year, month: month - 1, day: 1 });
+    const monthEnd = moment(monthStart).endOf('month').startOf('day');
+
+    const from = moment.max(start, monthStart);
+    const to = end ? moment.min(end, monthEnd) : monthEnd;
+
+    if (to.isBefore(from)) continue;
+    if (to.diff(from, 'days') + 1 >= 15) months++;
+  }
+
+  return months;
+};
+
+// Full 13th salary for the months worked: one twelfth of the monthly remuneration per month
+const calculateThirteenthFullAmount = (monthlyRemuneration, monthsWorked) => {
+  return roundCurrency((Number(monthlyRemuneration) || 0) * Math.min(monthsWorked, 12) / 12);
+};
+
+// Due date of an installment for a year
+const getInstallmentDueDate = (installment, year) => {
+  const due = installment === 1 ? FIRST_INSTALLMENT_DUE : SECOND_INSTALLMENT_DUE;
+  return moment.utc({ year, month: due.month - 1, day: due.day }).toDate();
+};
+
+module.exports = {
+  countMonthsWorked,
+  calculateThirteenthFullAmount,
+  getInstallmentDueDate
+};
@@ -0,0 +1,40 @@
+const { roundCurrency } = require('./currency');
+
+const MAX_VACATION_DAYS = 30;
+const MAX_SOLD_DAYS = 10; // Abono pecuniário: up to one third of the vacation (CLT art. 143)
+
+// Calculate vacation pay (CLT art. 142 and CF art. 7, XVII)
+// monthlyRemuneration: base salary plus average variable pay
+// days: vacation days taken; soldDays: days converted into abono pecuniário
+const calculateVacationPay = ({ monthlyRemuneration, days, soldDays = 0 }) => {
+  if (days + soldDays > MAX_VACATION_DAYS) {
+    throw new Error(`Vacation days plus sold days cannot exceed ${MAX_VACATION_DAYS}`);
+  }
+  if (soldDays > MAX_SOLD_DAYS) {
+    throw new Error(`At most ${MAX_SOLD_DAYS} vacation days can be sold`);
+  }
+
+  const dailyRate = (Number(monthlyRemuneration) || 0) / 30;
+
+  const vacationPay = roundCurrency(dailyRate * days);
+  const oneThirdBonus = roundCurrency(vacationPay / 3);
+  const abono = roundCurrency(dailyRate * soldDays);
+  const abonoOneThird = roundCurrency(abono / 3);
+
+  return {
+    dailyRate: roundCurrency(dailyRate),
+    vacationPay,
+    oneThirdBonus,
+    abono,
+    abonoOneThird,
+    // Abono pecuniário and its one third are exempt from INSS, IRRF and FGTS
+    taxableBase: roundCurrency(vacationPay + oneThirdBonus),
+    total: roundCurrency(vacationPay + oneThirdBonus + abono + abonoOneThird)
+  };
+};
+
+module.exports = {
+  MAX_VACATION_DAYS,
+  MAX_SOLD_DAYS,
+  calculateVacationPay
+};
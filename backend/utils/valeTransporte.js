@@ -0,0 +1,49 @@
+const { roundCurrency } = require('./currency');
+
+// Maximum share of the base salary the employer may deduct for VT (Lei 7.418/85 art. 4, Decreto 10.854/21 art. 114)
+const VT_COPAYMENT_RATE = 0.06;
+
+// Employee co-payment of the VT: rate over the base salary, never more than the VT itself
+const calculateVTCoPayment = ({ baseSalary = 0, rate = VT_COPAYMENT_RATE, vtAmount = 0 }) => {
+  const cappedRate = Math.min(Math.max(rate || 0, 0), VT_COPAYMENT_RATE);
+  return roundCurrency(Math.max(Math.min(baseSalary * cappedRate, vtAmount), 0));
+};
+
+// Transport modes of a commute leg; an integration fare covers a combined trip (e.g. bus + metro)
+// and is registered as a single leg instead of the legs it combines
+const COMMUTE_MODES = ['Bus', 'Metro', 'Train', 'Integration'];
+
+// Daily VT value of a commute: the fare of each leg times the trips made on it per day
+// legs: [{ mode, fareCode, description, tripsPerDay }]; fares: fare table entries ({ code, price })
+// Returns { dailyValue, legs (with price and amount), missingFares (leg fare codes not in the table) }
+const calculateCommuteDailyValue = (legs = [], fares = []) => {
+  const prices = new Map(fares.map(fare => [fare.code, fare.price]));
+  const missingFares = [];
+
+  const pricedLegs = legs.map(leg => {
+    const price = prices.get(leg.fareCode);
+    if (price === undefined) missingFares.push(leg.fareCode);
+    const tripsPerDay = leg.tripsPerDay || 2;
+    return {
+      mode: leg.mode,
+      fareCode: leg.fareCode,
+      description: leg.description,
+      tripsPerDay,
+      price: price || 0,
+      amount: roundCurrency((price || 0) * tripsPerDay)
+    };
+  });
+
+  return {
+    dailyValue: roundCurrency(pricedLegs.reduce((sum, leg) => sum + leg.amount, 0)),
+    legs: pricedLegs,
+    missingFares
+  };
+};
+
+module.exports = {
+  VT_COPAYMENT_RATE,
+  COMMUTE_MODES,
+  calculateVTCoPayment,
+  calculateCommuteDailyValue
+};
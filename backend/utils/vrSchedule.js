@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const ExcelJS = require('exceljs');
+const { countDatesWorkingDays } = require('./businessDays');
+
+// VR schedule spreadsheet: one row per employee, one column per day of the month
+// The first row holds the headers: the employee registration ("Matrícula") and/or CPF, an optional name,
+// and the days as dates (DD/MM/YYYY, YYYY-MM-DD or spreadsheet dates) or as day numbers (1 to 31).
+// Cells are marked with the day's status; empty cells (or "-") are days off.
+const SCHEDULE_EXTENSIONS = ['.xlsx', '.csv'];
+
+const DAY_MARKERS = {
+  P: 'worked', // Presente
+  T: 'worked', // Trabalhado
+  X: 'worked',
+  R: 'remote', // Remoto
+  HO: 'remote', // Home office
+  F: 'absent', // Falta
+  A: 'absent' // Ausente
+};
+
+const EMPLOYEE_ID_HEADERS = ['matricula', 'employeeid', 'id'];
+const CPF_HEADERS = ['cpf'];
+
+const isScheduleSpreadsheet = (filename) => SCHEDULE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+
+// Lower case without accents or spaces, for header matching
+const normalizeHeader = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\s_.-]/g, '')
+  .toLowerCase();
+
+// Plain value of a spreadsheet cell (rich text, formulas and hyperlinks are reduced to their text/result)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return value.text;
+    return null;
+  }
+  return value;
+};
+
+const cellText = (value) => {
+  const plain = cellValue(value);
+  return plain === null ? '' : String(plain).trim();
+};
+
+// CSV exports from Brazilian spreadsheets usually separate fields with semicolons
+const detectDelimiter = (filePath) => {
+  const firstLine = fs.readFileSync(filePath, 'utf8').split(/\r?\n/)[0] || '';
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Read the rows of the first worksheet as arrays of cell values (1-based row numbers kept for the report)
+const readScheduleRows = async (filePath, filename = filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  if (path.extname(filename).toLowerCase() === '.csv') {
+    worksheet = await workbook.csv.readFile(filePath, {
+      parserOptions: { delimiter: detectDelimiter(filePath) },
+      map: value => value
+    });
+  } else {
+    await workbook.xlsx.readFile(filePath);
+    worksheet = workbook.worksheets[0];
+  }
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow((row, number) => {
+    rows.push({ number, cells: row.values.slice(1).map(cellValue) });
+  });
+  return rows;
+};
+
+// Date of a day header inside month/year (null when the header is not a day of that month)
+const parseDayHeader = (value, month, year) => {
+  let date = null;
+  if (value instanceof Date) {
+    date = moment.utc(value);
+  } else if (typeof value === 'number' || /^\d{1,2}$/.test(String(value).trim())) {
+    const day = Number(value);
+    date = moment.utc({ year, month: month - 1, day });
+  } else {
+    date = moment.utc(String(value).trim(), ['DD/MM/YYYY', 'D/M/YYYY', 'YYYY-MM-DD', 'DD/MM', 'D/M'], true);
+    if (date.isValid() && !/\d{4}/.test(String(value))) date.year(year);
+  }
+
+  if (!date || !date.isValid() || date.month() + 1 !== month || date.year() !== year) return null;
+  return date.startOf('day');
+};
+
+// Parse the schedule rows of a month
+// Returns { rows: [{ row, employeeId, cpf, name, dates, days: { worked, remote, absent, businessDays, saturdays }, errors }] }
+// dates are the days worked in person or remotely; businessDays and saturdays count the ones VR is due on
+// (Sundays are left out; recount with businessDays countDatesWorkingDays once the employee's holidays are known).
+// Throws when the header row has no employee column or no day columns.
+const parseSchedule = (rows, month, year) => {
+  const [header, ...data] = rows;
+  if (!header) {
+    throw new Error('Schedule file is empty');
+  }
+
+  const headers = header.cells.map(normalizeHeader);
+  const employeeIdColumn = headers.findIndex(h => EMPLOYEE_ID_HEADERS.includes(h));
+  const cpfColumn = headers.findIndex(h => CPF_HEADERS.includes(h));
+  const nameColumn = headers.findIndex(h => h === 'nome' || h === 'name');
+  if (employeeIdColumn === -1 && cpfColumn === -1) {
+    throw new Error('Schedule file needs a "Matrícula" or "CPF" column');
+  }
+
+  const dayColumns = [];
+  header.cells.forEach((value, index) => {
+    if ([employeeIdColumn, cpfColumn, nameColumn].includes(index) || cellText(value) === '') return;
+    const date = parseDayHeader(value, month, year);
+    if (!date) {
+      const label = value instanceof Date ? moment.utc(value).format('DD/MM/YYYY') : cellText(value);
+      throw new Error(`Column "${label}" is not a day of ${String(month).padStart(2, '0')}/${year}`);
+    }
+    dayColumns.push({ index, date });
+  });
+  if (dayColumns.length === 0) {
+    throw new Error(`Schedule file has no day columns for ${String(month).padStart(2, '0')}/${year}`);
+  }
+
+  const parsed = data
+    .filter(({ cells }) => cells.some(value => cellText(value) !== ''))
+    .map(({ number, cells }) => {
+      const entry = {
+        row: number,
+        employeeId: employeeIdColumn === -1 ? null : cellText(cells[employeeIdColumn]) || null,
+        cpf: cpfColumn === -1 ? null : cellText(cells[cpfColumn]).replace(/\D/g, '') || null,
+        name: nameColumn === -1 ? null : cellText(cells[nameColumn]) || null,
+        dates: [],
+        days: { worked: 0, remote: 0, absent: 0, businessDays: 0, saturdays: 0 },
+        errors: []
+      };
+
+      if (!entry.employeeId && !entry.cpf) {
+        entry.errors.push('Missing employee registration or CPF');
+      }
+
+      for (const { index, date } of dayColumns) {
+        const marker = cellText(cells[index]).toUpperCase();
+        if (marker === '' || marker === '-') continue;
+
+        const status = DAY_MARKERS[marker];
+        if (!status) {
+          entry.errors.push(`Unknown marker "${marker}" on ${date.format('DD/MM')}`);
+          continue;
+        }
+
+        entry.days[status]++;
+        if (status !== 'absent') entry.dates.push(date.format('YYYY-MM-DD'));
+      }
+      Object.assign(entry.days, countDatesWorkingDays(entry.dates));
+
+      return entry;
+    });
+
+  return { rows: parsed };
+};
+
+module.exports = {
+  DAY_MARKERS,
+  isScheduleSpreadsheet,
+  readScheduleRows,
+  parseSchedule
+};
@@ -54,6 +54,10 @@ interface Benefit {
       type: string;
     }>;
     finalAmount: number;
+    optedOut?: boolean;
+    coPaymentRate?: number;
+    coPayment?: number;
+    companyCost?: number;
     addressChanged: boolean;
   };
   mobilidade: {
@@ -82,6 +86,7 @@ interface Benefit {
 interface Statistics {
   totalVR: number;
   totalVT: number;
+  totalVTCoPayment?: number;
   totalMobilidade: number;
   totalAmount: number;
   employeeCount: number;
@@ -109,7 +114,7 @@ const Benefits: React.FC = () => {
     type: 'Absence'
   });
   const [scheduleData, setScheduleData] = useState({
-    businessDays: 22,
+    businessDays: 0,
     saturdays: 0,
     file: null as File | null
   });
@@ -222,20 +227,23 @@ const Benefits: React.FC = () => {
       formData.append('businessDays', scheduleData.businessDays.toString());
       formData.append('saturdays', scheduleData.saturdays.toString());
       
-      await axios.post('/benefits/upload-schedule', formData, {
+      const response = await axios.post('/benefits/upload-schedule', formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
         }
       });
       
+      const summary = response.data.summary;
       toast({
         title: "Sucesso",
-        description: "Cronograma enviado com sucesso"
+        description: summary
+          ? `Cronograma importado: ${summary.matched} atualizados, ${summary.unmatched} não encontrados, ${summary.invalid} inválidos`
+          : "Cronograma enviado com sucesso"
       });
       
       setShowScheduleDialog(false);
       setScheduleData({
-        businessDays: 22,
+        businessDays: 0,
         saturdays: 0,
         file: null
       });
@@ -382,6 +390,11 @@ const Benefits: React.FC = () => {
             </CardHeader>
             <CardContent>
               <div className="text-2xl font-bold">{formatCurrency(statistics.totalVT)}</div>
+              {!!statistics.totalVTCoPayment && (
+                <p className="text-xs text-muted-foreground">
+                  Coparticipação descontada: {formatCurrency(statistics.totalVTCoPayment)}
+                </p>
+              )}
             </CardContent>
           </Card>
           
@@ -462,8 +475,15 @@ const Benefits: React.FC = () => {
                         <div className="text-sm">
                           <div>{formatCurrency(benefit.valeTransporte.finalAmount)}</div>
                           <div className="text-muted-foreground">
-                            {benefit.valeTransporte.fixedAmount > 0 ? 'Valor fixo' : `${benefit.valeTransporte.totalDays} dias`}
+                            {benefit.valeTransporte.optedOut
+                              ? 'Optou por não receber'
+                              : benefit.valeTransporte.fixedAmount > 0 ? 'Valor fixo' : `${benefit.valeTransporte.totalDays} dias`}
                           </div>
+                          {!!benefit.valeTransporte.coPayment && (
+                            <div className="text-muted-foreground">
+                              Desconto {((benefit.valeTransporte.coPaymentRate || 0) * 100).toFixed(0)}%: -{formatCurrency(benefit.valeTransporte.coPayment)}
+                            </div>
+                          )}
                         </div>
                       </TableCell>
                       <TableCell className="font-medium">
@@ -503,6 +523,11 @@ const Benefits: React.FC = () => {
                             variant="outline"
                             onClick={() => {
                               setSelectedBenefit(benefit);
+                              setScheduleData({
+                                businessDays: benefit.valeRefeicao.businessDays,
+                                saturdays: benefit.valeRefeicao.saturdays,
+                                file: null
+                              });
                               setShowScheduleDialog(true);
                             }}
                           >
@@ -684,7 +709,7 @@ const Benefits: React.FC = () => {
                 type="number"
                 value={scheduleData.businessDays}
                 onChange={(e) => setScheduleData({...scheduleData, businessDays: parseInt(e.target.value) || 0})}
-                placeholder="22"
+                placeholder="Calendário de feriados"
               />
             </div>
             
@@ -706,7 +731,8 @@ const Benefits: React.FC = () => {
                 onChange={(e) => setScheduleData({...scheduleData, file: e.target.files?.[0] || null})}
               />
               <p className="text-xs text-muted-foreground">
-                Formatos aceitos: Excel, CSV, PDF (máx. 5MB)
+                Formatos aceitos: Excel, CSV, PDF (máx. 5MB). Planilhas .xlsx/.csv com a grade de dias
+                (Matrícula ou CPF e uma coluna por dia marcada com P, HO ou F) atualizam todos os funcionários listados.
               </p>
             </div>
           </div>
@@ -1,11 +1,13 @@
 
-import { useState } from "react";
+import { useState, useEffect, useCallback } from "react";
+import axios from "@/lib/axios";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Label } from "@/components/ui/label";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { 
   Calculator, 
   Download, 
@@ -13,10 +15,116 @@ import {
   DollarSign,
   Users,
   FileSpreadsheet,
-  Save
+  Save,
+  AlertCircle
 } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 
+interface ReconciliationEntry {
+  remittance: string;
+  fileName: string;
+  sequence: number;
+  paymentDate: string;
+  reference: string;
+  amount: number;
+  employee?: {
+    firstName: string;
+    lastName: string;
+    employeeId: string;
+  };
+  bankAccount?: {
+    bankCode: string;
+    agency: string;
+    account: string;
+    accountDigit: string;
+  };
+  occurrences: Array<{
+    code: string;
+    description: string;
+  }>;
+  returnStatus: 'Pending' | 'Scheduled' | 'Paid' | 'Failed';
+  resent: boolean;
+}
+
+interface VarianceTotals {
+  previousCount: number;
+  currentCount: number;
+  previousNet: number;
+  currentNet: number;
+  netChange: number;
+  netChangePercent: number | null;
+  department?: string;
+  employmentType?: string;
+}
+
+interface VarianceRow {
+  employee?: {
+    _id: string;
+    employeeId: string;
+    firstName: string;
+    lastName: string;
+  };
+  department?: string;
+  employmentType?: string;
+  previous: { netSalary: number; baseSalary: number } | null;
+  current: { netSalary: number; baseSalary: number } | null;
+  netChange: number | null;
+  netChangePercent: number | null;
+  flags: string[];
+}
+
+interface VarianceReport {
+  previousPeriod: { month: number; year: number };
+  threshold: number;
+  flags: Record<string, string>;
+  flagCounts: Record<string, number>;
+  totals: {
+    overall: VarianceTotals | null;
+    byDepartment: VarianceTotals[];
+    byEmploymentType: VarianceTotals[];
+  };
+  rows: VarianceRow[];
+}
+
+interface EmployerCostRow {
+  employees?: number;
+  department?: string;
+  employee?: {
+    _id: string;
+    employeeId: string;
+    firstName: string;
+    lastName: string;
+  };
+  taxRegime?: string;
+  grossSalary: number;
+  benefits: number;
+  fgts: number;
+  employerInss: number;
+  rat: number;
+  thirdParty: number;
+  provisions: number;
+  totalCost: number;
+  costRatio: number | null;
+}
+
+interface EmployerCostReport {
+  period: { month: number; year: number };
+  totals: EmployerCostRow;
+  byDepartment: EmployerCostRow[];
+  byEmployee: EmployerCostRow[];
+}
+
+interface Reconciliation {
+  failed: ReconciliationEntry[];
+  awaitingReturn: ReconciliationEntry[];
+  summary: {
+    failedCount: number;
+    failedAmount: number;
+    awaitingCount: number;
+    awaitingAmount: number;
+  };
+}
+
 const Payroll = () => {
   const { toast } = useToast();
   const [payrollData, setPayrollData] = useState([
@@ -25,6 +133,99 @@ const Payroll = () => {
     { id: 3, name: "João Santos", role: "Manager", type: "PJ", baseValue: 8000, finalValue: 8000, status: "approved" },
   ]);
 
+  const [reconciliation, setReconciliation] = useState<Reconciliation | null>(null);
+  const [reconciliationMonth, setReconciliationMonth] = useState(new Date().getMonth() + 1);
+  const [reconciliationYear, setReconciliationYear] = useState(new Date().getFullYear());
+
+  const fetchReconciliation = useCallback(async () => {
+    try {
+      const response = await axios.get('/bank-remittances/reconciliation', {
+        params: { month: reconciliationMonth, year: reconciliationYear }
+      });
+      setReconciliation(response.data);
+    } catch (error) {
+      console.error('Error fetching reconciliation:', error);
+    }
+  }, [reconciliationMonth, reconciliationYear]);
+
+  useEffect(() => {
+    fetchReconciliation();
+  }, [fetchReconciliation]);
+
+  const handleReturnUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      const response = await axios.post('/bank-remittances/returns', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      toast({
+        title: "Return File Imported",
+        description: response.data.message,
+      });
+
+      fetchReconciliation();
+    } catch (error) {
+      console.error('Error importing return file:', error);
+      toast({
+        title: "Error",
+        description: "Failed to import the bank return file",
+        variant: "destructive",
+      });
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  const [variance, setVariance] = useState<VarianceReport | null>(null);
+  const [varianceMonth, setVarianceMonth] = useState(new Date().getMonth() + 1);
+  const [varianceYear, setVarianceYear] = useState(new Date().getFullYear());
+  const [varianceThreshold, setVarianceThreshold] = useState(10);
+
+  const fetchVariance = useCallback(async () => {
+    try {
+      const response = await axios.get('/payroll/report/variance', {
+        params: { month: varianceMonth, year: varianceYear, threshold: varianceThreshold }
+      });
+      setVariance(response.data);
+    } catch (error) {
+      console.error('Error fetching payroll variance:', error);
+    }
+  }, [varianceMonth, varianceYear, varianceThreshold]);
+
+  useEffect(() => {
+    fetchVariance();
+  }, [fetchVariance]);
+
+  const [employerCost, setEmployerCost] = useState<EmployerCostReport | null>(null);
+  const [costMonth, setCostMonth] = useState(new Date().getMonth() + 1);
+  const [costYear, setCostYear] = useState(new Date().getFullYear());
+
+  const fetchEmployerCost = useCallback(async () => {
+    try {
+      const response = await axios.get('/payroll/report/employer-cost', {
+        params: { month: costMonth, year: costYear }
+      });
+      setEmployerCost(response.data);
+    } catch (error) {
+      console.error('Error fetching employer cost report:', error);
+    }
+  }, [costMonth, costYear]);
+
+  useEffect(() => {
+    fetchEmployerCost();
+  }, [fetchEmployerCost]);
+
+  const formatAmount = (value: number) =>
+    value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
   const handleCalculatePayroll = () => {
     toast({
       title: "Payroll Calculated",
@@ -64,9 +265,10 @@ const Payroll = () => {
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <Tabs defaultValue="current" className="space-y-6">
-          <TabsList className="grid w-full grid-cols-3">
+          <TabsList className="grid w-full grid-cols-4">
             <TabsTrigger value="current">Current Month</TabsTrigger>
             <TabsTrigger value="calculator">Payroll Calculator</TabsTrigger>
+            <TabsTrigger value="reconciliation">Reconciliation</TabsTrigger>
             <TabsTrigger value="reports">Reports</TabsTrigger>
           </TabsList>
 
@@ -213,7 +415,357 @@ const Payroll = () => {
             </Card>
           </TabsContent>
 
-          <TabsContent value="reports">
+          <TabsContent value="reconciliation" className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <Card>
+                <CardContent className="flex items-center p-6">
+                  <AlertCircle className="h-8 w-8 text-red-600 mr-4" />
+                  <div>
+                    <p className="text-2xl font-bold">{reconciliation?.summary.failedCount ?? 0}</p>
+                    <p className="text-sm text-gray-600">
+                      Failed transfers (R$ {formatAmount(reconciliation?.summary.failedAmount ?? 0)})
+                    </p>
+                  </div>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent className="flex items-center p-6">
+                  <DollarSign className="h-8 w-8 text-orange-600 mr-4" />
+                  <div>
+                    <p className="text-2xl font-bold">{reconciliation?.summary.awaitingCount ?? 0}</p>
+                    <p className="text-sm text-gray-600">
+                      Awaiting bank return (R$ {formatAmount(reconciliation?.summary.awaitingAmount ?? 0)})
+                    </p>
+                  </div>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent className="p-6 space-y-2">
+                  <Label htmlFor="return-file">Import CNAB 240 return file</Label>
+                  <div className="flex items-center space-x-2">
+                    <Upload className="h-4 w-4 text-gray-500" />
+                    <Input id="return-file" type="file" accept=".ret,.txt" onChange={handleReturnUpload} />
+                  </div>
+                </CardContent>
+              </Card>
+            </div>
+
+            <Card>
+              <CardHeader>
+                <div className="flex justify-between items-end">
+                  <div>
+                    <CardTitle>Failed Transfers</CardTitle>
+                    <CardDescription>Payments rejected by the bank, with the return occurrences</CardDescription>
+                  </div>
+                  <div className="flex space-x-2">
+                    <Input
+                      type="number"
+                      min={1}
+                      max={12}
+                      className="w-20"
+                      value={reconciliationMonth}
+                      onChange={(e) => setReconciliationMonth(parseInt(e.target.value) || 1)}
+                    />
+                    <Input
+                      type="number"
+                      className="w-24"
+                      value={reconciliationYear}
+                      onChange={(e) => setReconciliationYear(parseInt(e.target.value) || new Date().getFullYear())}
+                    />
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Employee</TableHead>
+                      <TableHead>Bank account</TableHead>
+                      <TableHead>Remittance</TableHead>
+                      <TableHead>Occurrences</TableHead>
+                      <TableHead className="text-right">Amount</TableHead>
+                      <TableHead>Status</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {(reconciliation?.failed ?? []).length === 0 ? (
+                      <TableRow>
+                        <TableCell colSpan={6} className="text-center text-gray-500">
+                          No failed transfers in this period
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      reconciliation?.failed.map((entry) => (
+                        <TableRow key={`${entry.remittance}-${entry.reference}`}>
+                          <TableCell>
+                            {entry.employee ? `${entry.employee.firstName} ${entry.employee.lastName}` : '-'}
+                            <p className="text-xs text-gray-500">{entry.employee?.employeeId}</p>
+                          </TableCell>
+                          <TableCell>
+                            {entry.bankAccount
+                              ? `${entry.bankAccount.bankCode} / ${entry.bankAccount.agency} / ${entry.bankAccount.account}-${entry.bankAccount.accountDigit}`
+                              : '-'}
+                          </TableCell>
+                          <TableCell>{entry.fileName}</TableCell>
+                          <TableCell>
+                            {entry.occurrences.map((occurrence) => (
+                              <p key={occurrence.code} className="text-sm">
+                                <span className="font-mono">{occurrence.code}</span> {occurrence.description}
+                              </p>
+                            ))}
+                          </TableCell>
+                          <TableCell className="text-right">R$ {formatAmount(entry.amount)}</TableCell>
+                          <TableCell>
+                            <Badge variant={entry.resent ? 'secondary' : 'destructive'}>
+                              {entry.resent ? 'Resent' : 'Failed'}
+                            </Badge>
+                          </TableCell>
+                        </TableRow>
+                      ))
+                    )}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="reports" className="space-y-6">
+            <Card>
+              <CardHeader>
+                <div className="flex justify-between items-end">
+                  <div>
+                    <CardTitle>Variance vs. Previous Month</CardTitle>
+                    <CardDescription>
+                      Review what changed since {variance ? `${variance.previousPeriod.month}/${variance.previousPeriod.year}` : 'last month'} before approving
+                    </CardDescription>
+                  </div>
+                  <div className="flex items-end space-x-2">
+                    <div>
+                      <Label htmlFor="variance-month">Month</Label>
+                      <Input
+                        id="variance-month"
+                        type="number"
+                        min={1}
+                        max={12}
+                        className="w-20"
+                        value={varianceMonth}
+                        onChange={(e) => setVarianceMonth(parseInt(e.target.value) || 1)}
+                      />
+                    </div>
+                    <div>
+                      <Label htmlFor="variance-year">Year</Label>
+                      <Input
+                        id="variance-year"
+                        type="number"
+                        className="w-24"
+                        value={varianceYear}
+                        onChange={(e) => setVarianceYear(parseInt(e.target.value) || new Date().getFullYear())}
+                      />
+                    </div>
+                    <div>
+                      <Label htmlFor="variance-threshold">Threshold (%)</Label>
+                      <Input
+                        id="variance-threshold"
+                        type="number"
+                        min={0}
+                        className="w-24"
+                        value={varianceThreshold}
+                        onChange={(e) => setVarianceThreshold(parseFloat(e.target.value) || 0)}
+                      />
+                    </div>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <div className="flex flex-wrap gap-2">
+                  {variance && Object.entries(variance.flags).map(([flag, description]) => (
+                    <Badge key={flag} variant={variance.flagCounts[flag] ? 'destructive' : 'secondary'}>
+                      {description}: {variance.flagCounts[flag] || 0}
+                    </Badge>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  {[
+                    { title: 'By Department', rows: variance?.totals.byDepartment ?? [], key: 'department' as const },
+                    { title: 'By Employment Type', rows: variance?.totals.byEmploymentType ?? [], key: 'employmentType' as const }
+                  ].map(({ title, rows, key }) => (
+                    <div key={key}>
+                      <h4 className="font-medium mb-2">{title}</h4>
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead>{key === 'department' ? 'Department' : 'Type'}</TableHead>
+                            <TableHead className="text-right">Previous net</TableHead>
+                            <TableHead className="text-right">Current net</TableHead>
+                            <TableHead className="text-right">Change</TableHead>
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {rows.map((row) => (
+                            <TableRow key={row[key]}>
+                              <TableCell>{row[key]} ({row.currentCount})</TableCell>
+                              <TableCell className="text-right">R$ {formatAmount(row.previousNet)}</TableCell>
+                              <TableCell className="text-right">R$ {formatAmount(row.currentNet)}</TableCell>
+                              <TableCell className="text-right">
+                                {row.netChangePercent === null ? '-' : `${row.netChangePercent.toFixed(1)}%`}
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </div>
+                  ))}
+                </div>
+
+                <div>
+                  <h4 className="font-medium mb-2">Flagged Employees</h4>
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Employee</TableHead>
+                        <TableHead>Department</TableHead>
+                        <TableHead className="text-right">Previous net</TableHead>
+                        <TableHead className="text-right">Current net</TableHead>
+                        <TableHead className="text-right">Change</TableHead>
+                        <TableHead>Flags</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {(variance?.rows ?? []).filter((row) => row.flags.length > 0).length === 0 ? (
+                        <TableRow>
+                          <TableCell colSpan={6} className="text-center text-gray-500">
+                            No anomalies found for this period
+                          </TableCell>
+                        </TableRow>
+                      ) : (
+                        variance?.rows.filter((row) => row.flags.length > 0).map((row) => (
+                          <TableRow key={row.employee?._id}>
+                            <TableCell>
+                              {row.employee ? `${row.employee.firstName} ${row.employee.lastName}` : '-'}
+                              <p className="text-xs text-gray-500">{row.employee?.employeeId}</p>
+                            </TableCell>
+                            <TableCell>{row.department || '-'}</TableCell>
+                            <TableCell className="text-right">
+                              {row.previous ? `R$ ${formatAmount(row.previous.netSalary)}` : '-'}
+                            </TableCell>
+                            <TableCell className="text-right">
+                              {row.current ? `R$ ${formatAmount(row.current.netSalary)}` : '-'}
+                            </TableCell>
+                            <TableCell className="text-right">
+                              {row.netChangePercent === null ? '-' : `${row.netChangePercent.toFixed(1)}%`}
+                            </TableCell>
+                            <TableCell>
+                              <div className="flex flex-wrap gap-1">
+                                {row.flags.map((flag) => (
+                                  <Badge key={flag} variant="outline">{variance.flags[flag]}</Badge>
+                                ))}
+                              </div>
+                            </TableCell>
+                          </TableRow>
+                        ))
+                      )}
+                    </TableBody>
+                  </Table>
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <div className="flex justify-between items-end">
+                  <div>
+                    <CardTitle>Employer Cost</CardTitle>
+                    <CardDescription>
+                      Salaries, benefits, employer charges and 13th/vacation provisions
+                      {employerCost?.totals.costRatio ? ` (${employerCost.totals.costRatio.toFixed(2)}x gross pay)` : ''}
+                    </CardDescription>
+                  </div>
+                  <div className="flex items-end space-x-2">
+                    <div>
+                      <Label htmlFor="cost-month">Month</Label>
+                      <Input
+                        id="cost-month"
+                        type="number"
+                        min={1}
+                        max={12}
+                        className="w-20"
+                        value={costMonth}
+                        onChange={(e) => setCostMonth(parseInt(e.target.value) || 1)}
+                      />
+                    </div>
+                    <div>
+                      <Label htmlFor="cost-year">Year</Label>
+                      <Input
+                        id="cost-year"
+                        type="number"
+                        className="w-24"
+                        value={costYear}
+                        onChange={(e) => setCostYear(parseInt(e.target.value) || new Date().getFullYear())}
+                      />
+                    </div>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                {[
+                  { title: 'By Department', rows: employerCost?.byDepartment ?? [], key: 'department' as const },
+                  { title: 'By Employee', rows: employerCost?.byEmployee ?? [], key: 'employee' as const }
+                ].map(({ title, rows, key }) => (
+                  <div key={key}>
+                    <h4 className="font-medium mb-2">{title}</h4>
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>{key === 'department' ? 'Department' : 'Employee'}</TableHead>
+                          <TableHead className="text-right">Gross</TableHead>
+                          <TableHead className="text-right">Benefits</TableHead>
+                          <TableHead className="text-right">FGTS</TableHead>
+                          <TableHead className="text-right">INSS + RAT + Third parties</TableHead>
+                          <TableHead className="text-right">Provisions</TableHead>
+                          <TableHead className="text-right">Total cost</TableHead>
+                          <TableHead className="text-right">Ratio</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {rows.length === 0 ? (
+                          <TableRow>
+                            <TableCell colSpan={8} className="text-center text-gray-500">
+                              No monthly payrolls for this period
+                            </TableCell>
+                          </TableRow>
+                        ) : (
+                          rows.map((row) => (
+                            <TableRow key={key === 'department' ? row.department : row.employee?._id}>
+                              <TableCell>
+                                {key === 'department'
+                                  ? `${row.department} (${row.employees})`
+                                  : `${row.employee?.firstName} ${row.employee?.lastName}`}
+                                {key === 'employee' && (
+                                  <p className="text-xs text-gray-500">{row.employee?.employeeId} · {row.department}</p>
+                                )}
+                              </TableCell>
+                              <TableCell className="text-right">R$ {formatAmount(row.grossSalary)}</TableCell>
+                              <TableCell className="text-right">R$ {formatAmount(row.benefits)}</TableCell>
+                              <TableCell className="text-right">R$ {formatAmount(row.fgts)}</TableCell>
+                              <TableCell className="text-right">
+                                R$ {formatAmount(row.employerInss + row.rat + row.thirdParty)}
+                              </TableCell>
+                              <TableCell className="text-right">R$ {formatAmount(row.provisions)}</TableCell>
+                              <TableCell className="text-right font-medium">R$ {formatAmount(row.totalCost)}</TableCell>
+                              <TableCell className="text-right">
+                                {row.costRatio === null ? '-' : `${row.costRatio.toFixed(2)}x`}
+                              </TableCell>
+                            </TableRow>
+                          ))
+                        )}
+                      </TableBody>
+                    </Table>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+
             <Card>
               <CardHeader>
                 <CardTitle>Payroll Reports</CardTitle>